@@ -0,0 +1,124 @@
+import crypto from "node:crypto";
+import { clarifyTerms, translate } from "./i18n.js";
+import { WORD_END, WORD_START, wordsRegex } from "./text.js";
+import { normalizeTriageText } from "./triage/index.js";
+
+const MIN_QUESTIONS = 2;
+const MAX_QUESTIONS = 5;
+
+// Detection terms come from the `clarify` section of every locale catalog, so a new
+// language only needs its catalog. Terms and symptoms are normalized the same way
+// triage does it, so accents and Arabic hamza forms do not matter.
+const terms = (key) => clarifyTerms(key).map(normalizeTriageText);
+const DURATION_PATTERN = wordsRegex(terms("duration"));
+const FEVER_PATTERN = new RegExp(`(?<!${WORD_START}(?:${terms("negation").join("|")})\\s)${wordsRegex(terms("fever")).source}`, "iu");
+const TEMPERATURE_VALUE_PATTERN = new RegExp(
+  `(?<!\\d)\\d{2}(?:[.,]\\d)?\\s*(?:[°º]|(?:${terms("temperatureUnit").join("|")})${WORD_END})`,
+  "iu",
+);
+const PAIN_PATTERN = wordsRegex(terms("pain"));
+const LOCATED_PAIN_PATTERN = wordsRegex(terms("painLocation"));
+const SPECIFIC_SYMPTOM_PATTERN = wordsRegex(terms("symptom"));
+
+// Deterministic on purpose: the same vague input always gets the same questions,
+// and nothing is sent to a provider until the conversation is complete.
+export function planClarifyingQuestions(symptoms, language) {
+  const text = normalizeTriageText(symptoms);
+  const gaps = [];
+
+  if (!DURATION_PATTERN.test(text)) {
+    gaps.push("duration");
+  }
+  if (FEVER_PATTERN.test(text) && !TEMPERATURE_VALUE_PATTERN.test(text)) {
+    gaps.push("temperature");
+  }
+  if (PAIN_PATTERN.test(text) && !LOCATED_PAIN_PATTERN.test(text)) {
+    gaps.push("painLocation");
+  }
+  if (!SPECIFIC_SYMPTOM_PATTERN.test(text)) {
+    gaps.push("severity", "otherSymptoms");
+  }
+
+  if (gaps.length === 0) {
+    return [];
+  }
+
+  for (const filler of ["severity", "otherSymptoms"]) {
+    if (gaps.length >= MIN_QUESTIONS) {
+      break;
+    }
+    if (!gaps.includes(filler)) {
+      gaps.push(filler);
+    }
+  }
+
+  return gaps.slice(0, MAX_QUESTIONS).map((id) => ({ id, text: translate(language, `ui.clarify.questions.${id}`) }));
+}
+
+export function createSessionStore({ ttlMs = 30 * 60 * 1000, maxSessions = 1000, now = () => Date.now() } = {}) {
+  const sessions = new Map();
+
+  const prune = () => {
+    const cutoff = now() - ttlMs;
+    for (const [id, session] of sessions) {
+      if (session.updatedAt < cutoff) {
+        sessions.delete(id);
+      }
+    }
+  };
+
+  return {
+    create({ questions }) {
+      prune();
+      if (sessions.size >= maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+      const session = {
+        id: crypto.randomUUID(),
+        questions,
+        answers: [],
+        updatedAt: now(),
+      };
+      sessions.set(session.id, session);
+      return session;
+    },
+    get(id) {
+      prune();
+      return sessions.get(id) || null;
+    },
+    answer(id, answer) {
+      const session = this.get(id);
+      if (!session || session.answers.length >= session.questions.length) {
+        return session;
+      }
+      session.answers.push(answer);
+      session.updatedAt = now();
+      return session;
+    },
+    remove(id) {
+      sessions.delete(id);
+    },
+  };
+}
+
+export function isSessionComplete(session) {
+  return session.answers.length >= session.questions.length;
+}
+
+export function describeSession(session) {
+  const complete = isSessionComplete(session);
+  const index = session.answers.length;
+  return {
+    sessionId: session.id,
+    status: complete ? "ready" : "asking",
+    questionsTotal: session.questions.length,
+    ...(complete ? {} : { question: { ...session.questions[index], index } }),
+  };
+}
+
+export function sessionConversation(session) {
+  return session.questions.map((question, index) => ({
+    question: question.text,
+    answer: session.answers[index] || "",
+  }));
+}
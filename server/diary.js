@@ -0,0 +1,139 @@
+import { z } from "zod";
+
+export const DIARY_COLLECTION = "diary";
+// How far back a new check looks: long enough to see a fever that started days ago.
+export const DIARY_LOOKBACK_HOURS = 7 * 24;
+// The Wong-Baker FACES scale only has even scores, one per face.
+export const PAIN_FACES = [0, 2, 4, 6, 8, 10];
+const HOUR_MS = 60 * 60 * 1000;
+const FEVER_C = 38;
+// Readings further apart than this are treated as separate fevers.
+const FEVER_GAP_HOURS = 24;
+const CONTEXT_HOURS = 72;
+const MAX_CONTEXT_ENTRIES = 12;
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+
+const measurement = (schema) => schema.nullable().optional().default(null);
+
+export const diaryEntrySchema = z
+  .object({
+    profileId: z.string({ required_error: "errors.diaryProfileRequired" }).trim().uuid("errors.profileIdInvalid"),
+    recordedAt: z
+      .string()
+      .datetime({ offset: true, message: "errors.diaryTimeInvalid" })
+      // Stored in UTC so entries from different offsets compare and print alike.
+      .transform((value) => new Date(value).toISOString())
+      .optional()
+      .default(() => new Date().toISOString()),
+    temperatureC: measurement(z.number().min(34, "errors.diaryTemperatureRange").max(43.5, "errors.diaryTemperatureRange")),
+    painScore: measurement(z.number().refine((value) => PAIN_FACES.includes(value), "errors.diaryPainScale")),
+    fluidsMl: measurement(z.number().int().min(0, "errors.diaryFluidsRange").max(5000, "errors.diaryFluidsRange")),
+    sleepHours: measurement(z.number().min(0, "errors.diarySleepRange").max(24, "errors.diarySleepRange")),
+    note: z.string().trim().max(500, "errors.diaryNoteTooLong").optional().default(""),
+  })
+  .superRefine((value, ctx) => {
+    const measured = ["temperatureC", "painScore", "fluidsMl", "sleepHours"].some((key) => value[key] !== null);
+    if (!measured && !value.note) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: "errors.diaryEntryEmpty" });
+    }
+    if (Date.parse(value.recordedAt) > Date.now() + MAX_FUTURE_MS) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["recordedAt"], message: "errors.diaryTimeInFuture" });
+    }
+  });
+
+export const diaryQuerySchema = z.object({
+  profileId: z.string({ required_error: "errors.diaryProfileRequired" }).trim().uuid("errors.profileIdInvalid"),
+  days: z.coerce.number().int("errors.diaryDaysRange").min(1, "errors.diaryDaysRange").max(90, "errors.diaryDaysRange").optional().default(14),
+});
+
+/**
+ * The child's entries from the last `hours`, oldest first. Sorted by instant, not by
+ * string: entries saved before times were stored in UTC may still carry an offset.
+ */
+export function recentDiary(entries, { profileId, hours, now = new Date() }) {
+  const since = now.getTime() - hours * HOUR_MS;
+  return entries
+    .filter((entry) => entry.profileId === profileId && Date.parse(entry.recordedAt) >= since)
+    .sort((a, b) => Date.parse(a.recordedAt) - Date.parse(b.recordedAt));
+}
+
+/**
+ * The diary's numbers in the shape triage scores: the highest temperature of the last
+ * day, and how long the current fever has lasted. A fever runs back from the latest
+ * reading through readings at or above 38°C, and has ended once a lower reading comes
+ * in or nothing was recorded for a day. `entries` must be oldest first.
+ */
+export function diaryVitals(entries, now = new Date()) {
+  const readings = entries.filter((entry) => entry.temperatureC !== null && entry.temperatureC !== undefined);
+  const dayAgo = now.getTime() - 24 * HOUR_MS;
+  const lastDay = readings.filter((entry) => Date.parse(entry.recordedAt) >= dayAgo);
+  const temperatureC = lastDay.length > 0 ? Math.max(...lastDay.map((entry) => entry.temperatureC)) : null;
+
+  let feverStart = null;
+  const latest = readings.at(-1);
+  if (latest && latest.temperatureC >= FEVER_C && Date.parse(latest.recordedAt) >= dayAgo) {
+    feverStart = Date.parse(latest.recordedAt);
+    for (let index = readings.length - 2; index >= 0; index -= 1) {
+      const time = Date.parse(readings[index].recordedAt);
+      if (readings[index].temperatureC < FEVER_C || feverStart - time > FEVER_GAP_HOURS * HOUR_MS) {
+        break;
+      }
+      feverStart = time;
+    }
+  }
+
+  return {
+    temperatureC,
+    feverDurationHours: feverStart === null ? null : Math.round((now.getTime() - feverStart) / HOUR_MS),
+  };
+}
+
+function formatTime(iso) {
+  return `${new Date(iso).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function describeEntry(entry) {
+  const parts = [];
+  if (entry.temperatureC !== null) {
+    parts.push(`temperature ${entry.temperatureC}°C`);
+  }
+  if (entry.painScore !== null) {
+    parts.push(`pain ${entry.painScore}/10`);
+  }
+  if (entry.fluidsMl !== null) {
+    parts.push(`fluids ${entry.fluidsMl} mL`);
+  }
+  if (entry.sleepHours !== null) {
+    parts.push(`sleep ${entry.sleepHours} h`);
+  }
+  if (entry.note) {
+    parts.push(`note: "${entry.note.replace(/\s+/g, " ")}"`);
+  }
+  return `${formatTime(entry.recordedAt)}: ${parts.join(", ")}`;
+}
+
+/**
+ * Diary lines for the system prompt: the last three days, oldest first and at most
+ * twelve entries, with a temperature trend when there are two readings or more.
+ * `entries` must be oldest first; older ones only count towards the fever duration.
+ */
+export function buildDiaryContext(entries, now = new Date()) {
+  const recent = entries.filter((entry) => Date.parse(entry.recordedAt) >= now.getTime() - CONTEXT_HOURS * HOUR_MS);
+  if (recent.length === 0) {
+    return "";
+  }
+
+  const lines = recent.slice(-MAX_CONTEXT_ENTRIES).map(describeEntry);
+  const temperatures = recent.filter((entry) => entry.temperatureC !== null);
+  if (temperatures.length >= 2) {
+    const first = temperatures[0].temperatureC;
+    const last = temperatures.at(-1).temperatureC;
+    const trend = last - first >= 0.5 ? "rising" : first - last >= 0.5 ? "falling" : "steady";
+    lines.push(`Temperature trend: ${trend}, from ${first}°C to ${last}°C.`);
+  }
+  const { feverDurationHours } = diaryVitals(entries, now);
+  if (feverDurationHours !== null) {
+    lines.push(`Fever (38°C or more) for about ${feverDurationHours} hours.`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { buildDiaryContext, diaryEntrySchema, diaryVitals, recentDiary } from "./diary.js";
+
+const now = new Date("2026-03-10T12:00:00Z");
+const at = (hoursAgo, fields) => ({
+  id: `entry-${hoursAgo}`,
+  profileId: "child",
+  recordedAt: new Date(now.getTime() - hoursAgo * 60 * 60 * 1000).toISOString(),
+  temperatureC: null,
+  painScore: null,
+  fluidsMl: null,
+  sleepHours: null,
+  note: "",
+  ...fields,
+});
+
+describe("symptom diary", () => {
+  it("validates entries against the faces scale and sensible ranges", () => {
+    const profileId = "6f1c1c36-8f2e-4a63-9a53-4d7a3a1c1b11";
+    const parsed = diaryEntrySchema.parse({ profileId, painScore: 4 });
+    expect(parsed).toMatchObject({ painScore: 4, temperatureC: null, fluidsMl: null, sleepHours: null, note: "" });
+    expect(Date.parse(parsed.recordedAt)).not.toBeNaN();
+
+    const firstError = (body) => diaryEntrySchema.safeParse({ profileId, ...body }).error?.issues[0].message;
+    expect(firstError({ painScore: 3 })).toBe("errors.diaryPainScale");
+    expect(firstError({ temperatureC: 45 })).toBe("errors.diaryTemperatureRange");
+    expect(firstError({ fluidsMl: 12.5 })).toBeDefined();
+    expect(firstError({ sleepHours: 30 })).toBe("errors.diarySleepRange");
+    expect(firstError({ note: "  " })).toBe("errors.diaryEntryEmpty");
+    expect(firstError({ temperatureC: 38, recordedAt: "yesterday" })).toBe("errors.diaryTimeInvalid");
+    expect(diaryEntrySchema.parse({ profileId, temperatureC: 38, recordedAt: "2026-03-10T09:30:00+05:30" }).recordedAt).toBe(
+      "2026-03-10T04:00:00.000Z",
+    );
+  });
+
+  it("orders entries by time even when they were saved with different offsets", () => {
+    // 10:00 at +05:00 is 05:00 UTC, so it came before 07:00Z even though it sorts after as text.
+    const entries = [
+      { ...at(5, { temperatureC: 39 }), id: "later", recordedAt: "2026-03-10T07:00:00Z" },
+      { ...at(7, { temperatureC: 37 }), id: "earlier", recordedAt: "2026-03-10T10:00:00+05:00" },
+    ];
+    const ordered = recentDiary(entries, { profileId: "child", hours: 24, now });
+
+    expect(ordered.map((entry) => entry.id)).toEqual(["earlier", "later"]);
+    expect(diaryVitals(ordered, now)).toEqual({ temperatureC: 39, feverDurationHours: 5 });
+  });
+
+  it("tracks the current fever and summarizes the last three days for the prompt", () => {
+    const entries = [
+      at(120, { temperatureC: 39.1 }),
+      at(90, { temperatureC: 37.2 }),
+      at(70, { temperatureC: 38.4, note: "Hot\nand grumpy" }),
+      at(50, { temperatureC: 39.5, sleepHours: 6 }),
+      at(28, { temperatureC: 39.2, painScore: 8, fluidsMl: 250 }),
+      at(4, { temperatureC: 38.9 }),
+    ];
+
+    expect(diaryVitals(entries, now)).toEqual({ temperatureC: 38.9, feverDurationHours: 70 });
+    // A day without readings ends the fever, and so does a normal reading.
+    expect(diaryVitals([at(60, { temperatureC: 39 }), at(30, { temperatureC: 39 }), at(2, { temperatureC: 38.5 })], now)).toEqual({
+      temperatureC: 38.5,
+      feverDurationHours: 2,
+    });
+    expect(diaryVitals([at(10, { temperatureC: 39 }), at(2, { temperatureC: 37 })], now)).toEqual({
+      temperatureC: 39,
+      feverDurationHours: null,
+    });
+
+    expect(buildDiaryContext(entries, now).split("\n")).toEqual([
+      '2026-03-07 14:00 UTC: temperature 38.4°C, note: "Hot and grumpy"',
+      "2026-03-08 10:00 UTC: temperature 39.5°C, sleep 6 h",
+      "2026-03-09 08:00 UTC: temperature 39.2°C, pain 8/10, fluids 250 mL",
+      "2026-03-10 08:00 UTC: temperature 38.9°C",
+      "Temperature trend: rising, from 38.4°C to 38.9°C.",
+      "Fever (38°C or more) for about 70 hours.",
+    ]);
+    expect(buildDiaryContext([at(100, { temperatureC: 39 })], now)).toBe("");
+
+    const mixed = [at(5, { profileId: "other", temperatureC: 39 }), ...entries].reverse();
+    expect(recentDiary(mixed, { profileId: "child", hours: 24, now }).map((entry) => entry.id)).toEqual(["entry-4"]);
+  });
+});
@@ -0,0 +1,187 @@
+import zlib from "node:zlib";
+
+export const MAX_DOCUMENT_TEXT_CHARS = 12_000;
+const MAX_INFLATED_STREAM_BYTES = 8 * 1024 * 1024;
+// Across all streams of one file, so a small upload of many compressed streams cannot
+// inflate to gigabytes while the request handler waits.
+const MAX_INFLATED_TOTAL_BYTES = 16 * 1024 * 1024;
+const MIN_READABLE_RATIO = 0.85;
+
+const TEXT_OPERATOR_PATTERN =
+  /\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+
+const PDF_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", "(": "(", ")": ")", "\\": "\\" };
+
+function decodeLiteralString(token) {
+  return token
+    .slice(1, -1)
+    .replace(/\\(\d{1,3}|[\s\S])/g, (_match, escaped) => {
+      if (/^\d+$/.test(escaped)) {
+        return String.fromCharCode(parseInt(escaped, 8));
+      }
+      if (escaped === "\n" || escaped === "\r") {
+        return "";
+      }
+      return PDF_ESCAPES[escaped] ?? escaped;
+    });
+}
+
+function decodeHexString(token) {
+  const hex = token.slice(1, -1).replace(/\s+/g, "");
+  const padded = hex.length % 2 === 0 ? hex : `${hex}0`;
+  let text = "";
+  for (let index = 0; index < padded.length; index += 2) {
+    text += String.fromCharCode(parseInt(padded.slice(index, index + 2), 16));
+  }
+  return text;
+}
+
+function decodeStringToken(token) {
+  return token.startsWith("(") ? decodeLiteralString(token) : decodeHexString(token);
+}
+
+// Returns the stream's content and how many bytes of the inflate budget it used. A
+// stream that hits `limit` used all of it, even though its content is dropped.
+function inflateStream(dictionary, data, limit) {
+  if (!/\/Filter\s*(?:\[\s*)?\/FlateDecode/.test(dictionary)) {
+    return { content: /\/Filter/.test(dictionary) ? null : data.toString("latin1"), bytes: data.length };
+  }
+  try {
+    const inflated = zlib.inflateSync(data, { maxOutputLength: limit });
+    return { content: inflated.toString("latin1"), bytes: inflated.length };
+  } catch (error) {
+    return { content: null, bytes: error.code === "ERR_BUFFER_TOO_LARGE" ? limit : 0 };
+  }
+}
+
+// Reads the text-showing operators (Tj, TJ, ', ") of one content stream. Large negative
+// TJ offsets are word gaps, and line moves become newlines.
+function readContentStreamText(content) {
+  if (!/\bBT\b/.test(content)) {
+    return "";
+  }
+
+  let text = "";
+  let operands = [];
+  let inArray = false;
+  for (const [token] of content.matchAll(TEXT_OPERATOR_PATTERN)) {
+    if (token === "[") {
+      inArray = true;
+      operands = [];
+    } else if (token === "]") {
+      inArray = false;
+    } else if (token.startsWith("(") || token.startsWith("<")) {
+      operands.push(decodeStringToken(token));
+    } else if (/^-?\d*\.?\d+$/.test(token)) {
+      if (inArray && Number(token) < -200) {
+        operands.push(" ");
+      }
+    } else if (!inArray && !token.startsWith("/")) {
+      if (token === "Tj" || token === "TJ") {
+        text += operands.join("");
+      } else if (token === "'" || token === '"') {
+        text += `\n${operands.join("")}`;
+      } else if (token === "T*" || token === "Td" || token === "TD" || token === "ET") {
+        text += "\n";
+      }
+      operands = [];
+    }
+  }
+  return text;
+}
+
+function isReadable(text) {
+  const visible = text.replace(/\s+/g, "");
+  if (!visible) {
+    return false;
+  }
+  const printable = visible.match(/[\p{L}\p{N}\p{P}\p{S}]/gu)?.length || 0;
+  return printable / visible.length >= MIN_READABLE_RATIO;
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// A deliberately small parser: it covers the uncompressed and Flate-compressed text
+// that lab and clinic systems usually export. Scanned PDFs or custom font encodings
+// come back empty, and providers that read PDFs natively then get the original file.
+// Reading stops once the streams have inflated to MAX_INFLATED_TOTAL_BYTES.
+export function extractPdfText(buffer) {
+  const source = buffer.toString("latin1");
+  if (!source.startsWith("%PDF-")) {
+    return "";
+  }
+
+  const chunks = [];
+  let cursor = 0;
+  let budget = MAX_INFLATED_TOTAL_BYTES;
+  while (cursor < source.length && budget > 0) {
+    const streamIndex = source.indexOf("stream", cursor);
+    if (streamIndex === -1) {
+      break;
+    }
+    const endIndex = source.indexOf("endstream", streamIndex + 6);
+    if (endIndex === -1) {
+      break;
+    }
+    cursor = endIndex + 9;
+    if (source.startsWith("end", streamIndex - 3)) {
+      continue;
+    }
+
+    const dictionary = source.slice(Math.max(0, source.lastIndexOf("obj", streamIndex)), streamIndex);
+    const dataStart = streamIndex + (source.startsWith("\r\n", streamIndex + 6) ? 8 : 7);
+    const data = Buffer.from(source.slice(dataStart, endIndex).replace(/\r?\n$/, ""), "latin1");
+    const { content, bytes } = inflateStream(dictionary, data, Math.min(MAX_INFLATED_STREAM_BYTES, budget));
+    budget -= bytes;
+    if (content) {
+      chunks.push(readContentStreamText(content));
+    }
+  }
+
+  const text = normalizeWhitespace(chunks.join("\n"));
+  return isReadable(text) ? text : "";
+}
+
+export function truncateDocumentText(text, maxChars = MAX_DOCUMENT_TEXT_CHARS) {
+  if (text.length <= maxChars) {
+    return { text, truncated: false };
+  }
+  const cut = text.slice(0, maxChars);
+  const lastBreak = Math.max(cut.lastIndexOf("\n"), cut.lastIndexOf(" "));
+  return { text: (lastBreak > maxChars * 0.8 ? cut.slice(0, lastBreak) : cut).trimEnd(), truncated: true };
+}
+
+export function extractDocumentText(file) {
+  if (!file?.base64 || file.isImage) {
+    return null;
+  }
+
+  const buffer = Buffer.from(file.base64.replace(/\s+/g, ""), "base64");
+  const mimeType = file.mimeType.toLowerCase();
+  let text = "";
+  if (mimeType === "application/pdf") {
+    text = extractPdfText(buffer);
+  } else if (mimeType === "text/plain") {
+    text = normalizeWhitespace(buffer.toString("utf8").replace(/\uFFFD/g, ""));
+  }
+
+  // Strip anything that could close the document fence in the prompt early. Removing
+  // one tag can join the pieces around it into another, so repeat until nothing changes.
+  let fenced = text;
+  for (let previous = null; fenced !== previous; ) {
+    previous = fenced;
+    fenced = fenced.replace(/<\/?document[^>]*>/gi, "");
+  }
+  return {
+    fileName: (file.fileName || "upload").replace(/[<>"\r\n]/g, ""),
+    mimeType,
+    ...truncateDocumentText(fenced),
+  };
+}
@@ -0,0 +1,308 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+import { translate } from "./i18n.js";
+import { escapeRegex, wordsRegex } from "./text.js";
+import { normalizeTriageText } from "./triage/index.js";
+
+export const DEFAULT_DOSING_TABLE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "dosing.json");
+const MAX_AGE_MONTHS = 18 * 12;
+const WEIGHT_KG = { min: 2, max: 150 };
+
+const id = z.string().regex(/^[a-z][A-Za-z0-9]*$/, "Ids are camelCase letters and digits.");
+const terms = z.array(z.string().trim().min(1).max(80)).min(1).max(30);
+
+const dosingSchema = z
+  .object({
+    minAgeMonths: z.number().int().min(0).max(MAX_AGE_MONTHS),
+    everyHours: z.number().int().min(1).max(24),
+    maxDosesPerDay: z.number().int().min(1).max(6),
+    formulations: z
+      .array(
+        z
+          .object({
+            id,
+            mg: z.number().positive(),
+            ml: z.number().positive(),
+            maxMonths: z.number().int().min(0).max(MAX_AGE_MONTHS).optional(),
+          })
+          .strict(),
+      )
+      .min(1),
+    bands: z
+      .array(
+        z
+          .object({
+            minKg: z.number().positive(),
+            minMonths: z.number().int().min(0).max(MAX_AGE_MONTHS),
+            doseMg: z.number().positive(),
+          })
+          .strict(),
+      )
+      .min(1),
+  })
+  .strict();
+
+const tableSchema = z
+  .object({
+    version: z.number().int().positive(),
+    reviewedAt: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "reviewedAt must be a YYYY-MM-DD date."),
+    source: z.string().trim().min(1).max(300),
+    conditions: z.record(id, terms),
+    ingredients: z
+      .array(
+        z
+          .object({
+            id,
+            class: id,
+            aliases: terms,
+            avoidWhen: z.record(id, z.enum(["reject", "caution"])).optional().default({}),
+            notUnderMonths: z.number().int().min(0).max(MAX_AGE_MONTHS).optional(),
+            dosing: dosingSchema.optional(),
+          })
+          .strict(),
+      )
+      .min(1),
+    products: z.array(z.object({ id, aliases: terms, ingredients: z.array(id).min(1) }).strict()).optional().default([]),
+    classAliases: z.record(id, terms).optional().default({}),
+  })
+  .strict();
+
+/**
+ * Checks a parsed dosing table and returns `{ success, data, errors }`. Besides the
+ * shape, bands must rise in both weight and age, and every condition and ingredient
+ * an entry points at must exist.
+ */
+export function validateDosingTable(data) {
+  const parsed = tableSchema.safeParse(data);
+  if (!parsed.success) {
+    return {
+      success: false,
+      errors: parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`),
+    };
+  }
+
+  const errors = [];
+  const { conditions, ingredients, products } = parsed.data;
+  const ingredientIds = new Set(ingredients.map((ingredient) => ingredient.id));
+  const seen = new Set();
+  for (const entry of [...ingredients, ...products]) {
+    if (seen.has(entry.id)) {
+      errors.push(`${entry.id}: duplicate id.`);
+    }
+    seen.add(entry.id);
+  }
+  for (const ingredient of ingredients) {
+    for (const condition of Object.keys(ingredient.avoidWhen)) {
+      if (!conditions[condition]) {
+        errors.push(`${ingredient.id}: unknown condition "${condition}".`);
+      }
+    }
+    const bands = ingredient.dosing?.bands || [];
+    bands.slice(1).forEach((band, index) => {
+      if (band.minKg <= bands[index].minKg || band.minMonths <= bands[index].minMonths || band.doseMg < bands[index].doseMg) {
+        errors.push(`${ingredient.id}: band ${index + 1} must start at a higher weight and age than the one before.`);
+      }
+    });
+    if (bands.length > 0 && bands[0].minMonths < ingredient.dosing.minAgeMonths) {
+      errors.push(`${ingredient.id}: the first band starts below minAgeMonths.`);
+    }
+  }
+  for (const product of products) {
+    for (const ingredient of product.ingredients) {
+      if (!ingredientIds.has(ingredient)) {
+        errors.push(`${product.id}: unknown ingredient "${ingredient}".`);
+      }
+    }
+  }
+
+  return errors.length > 0 ? { success: false, errors } : { success: true, data: parsed.data };
+}
+
+export function loadDosingTable(filePath = DEFAULT_DOSING_TABLE_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read the dosing table from ${filePath}: ${error.message}`);
+  }
+  const validation = validateDosingTable(data);
+  if (!validation.success) {
+    throw new Error(`Invalid dosing table in ${filePath}:\n- ${validation.errors.join("\n- ")}`);
+  }
+  return validation.data;
+}
+
+function termsRegex(sources) {
+  return wordsRegex(sources.map(normalizeTriageText));
+}
+
+const matchers = new WeakMap();
+
+function matchersFor(table) {
+  if (!matchers.has(table)) {
+    const aliases = (entry) => termsRegex(entry.aliases.map(escapeRegex));
+    matchers.set(table, {
+      entries: [
+        ...table.products.map((product) => ({ id: product.id, product: true, ingredients: product.ingredients, regex: aliases(product) })),
+        ...table.ingredients.map((ingredient) => ({ id: ingredient.id, product: false, ingredients: [ingredient.id], regex: aliases(ingredient) })),
+      ],
+      ingredients: new Map(table.ingredients.map((ingredient) => [ingredient.id, { ...ingredient, regex: aliases(ingredient) }])),
+      conditions: new Map(Object.entries(table.conditions).map(([name, patterns]) => [name, termsRegex(patterns)])),
+      classes: new Map(Object.entries(table.classAliases).map(([name, patterns]) => [name, termsRegex(patterns)])),
+    });
+  }
+  return matchers.get(table);
+}
+
+function identify(compiled, name) {
+  const text = normalizeTriageText(name);
+  return compiled.entries.find((entry) => entry.id === name) || compiled.entries.find((entry) => entry.regex.test(text)) || null;
+}
+
+/** Ids of the medicines and products the text mentions, e.g. "can she have Calpol?". */
+export function findMedicines(table, text) {
+  const normalized = normalizeTriageText(text);
+  return matchersFor(table)
+    .entries.filter((entry) => entry.regex.test(normalized))
+    .map((entry) => entry.id);
+}
+
+function findBand(dosing, { weightKg, ageMonths }) {
+  if (weightKg !== null) {
+    return { basis: "weight", band: dosing.bands.findLast((band) => band.minKg <= weightKg) || null };
+  }
+  if (ageMonths !== null) {
+    return { basis: "age", band: dosing.bands.findLast((band) => band.minMonths <= ageMonths) || null };
+  }
+  return { basis: null, band: null };
+}
+
+// Formulations limited to young children (infant drops) are only offered when the
+// child's own age is known to be within the limit.
+function describeDose(dosing, { basis, band }, { ageMonths, language }) {
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    mg: band.doseMg,
+    basis,
+    everyHours: dosing.everyHours,
+    maxDosesPerDay: dosing.maxDosesPerDay,
+    maxMgPerDay: band.doseMg * dosing.maxDosesPerDay,
+    amounts: dosing.formulations
+      .filter((formulation) => formulation.maxMonths === undefined || (ageMonths !== null && ageMonths <= formulation.maxMonths))
+      .map((formulation) => ({
+        formulation: formulation.id,
+        label: translate(language, `ui.dosing.formulations.${formulation.id}`),
+        ml: round((band.doseMg / formulation.mg) * formulation.ml),
+      })),
+  };
+}
+
+/**
+ * Checks each medicine against the reviewed table and returns one entry per name:
+ * "rejected" (with why) for under-age or under-weight children, allergies, conditions
+ * the medicine is unsafe with, and combinations such as two products sharing an
+ * ingredient or two anti-inflammatories; otherwise the dose for the child's weight
+ * (or, without one, age) with "ok" or "caution". Names the table does not know, and
+ * combination products, come back "unknown" without a dose, and "needsInfo" asks for
+ * the age (a medicine with a minimum age) or the weight or age (any other) when they are
+ * missing. `currentMedicines` are ones the child already takes; they only count towards
+ * combinations.
+ */
+export function checkDosing(
+  table,
+  { medicines, currentMedicines = [], ageMonths = null, weightKg = null, allergies = [], conditions = "", language = "en" },
+) {
+  const compiled = matchersFor(table);
+  const requested = medicines.map((name) => ({ name, match: identify(compiled, name) }));
+  const others = currentMedicines.map((name) => identify(compiled, name)).filter(Boolean);
+  const conditionText = normalizeTriageText(conditions);
+  const allergyTexts = allergies.map(normalizeTriageText);
+  const reason = (code, params = {}) => ({ code, message: translate(language, `ui.dosing.reasons.${code}`, params) });
+  const medicineLabel = (medicineId) => translate(language, `ui.dosing.medicines.${medicineId}`);
+
+  const checks = requested.map(({ name, match }, index) => {
+    if (!match) {
+      return { name, medicine: null, label: name, status: "unknown", reasons: [reason("notInTable")], dose: null };
+    }
+
+    const rejected = [];
+    const cautions = [];
+    const alongsideIngredients = [...requested.filter((_, other) => other !== index).map((entry) => entry.match), ...others]
+      .filter(Boolean)
+      .flatMap((entry) => entry.ingredients)
+      .map((ingredientId) => compiled.ingredients.get(ingredientId));
+    for (const ingredient of match.ingredients.map((ingredientId) => compiled.ingredients.get(ingredientId))) {
+      if (ingredient.notUnderMonths !== undefined && (ageMonths === null || ageMonths < ingredient.notUnderMonths)) {
+        rejected.push(reason("notForChildren"));
+      }
+      const classRegex = compiled.classes.get(ingredient.class);
+      if (allergyTexts.some((allergy) => ingredient.regex.test(allergy) || classRegex?.test(allergy))) {
+        rejected.push(reason("allergy"));
+      }
+      for (const [condition, action] of Object.entries(ingredient.avoidWhen)) {
+        if (compiled.conditions.get(condition).test(conditionText)) {
+          (action === "reject" ? rejected : cautions).push(reason(`conditions.${condition}`));
+        }
+      }
+      if (alongsideIngredients.some((other) => other.id === ingredient.id)) {
+        rejected.push(reason("sameIngredient", { ingredient: medicineLabel(ingredient.id) }));
+      } else if (ingredient.class === "nsaid" && alongsideIngredients.some((other) => other.class === "nsaid")) {
+        rejected.push(reason("twoNsaids"));
+      }
+    }
+
+    const result = { name, medicine: match.id, label: medicineLabel(match.id), reasons: [], dose: null };
+    const dosing = match.product ? null : compiled.ingredients.get(match.id).dosing;
+    if (rejected.length > 0) {
+      return { ...result, status: "rejected", reasons: [...rejected, ...cautions] };
+    }
+    if (match.product) {
+      return { ...result, status: "unknown", reasons: [reason("combinationProduct", { ingredient: match.ingredients.map(medicineLabel).join(", ") })] };
+    }
+    if (!dosing) {
+      return { ...result, status: "unknown", reasons: [reason("notInTable")] };
+    }
+    // A weight alone cannot show that the child is old enough.
+    if (ageMonths === null && dosing.minAgeMonths > 0) {
+      return { ...result, status: "needsInfo", reasons: [reason("needsAge", { months: dosing.minAgeMonths }), ...cautions] };
+    }
+    if (ageMonths !== null && ageMonths < dosing.minAgeMonths) {
+      return { ...result, status: "rejected", reasons: [reason("underAge", { months: dosing.minAgeMonths })] };
+    }
+
+    const found = findBand(dosing, { weightKg, ageMonths });
+    if (!found.basis) {
+      return { ...result, status: "needsInfo", reasons: [reason("needsWeight"), ...cautions] };
+    }
+    if (!found.band) {
+      return { ...result, status: "rejected", reasons: [reason("underWeight", { kg: dosing.bands[0].minKg })] };
+    }
+    return {
+      ...result,
+      status: cautions.length > 0 ? "caution" : "ok",
+      reasons: [...cautions, ...(found.basis === "age" ? [reason("byAge")] : [])],
+      dose: describeDose(dosing, found, { ageMonths, language }),
+    };
+  });
+
+  return { reviewedAt: table.reviewedAt, checks, disclaimer: translate(language, "ui.dosing.disclaimer") };
+}
+
+export const weightKgSchema = z
+  .number()
+  .min(WEIGHT_KG.min, "errors.weightRange")
+  .max(WEIGHT_KG.max, "errors.weightRange");
+
+const medicineName = z.string().trim().min(1).max(80, "errors.medicineNameTooLong");
+
+export const dosingRequestSchema = z.object({
+  medicines: z.array(medicineName).min(1, "errors.dosingMedicinesRequired").max(5, "errors.dosingMedicinesTooMany"),
+  currentMedicines: z.array(medicineName).max(20, "errors.medicationsTooMany").optional().default([]),
+  weightKg: weightKgSchema.optional(),
+  ageMonths: z.number().int().min(0, "errors.dosingAgeRange").max(MAX_AGE_MONTHS, "errors.dosingAgeRange").optional(),
+  profileId: z.string().trim().uuid("errors.profileIdInvalid").optional(),
+  symptoms: z.string().trim().max(1500, "errors.symptomsTooLong").optional().default(""),
+  language: z.string().optional(),
+});
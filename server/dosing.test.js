@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { checkDosing, findMedicines, loadDosingTable, validateDosingTable } from "./dosing.js";
+
+const table = loadDosingTable();
+
+describe("medicine dosing checker", () => {
+  it("doses by weight, falls back to age, and rejects under-age or under-weight children", () => {
+    const [byWeight] = checkDosing(table, { medicines: ["Children's Motrin"], weightKg: 18, ageMonths: 24 }).checks;
+    expect(byWeight).toMatchObject({ medicine: "ibuprofen", label: "Ibuprofen", status: "ok", reasons: [] });
+    expect(byWeight.dose).toEqual({
+      mg: 150,
+      basis: "weight",
+      everyHours: 6,
+      maxDosesPerDay: 4,
+      maxMgPerDay: 600,
+      amounts: [{ formulation: "ibuprofenLiquid", label: "children's liquid (100 mg in 5 mL)", ml: 7.5 }],
+    });
+
+    const [byAge] = checkDosing(table, { medicines: ["calpol"], ageMonths: 14, language: "es" }).checks;
+    expect(byAge.dose).toMatchObject({ mg: 120, basis: "age", everyHours: 4, maxDosesPerDay: 5 });
+    expect(byAge.dose.amounts[0].ml).toBe(3.75);
+    expect(byAge.reasons.map((reason) => reason.code)).toEqual(["byAge"]);
+    expect(byAge.label).toBe("Paracetamol (acetaminofén)");
+
+    const [infant] = checkDosing(table, { medicines: ["ibuprofen"], ageMonths: 9 }).checks;
+    expect(infant.dose.amounts.map((amount) => [amount.formulation, amount.ml])).toEqual([
+      ["ibuprofenLiquid", 2.5],
+      ["ibuprofenDrops", 1.25],
+    ]);
+
+    const tooYoung = checkDosing(table, { medicines: ["ibuprofen"], ageMonths: 4, weightKg: 7 }).checks[0];
+    expect(tooYoung).toMatchObject({ status: "rejected", dose: null });
+    expect(tooYoung.reasons[0]).toEqual({ code: "underAge", message: "Not for babies under 6 months unless a doctor says so." });
+    expect(checkDosing(table, { medicines: ["tylenol"], weightKg: 4, ageMonths: 6 }).checks[0].reasons[0].code).toBe("underWeight");
+    expect(checkDosing(table, { medicines: ["tylenol"] }).checks[0].status).toBe("needsInfo");
+
+    const noAge = checkDosing(table, { medicines: ["ibuprofen"], weightKg: 6 }).checks[0];
+    expect(noAge).toMatchObject({ status: "needsInfo", dose: null });
+    expect(noAge.reasons[0]).toEqual({
+      code: "needsAge",
+      message: "Add the child's age to see the dose. It is not for babies under 6 months.",
+    });
+
+    const [toddler] = checkDosing(table, { medicines: ["ibuprofen"], weightKg: 7, ageMonths: 30 }).checks;
+    expect(toddler.dose).toMatchObject({ mg: 50, basis: "weight" });
+    expect(toddler.dose.amounts.map((amount) => amount.formulation)).toEqual(["ibuprofenLiquid"]);
+  });
+
+  it("rejects shared ingredients, two anti-inflammatories, aspirin, allergies and unsafe conditions", () => {
+    const statuses = (options) =>
+      checkDosing(table, { ageMonths: 60, ...options }).checks.map((check) => [check.medicine, check.status, check.reasons[0]?.code]);
+
+    expect(statuses({ medicines: ["Tylenol", "NyQuil"] })).toEqual([
+      ["paracetamol", "rejected", "sameIngredient"],
+      ["coldAndFlu", "rejected", "sameIngredient"],
+    ]);
+    expect(statuses({ medicines: ["paracetamol"], currentMedicines: ["Panadol syrup"] })[0][2]).toBe("sameIngredient");
+    expect(statuses({ medicines: ["Advil", "Aleve"] })).toEqual([
+      ["ibuprofen", "rejected", "twoNsaids"],
+      ["naproxen", "rejected", "twoNsaids"],
+    ]);
+    expect(statuses({ medicines: ["aspirina"] })).toEqual([["aspirin", "rejected", "notForChildren"]]);
+    expect(statuses({ medicines: ["ibuprofen", "paracetamol"], allergies: ["NSAIDs"] })).toEqual([
+      ["ibuprofen", "rejected", "allergy"],
+      ["paracetamol", "ok", "byAge"],
+    ]);
+    expect(statuses({ medicines: ["ibuprofène"], conditions: "Il a la varicelle." })).toEqual([
+      ["ibuprofen", "rejected", "conditions.chickenpox"],
+    ]);
+    expect(statuses({ medicines: ["ibuprofen"], conditions: "Asthma" })).toEqual([["ibuprofen", "caution", "conditions.asthma"]]);
+    expect(statuses({ medicines: ["lemsip"] })).toEqual([["coldAndFlu", "unknown", "combinationProduct"]]);
+    expect(statuses({ medicines: ["cough drops"] })).toEqual([[null, "unknown", "notInTable"]]);
+  });
+
+  it("finds medicines in any language and validates the table", () => {
+    expect(findMedicines(table, "How much children's ibuprofen can she have?")).toEqual(["ibuprofen"]);
+    expect(findMedicines(table, "¿Le puedo dar paracetamol o NyQuil?")).toEqual(["coldAndFlu", "paracetamol"]);
+    expect(findMedicines(table, "هل يمكن أن أعطيه باراسيتامول؟")).toEqual(["paracetamol"]);
+    expect(findMedicines(table, "My tummy hurts")).toEqual([]);
+
+    const broken = structuredClone(table);
+    broken.ingredients[1].dosing.bands[2].minKg = 1;
+    broken.ingredients[1].avoidWhen.measles = "reject";
+    expect(validateDosingTable(broken).errors).toEqual([
+      'ibuprofen: unknown condition "measles".',
+      "ibuprofen: band 2 must start at a higher weight and age than the one before.",
+    ]);
+  });
+});
@@ -0,0 +1,277 @@
+import { z } from "zod";
+import { translate } from "./i18n.js";
+import { createPdfDocument } from "./pdf.js";
+
+const TRIAGE_COLORS = {
+  emergency: "#c62828",
+  caution: "#b35c00",
+  routine: "#2e7d32",
+};
+const READING_LEVELS = ["very_simple", "simple", "detailed"];
+const URGENCIES = ["emergency", "soon", "monitor"];
+const LAB_FLAGS = ["low", "high", "normal"];
+
+const shortText = (max) => z.string().trim().max(max).optional().default("");
+const textList = z.array(z.string().trim().max(300)).max(40).optional().default([]);
+
+// Mirrors what /api/diagnose returns, so the app can export a check that was never
+// saved (for example when storage is off).
+export const handoffPdfSchema = z.object({
+  handoff: z.object({
+    createdAt: shortText(40),
+    childName: shortText(80),
+    childAge: shortText(80),
+    symptoms: shortText(1500),
+    feelings: z.array(z.string().trim().max(20)).max(10).optional().default([]),
+    parentNotes: shortText(1500),
+    language: shortText(10),
+    readingLevel: shortText(20),
+    dateOfBirth: shortText(10),
+    allergies: textList,
+    chronicConditions: textList,
+    medications: textList,
+    followUp: z
+      .array(z.object({ question: z.string().trim().max(300), answer: z.string().trim().max(300).optional().default("") }))
+      .max(10)
+      .optional()
+      .default([]),
+  }),
+  triage: z
+    .object({
+      level: z.enum(["emergency", "caution", "routine"]).catch("routine"),
+      message: shortText(500),
+      reasons: textList,
+      ruleIds: textList,
+      source: z.enum(["rules", "model"]).catch("rules").optional().default("rules"),
+      secondOpinion: z
+        .object({
+          status: z.string().max(20),
+          level: z.string().max(20).nullable(),
+          provider: z.string().max(40).nullable().optional().default(null),
+          rulesLevel: z.string().max(20),
+        })
+        .nullable()
+        .optional()
+        .default(null),
+      vitals: z
+        .object({
+          temperatureC: z.number().nullable().optional().default(null),
+          feverDurationHours: z.number().nullable().optional().default(null),
+          durationHours: z.number().nullable().optional().default(null),
+          vomitingEpisodes: z.number().nullable().optional().default(null),
+          ageBand: z.string().max(40).nullable().optional().default(null),
+          score: z.number().optional().default(0),
+        })
+        .nullable()
+        .optional()
+        .default(null),
+    })
+    .nullable()
+    .optional()
+    .default(null),
+  result: z.string().trim().max(8000, "errors.explanationTooLong").optional().default(""),
+  sections: z
+    .object({
+      whatMightBeHappening: z.string().max(2000),
+      homeCare: z.array(z.string().max(500)).max(20),
+      seeADoctor: z.object({ urgency: z.string().max(20), advice: z.string().max(1000) }),
+      encouragement: z.string().max(1000),
+      parentGuidance: z
+        .object({
+          summary: z.string().max(2000),
+          monitoring: z.array(z.string().max(500)).max(20),
+          escalation: z.array(z.string().max(500)).max(20),
+        })
+        .nullable()
+        .optional()
+        .default(null),
+    })
+    .nullable()
+    .optional()
+    .default(null),
+  labs: z
+    .object({
+      status: z.string().max(20),
+      message: shortText(500),
+      rows: z
+        .array(
+          z.object({
+            analyte: z.string().max(120),
+            value: z.string().max(60),
+            unit: shortText(40),
+            referenceRange: shortText(80),
+            flag: z.string().max(20),
+          }),
+        )
+        .max(40),
+    })
+    .nullable()
+    .optional()
+    .default(null),
+});
+
+// The numbers triage read from the symptoms, so the doctor can see why it scored the
+// way it did. `t` looks up `ui.*` catalog keys; the app's print summary mirrors this.
+export function describeVitals(vitals, t) {
+  if (!vitals) {
+    return [];
+  }
+  const formatHours = (hours) =>
+    hours < 48 ? t("vitals.hours", { count: hours }) : t("vitals.days", { count: Math.round((hours / 24) * 10) / 10 });
+  const lines = [];
+  if (vitals.temperatureC !== null) {
+    const fahrenheit = Math.round(((vitals.temperatureC * 9) / 5 + 32) * 10) / 10;
+    lines.push([t("vitals.temperature"), `${vitals.temperatureC} °C (${fahrenheit} °F)`]);
+  }
+  const hours = vitals.feverDurationHours ?? vitals.durationHours;
+  if (hours !== null && hours !== undefined) {
+    lines.push([t(vitals.feverDurationHours !== null ? "vitals.feverDuration" : "vitals.symptomDuration"), formatHours(hours)]);
+  }
+  if (vitals.vomitingEpisodes !== null) {
+    lines.push([t("vitals.vomitingEpisodes"), String(vitals.vomitingEpisodes)]);
+  }
+  if (lines.length > 0 && vitals.ageBand) {
+    lines.push([t("print.ageBandScore"), `${vitals.ageBand} / ${vitals.score}`]);
+  }
+  return lines;
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace("T", " ").slice(0, 16);
+}
+
+/**
+ * Labels come from the `ui` catalog of the check's language, like the app's print
+ * summary. Throws PdfEncodingError when that text needs a script the PDF fonts lack.
+ */
+export function buildHandoffPdf({ entry, appVersion, languageName, generatedAt = new Date() }) {
+  const { handoff, triage, sections, labs } = entry;
+  const language = handoff.language || "en";
+  const t = (key, params) => translate(language, `ui.${key}`, params);
+  // Values the catalog has no label for are printed as they came.
+  const levelLabel = (level) => (TRIAGE_COLORS[level] ? t(`levels.${level}`) : level).toLocaleUpperCase(language);
+  const flagLabel = (flag) => (LAB_FLAGS.includes(flag) ? t(`labs.flags.${flag}`) : flag).toLocaleUpperCase(language);
+  const urgencyLabel = (urgency) => (URGENCIES.includes(urgency) ? t(`urgency.${urgency}`) : urgency);
+  const generatedText = formatTimestamp(generatedAt);
+  const checkedAt = Date.parse(handoff.createdAt);
+  const pdf = createPdfDocument({
+    title: t("print.title"),
+    createdAt: generatedAt,
+    footer: ({ pageNumber, pageCount }) =>
+      t("print.footer", { version: appVersion, date: generatedText, page: pageNumber, pages: pageCount }),
+  });
+
+  pdf.heading(t("print.title"), { size: 18 });
+  pdf.text(t("print.checkedAt", { date: Number.isNaN(checkedAt) ? generatedText : formatTimestamp(new Date(checkedAt)) }), {
+    size: 9,
+    color: "#666666",
+  });
+  pdf.rule();
+
+  pdf.heading(t("print.childDetails"));
+  pdf.field(t("print.name"), handoff.childName || t("print.notProvided"));
+  pdf.field(t("print.age"), handoff.childAge || t("print.notProvided"));
+  if (handoff.dateOfBirth) {
+    pdf.field(t("print.dateOfBirth"), handoff.dateOfBirth);
+  }
+  pdf.field(t("print.language"), languageName);
+  pdf.field(
+    t("print.readingLevel"),
+    t(`readingLevels.${READING_LEVELS.includes(handoff.readingLevel) ? handoff.readingLevel : "simple"}`),
+  );
+  if (handoff.allergies?.length) {
+    pdf.field(t("print.allergies"), handoff.allergies.join(", "));
+  }
+  if (handoff.chronicConditions?.length) {
+    pdf.field(t("print.chronicConditions"), handoff.chronicConditions.join(", "));
+  }
+  if (handoff.medications?.length) {
+    pdf.field(t("print.medications"), handoff.medications.join(", "));
+  }
+
+  pdf.heading(t("print.symptoms"));
+  pdf.text(t("print.childVoice"), { bold: true });
+  pdf.text(handoff.symptoms || t("print.notProvided"));
+  if (handoff.feelings?.length) {
+    pdf.field(t("print.feelings"), handoff.feelings.map((feeling) => t(`feelings.${feeling}`)).join(", "));
+  }
+  if (handoff.parentNotes) {
+    pdf.space(4).text(t("print.parentObservations"), { bold: true });
+    pdf.text(handoff.parentNotes);
+  }
+  if (handoff.followUp?.length) {
+    pdf.space(4).text(t("print.followUp"), { bold: true });
+    pdf.list(handoff.followUp.map((item) => `${item.question} ${item.answer || t("print.notSure")}`));
+  }
+
+  const level = triage?.level || "routine";
+  pdf.heading(t("print.triageSummary"));
+  pdf.text(levelLabel(level), { bold: true, color: TRIAGE_COLORS[level] || TRIAGE_COLORS.routine });
+  pdf.text(triage?.message || t("print.noTriageMessage"));
+  if (triage?.reasons?.length) {
+    pdf.space(4).text(t("print.matchedSignals"), { bold: true });
+    pdf.list(triage.reasons);
+  }
+  const measured = describeVitals(triage?.vitals, t);
+  if (measured.length > 0) {
+    pdf.space(4).text(t("print.measuredValues"), { bold: true });
+    measured.forEach(([label, value]) => pdf.field(label, value));
+  }
+  if (triage?.source === "model" && triage.secondOpinion) {
+    const { rulesLevel, provider } = triage.secondOpinion;
+    pdf.text(
+      [
+        t("print.raisedFrom", { level: levelLabel(rulesLevel) }),
+        provider ? t("print.secondOpinionProvider", { provider }) : "",
+        t("print.rulesDidNotFlag"),
+      ]
+        .filter(Boolean)
+        .join(" "),
+      { size: 9, color: "#666666" },
+    );
+  } else if (triage?.ruleIds?.length) {
+    pdf.text(t("print.triageRules", { ruleIds: triage.ruleIds.join(", ") }), { size: 9, color: "#666666" });
+  }
+
+  pdf.heading(t("print.explanation"));
+  if (sections) {
+    pdf.text(t("sections.whatMightBeHappening"), { bold: true }).text(sections.whatMightBeHappening);
+    pdf.space(4).text(t("sections.homeCare"), { bold: true }).list(sections.homeCare);
+    pdf.space(4).text(t("sections.seeADoctor"), { bold: true });
+    pdf.text(`${urgencyLabel(sections.seeADoctor.urgency)}: ${sections.seeADoctor.advice}`);
+    pdf.space(4).text(t("sections.encouragement"), { bold: true }).text(sections.encouragement);
+    if (sections.parentGuidance) {
+      pdf.heading(t("print.parentGuidance"));
+      pdf.text(sections.parentGuidance.summary);
+      pdf.space(4).text(t("sections.parentMonitoring"), { bold: true }).list(sections.parentGuidance.monitoring);
+      pdf.space(4).text(t("sections.parentEscalation"), { bold: true }).list(sections.parentGuidance.escalation);
+    }
+  } else {
+    pdf.text(entry.result || t("print.noExplanation"));
+  }
+
+  if (labs) {
+    pdf.heading(t("print.labResults"));
+    if (labs.status === "ok" && labs.rows.length > 0) {
+      pdf.table(
+        [
+          { label: t("labs.test"), width: 0.38 },
+          { label: t("labs.result"), width: 0.22 },
+          { label: t("labs.referenceRange"), width: 0.25 },
+          { label: t("labs.flag"), width: 0.15 },
+        ],
+        labs.rows.map((row) => ({
+          cells: [row.analyte, `${row.value} ${row.unit}`.trim(), row.referenceRange || "-", flagLabel(row.flag)],
+          highlight: row.flag === "low" || row.flag === "high",
+        })),
+      );
+    } else {
+      pdf.text(labs.message || t("print.labsUnreadable"));
+    }
+  }
+
+  pdf.space(10).rule();
+  pdf.text(`${t("print.disclaimer")} ${t("print.emergencyNumber")}`, { size: 9, color: "#8a5200", keepTogether: true });
+
+  return pdf.toBuffer();
+}
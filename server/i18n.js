@@ -0,0 +1,190 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+
+export const DEFAULT_LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "locales");
+const TRIAGE_KEYS = ["emergencyTitle", "emergencyMessage", "cautionTitle", "cautionMessage", "routineTitle", "routineMessage"];
+const CLARIFY_TERMS = ["duration", "negation", "fever", "temperatureUnit", "pain", "painLocation", "symptom"];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+// Intl.PluralRules categories; languages other than English may need more of them.
+const PLURAL_FORM = /\.(?:zero|one|two|few|many|other)$/;
+
+const messageKey = z.string().regex(/^[A-Za-z][A-Za-z0-9_]*$/, "Message keys must be letters, digits or underscores.");
+const messageTree = z.lazy(() => z.record(messageKey, z.union([z.string().trim().min(1).max(600), messageTree])));
+const regexSource = z
+  .string()
+  .trim()
+  .min(1)
+  .max(2000)
+  .refine((source) => {
+    try {
+      new RegExp(source, "iu");
+      return true;
+    } catch {
+      return false;
+    }
+  }, "Must be a valid regular expression.");
+
+const catalogSchema = z
+  .object({
+    name: z.string().trim().min(1).max(40),
+    englishName: z.string().trim().min(1).max(40),
+    dir: z.enum(["ltr", "rtl"]),
+    triage: z.object(Object.fromEntries(TRIAGE_KEYS.map((key) => [key, z.string().trim().min(1).max(200)]))).strict(),
+    clarify: z
+      .object(Object.fromEntries(CLARIFY_TERMS.map((key) => [key, regexSource.optional()])))
+      .strict()
+      .optional()
+      .default({}),
+    errors: messageTree.optional().default({}),
+    ui: messageTree.optional().default({}),
+  })
+  .strict();
+
+function flatten(tree, prefix = "") {
+  return Object.entries(tree).flatMap(([key, value]) =>
+    typeof value === "string" ? [[`${prefix}${key}`, value]] : flatten(value, `${prefix}${key}.`),
+  );
+}
+
+function placeholders(message) {
+  return new Set([...message.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]));
+}
+
+/**
+ * Checks every catalog against the schema, then against English: a translation may
+ * leave keys out (they fall back to English) but may not invent keys or placeholders.
+ * Returns `{ success, data, errors, missing }`, where `missing` lists untranslated keys
+ * per language.
+ */
+export function validateLocales(catalogs) {
+  const errors = [];
+  const data = {};
+  for (const [code, catalog] of Object.entries(catalogs)) {
+    const parsed = catalogSchema.safeParse(catalog);
+    if (parsed.success) {
+      data[code] = parsed.data;
+    } else {
+      errors.push(...parsed.error.issues.map((issue) => `${code}: ${issue.path.join(".") || "(root)"}: ${issue.message}`));
+    }
+  }
+  if (!catalogs.en) {
+    errors.push("An English (en) catalog is required.");
+  }
+  if (!data.en) {
+    return { success: false, errors };
+  }
+
+  const english = new Map(flatten({ errors: data.en.errors, ui: data.en.ui }));
+  const missing = {};
+  for (const [code, catalog] of Object.entries(data)) {
+    const translated = new Map(flatten({ errors: catalog.errors, ui: catalog.ui }));
+    const pluralOther = (key) => (PLURAL_FORM.test(key) ? key.replace(PLURAL_FORM, ".other") : key);
+    for (const [key, message] of translated) {
+      const source = english.get(key) ?? english.get(pluralOther(key));
+      if (source === undefined) {
+        errors.push(`${code}: unknown key "${key}".`);
+        continue;
+      }
+      const allowed = placeholders(source);
+      for (const name of placeholders(message)) {
+        if (!allowed.has(name)) {
+          errors.push(`${code}: "${key}" uses {${name}}, which the English message does not have.`);
+        }
+      }
+    }
+    missing[code] = [...english.keys()].filter((key) => !translated.has(key) && !translated.has(pluralOther(key)));
+  }
+
+  return errors.length > 0 ? { success: false, errors } : { success: true, data, missing };
+}
+
+export function loadLocales(directory = DEFAULT_LOCALES_DIR) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(directory).filter((name) => name.endsWith(".json")).sort()) {
+    const code = path.basename(file, ".json");
+    if (!/^[a-z]{2,3}$/.test(code)) {
+      throw new Error(`Locale files must be named after a language code, like "pt.json"; got "${file}".`);
+    }
+    try {
+      catalogs[code] = JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read the ${code} locale from ${directory}: ${error.message}`);
+    }
+  }
+  const validation = validateLocales(catalogs);
+  if (!validation.success) {
+    throw new Error(`Invalid locales in ${directory}:\n- ${validation.errors.join("\n- ")}`);
+  }
+  return validation.data;
+}
+
+const LOCALES = loadLocales();
+
+// English first: it is the fallback and what Accept-Language negotiation picks when
+// the header is missing.
+export const SUPPORTED_LANGUAGES = ["en", ...Object.keys(LOCALES).filter((code) => code !== "en")];
+
+function lookup(catalog, key, language = "en", count = undefined) {
+  let message = key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+  if (message && typeof message === "object" && count !== undefined) {
+    message = message[new Intl.PluralRules(language).select(count)] ?? message.other;
+  }
+  return typeof message === "string" ? message : undefined;
+}
+
+/**
+ * The regex sources every catalog lists under `clarify.<key>` ("fever", "duration",
+ * ...). Symptoms are read with all of them, whatever language the screen is set to.
+ */
+export function clarifyTerms(key) {
+  return SUPPORTED_LANGUAGES.map((code) => LOCALES[code].clarify[key]).filter(Boolean);
+}
+
+/** The English name of a language, for prompts and the doctor handoff. */
+export function englishName(language) {
+  return (LOCALES[language] || LOCALES.en).englishName;
+}
+
+/**
+ * Looks up a dotted key ("triage.cautionTitle", "errors.nameTooLong") in the language's
+ * catalog, falling back to English, and fills in `{placeholders}` from `params`.
+ * Plural messages are picked with `params.count`, as in the app. Unknown keys come
+ * back unchanged.
+ */
+export function translate(language, key, params = {}) {
+  const message =
+    (LOCALES[language] && lookup(LOCALES[language], key, language, params.count)) ??
+    lookup(LOCALES.en, key, "en", params.count) ??
+    key;
+  return message.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * The language to answer a request in: the body's `language` when it is supported,
+ * otherwise the best match for Accept-Language, otherwise English.
+ */
+export function requestLanguage(req) {
+  const language = req.body?.language;
+  if (typeof language === "string" && LOCALES[language]) {
+    return language;
+  }
+  return req.acceptsLanguages(...SUPPORTED_LANGUAGES) || "en";
+}
+
+/**
+ * Schemas use catalog keys ("errors.nameTooLong") as their messages, with any values
+ * in the issue's `params`. zod's own messages have no translation, so they are kept
+ * in English and replaced by `fallbackKey` in other languages.
+ */
+export function validationMessage(error, language, fallbackKey = "errors.invalidInput") {
+  const issue = error.issues[0];
+  if (issue && lookup(LOCALES.en, issue.message) !== undefined) {
+    return translate(language, issue.message, issue.params);
+  }
+  if (issue && language === "en") {
+    return issue.message;
+  }
+  return translate(language, fallbackKey);
+}
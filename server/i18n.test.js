@@ -0,0 +1,61 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, expect, it } from "vitest";
+import { DEFAULT_LOCALES_DIR, englishName, loadLocales, SUPPORTED_LANGUAGES, translate, validateLocales } from "./i18n.js";
+
+function readCatalog(code) {
+  return JSON.parse(fs.readFileSync(path.join(DEFAULT_LOCALES_DIR, `${code}.json`), "utf8"));
+}
+
+describe("locale catalogs", () => {
+  it("ships complete catalogs for every supported language", () => {
+    const catalogs = Object.fromEntries(SUPPORTED_LANGUAGES.map((code) => [code, readCatalog(code)]));
+    const validation = validateLocales(catalogs);
+
+    expect(validation.errors).toBeUndefined();
+    expect(SUPPORTED_LANGUAGES[0]).toBe("en");
+    expect(SUPPORTED_LANGUAGES).toEqual(expect.arrayContaining(["es", "fr", "pt", "ar"]));
+    for (const code of SUPPORTED_LANGUAGES) {
+      expect(validation.missing[code], code).toEqual([]);
+    }
+    expect(loadLocales().ar.dir).toBe("rtl");
+  });
+
+  it("rejects invented keys and placeholders but lets translations leave keys out", () => {
+    const en = readCatalog("en");
+    const partial = {
+      name: "Yorùbá",
+      englishName: "Yoruba",
+      dir: "ltr",
+      triage: en.triage,
+      ui: { form: { checkChild: "Ṣàyẹ̀wò ìlera {name}" } },
+    };
+
+    const ok = validateLocales({ en, yo: partial });
+    expect(ok.success).toBe(true);
+    expect(ok.missing.yo).toContain("ui.form.checkMine");
+
+    const bad = validateLocales({
+      en,
+      yo: { ...partial, ui: { form: { checkChild: "{child}", madeUp: "x" } } },
+    });
+    expect(bad.success).toBe(false);
+    expect(bad.errors).toEqual([
+      'yo: "ui.form.checkChild" uses {child}, which the English message does not have.',
+      'yo: unknown key "ui.form.madeUp".',
+    ]);
+
+    const broken = validateLocales({ en, yo: { ...partial, clarify: { fever: "ibà(" } } });
+    expect(broken.errors).toEqual(["yo: clarify.fever: Must be a valid regular expression."]);
+  });
+
+  it("translates with English fallback and fills in placeholders", () => {
+    expect(translate("fr", "errors.profileTooOld", { years: 18 })).toBe("Les profils concernent les enfants jusqu'à 18 ans.");
+    expect(translate("xx", "triage.cautionTitle")).toBe("Doctor follow-up recommended");
+    expect(translate("es", "errors.notAKey")).toBe("errors.notAKey");
+    expect(translate("en", "ui.vitals.hours", { count: 1 })).toBe("1 hour");
+    expect(translate("es", "ui.vitals.days", { count: 3 })).toBe("3 días");
+    expect(englishName("pt")).toBe("Portuguese");
+    expect(englishName("xx")).toBe("English");
+  });
+});
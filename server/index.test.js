@@ -1,10 +1,48 @@
 import request from "supertest";
 import { describe, expect, it, vi } from "vitest";
+import { extractPdfText } from "./documents.js";
 import { createApp } from "./index.js";
+import { createMetrics } from "./metrics.js";
+
+function sseResponse(events) {
+  const text = events.map((event) => `${event.event ? `event: ${event.event}\n` : ""}data: ${event.data}\n\n`).join("");
+  return new Response(text, { status: 200, headers: { "content-type": "text/event-stream" } });
+}
+
+// Saved records are scoped to the family token the browser sends.
+const FAMILY = { "x-family-token": "family-one-0123456789abcdefghijklmnopqrstuvwxyz" };
+const OTHER_FAMILY = { "x-family-token": "family-two-0123456789abcdefghijklmnopqrstuvwxyz" };
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+function isoDateYearsAgo(years) {
+  const date = new Date();
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return date.toISOString().slice(0, 10);
+}
+
+function parseSseText(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const lines = block.split("\n");
+      const event = lines.find((line) => line.startsWith("event: "))?.slice(7);
+      const data = lines.find((line) => line.startsWith("data: "))?.slice(6);
+      return { event, data: JSON.parse(data) };
+    });
+}
 
 describe("server api", () => {
   it("returns health status", async () => {
     const app = createApp({
+      providerOrder: "groq,gemini",
+      groqApiKey: "groq-key",
+      appVersion: "9.9.9",
       enableRequestLogging: false,
       apiRateLimitMax: 1000,
       diagnoseRateLimitMax: 1000,
@@ -15,6 +53,50 @@ describe("server api", () => {
     expect(response.status).toBe(200);
     expect(response.body.status).toBe("ok");
     expect(response.body.timestamp).toBeTypeOf("string");
+    expect(response.body.version).toBe("9.9.9");
+    expect(response.body.uptimeSeconds).toBeTypeOf("number");
+    expect(response.body.providers).toEqual([
+      { name: "groq", configured: true, state: "closed", consecutiveFailures: 0, retryAt: null, lastError: null },
+      { name: "gemini", configured: false },
+    ]);
+  });
+
+  it("reports readiness from providers and storage", async () => {
+    const options = { enableRequestLogging: false, apiRateLimitMax: 1000, diagnoseRateLimitMax: 1000 };
+
+    const healthyApp = createApp({
+      ...options,
+      providerOrder: "groq",
+      groqApiKey: "groq-key",
+      storageDriver: "memory",
+      storageEncryptionKey: "secret",
+    });
+    const ready = await request(healthyApp).get("/api/ready");
+    expect(ready.status).toBe(200);
+    expect(ready.body.status).toBe("ready");
+    expect(ready.body.checks.providers.available).toEqual(["groq"]);
+    expect(ready.body.checks.storage).toEqual({ status: "ok", driver: "memory" });
+
+    const noProviders = await request(createApp({ ...options, providerOrder: "gemini", geminiApiKey: "" })).get(
+      "/api/ready",
+    );
+    expect(noProviders.status).toBe(503);
+    expect(noProviders.body.checks.providers.status).toBe("error");
+    expect(noProviders.body.checks.storage).toEqual({ status: "disabled" });
+
+    const brokenStorage = {
+      driver: "file",
+      ping: vi.fn().mockRejectedValue(new Error("EACCES: permission denied")),
+    };
+    const storageDown = await request(createApp({ ...options, groqApiKey: "groq-key", storage: brokenStorage })).get(
+      "/api/ready",
+    );
+    expect(storageDown.status).toBe(503);
+    expect(storageDown.body.checks.storage).toEqual({
+      status: "error",
+      driver: "file",
+      error: "EACCES: permission denied",
+    });
   });
 
   it("returns 500 when no provider keys are configured", async () => {
@@ -78,6 +160,59 @@ describe("server api", () => {
     expect(response.body.error).toMatch(/invalid enum value/i);
   });
 
+  it("localizes validation errors from the body language or Accept-Language", async () => {
+    const fetchMock = vi.fn();
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: "groq",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const spanish = await request(app).post("/api/diagnose").send({ symptoms: "", language: "es" });
+    expect(spanish.status).toBe(400);
+    expect(spanish.body.error).toBe("Describe los síntomas.");
+
+    const tooOld = await request(app)
+      .post("/api/profiles")
+      .set(FAMILY)
+      .set("Accept-Language", "pt-BR,pt;q=0.9")
+      .send({ name: "Ana", dateOfBirth: isoDateYearsAgo(25) });
+    expect(tooOld.status).toBe(400);
+    expect(tooOld.body.error).toBe("Os perfis são para crianças de até 18 anos.");
+
+    // zod's own messages have no translation, so other languages get the generic one.
+    const wrongType = await request(app).post("/api/diagnose").send({ symptoms: 42, language: "fr" });
+    expect(wrongType.body.error).toBe("Les données envoyées ne sont pas valides.");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("answers in any language that has a catalog", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Resposta" } }] }),
+    });
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: "groq",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "My child has a cough", language: "ar" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.triage.title).toBe("راقبوا واتبعوا الإرشادات");
+    const callBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(callBody.messages[0].content).toMatch(/Respond in Arabic/i);
+  });
+
   it("uses anthropic when only anthropic key is configured", async () => {
     const fetchMock = vi.fn().mockResolvedValue({
       ok: true,
@@ -177,4 +312,1967 @@ describe("server api", () => {
     expect(fetchMock).toHaveBeenCalledTimes(1);
     expect(fetchMock.mock.calls[0][0]).toContain("generativelanguage.googleapis.com");
   });
-});
\ No newline at end of file
+
+  it("streams triage first and then provider tokens over SSE", async () => {
+    const fetchMock = vi.fn().mockImplementation(async () =>
+      sseResponse([
+        { event: "message_start", data: JSON.stringify({ type: "message_start" }) },
+        {
+          event: "content_block_delta",
+          data: JSON.stringify({ type: "content_block_delta", delta: { type: "text_delta", text: "Hello " } }),
+        },
+        {
+          event: "content_block_delta",
+          data: JSON.stringify({ type: "content_block_delta", delta: { type: "text_delta", text: "friend." } }),
+        },
+        { event: "message_stop", data: JSON.stringify({ type: "message_stop" }) },
+      ]),
+    );
+
+    const app = createApp({
+      anthropicApiKey: "anth-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose/stream").send({ symptoms: "mild headache" });
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/text\/event-stream/);
+
+    const events = parseSseText(response.text);
+    expect(events.map((event) => event.event)).toEqual(["triage", "provider", "token", "token", "done"]);
+    expect(events[0].data.triage.level).toBe("caution");
+    expect(events[0].data.handoff.symptoms).toBe("mild headache");
+    expect(events[1].data.provider).toBe("anthropic");
+    expect(events[4].data.result).toBe("Hello friend.");
+
+    const callBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(callBody.stream).toBe(true);
+  });
+
+  it("falls back to the next provider when a stream fails before its first token", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce({
+        ok: false,
+        json: async () => ({ error: { message: "gemini unavailable" } }),
+      })
+      .mockImplementationOnce(async () =>
+        sseResponse([
+          { data: JSON.stringify({ choices: [{ delta: { content: "Groq " } }] }) },
+          { data: JSON.stringify({ choices: [{ delta: { content: "stream" } }] }) },
+          { data: "[DONE]" },
+        ]),
+      );
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose/stream").send({ symptoms: "mild headache" });
+    const events = parseSseText(response.text);
+
+    expect(fetchMock.mock.calls[0][0]).toContain(":streamGenerateContent?alt=sse");
+    expect(fetchMock.mock.calls[1][0]).toContain("api.groq.com/openai/v1/chat/completions");
+    expect(events.find((event) => event.event === "provider").data.provider).toBe("groq");
+    expect(events.at(-1)).toEqual({
+      event: "done",
+      data: {
+        provider: "groq",
+        result: "Groq stream",
+        sections: null,
+        labs: null,
+        historyId: null,
+        plan: expect.objectContaining({ urgency: "soon" }),
+        dosing: null,
+      },
+    });
+  });
+
+  it("reports an error event when every streaming provider fails", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: false,
+      json: async () => ({ error: { message: "groq unavailable" } }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose/stream").send({ symptoms: "mild headache" });
+    const events = parseSseText(response.text);
+
+    expect(events.map((event) => event.event)).toEqual(["triage", "error"]);
+    expect(events[1].data.error).toMatch(/groq unavailable/);
+  });
+
+  it("validates streaming requests before opening the event stream", async () => {
+    const fetchMock = vi.fn();
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose/stream").send({ symptoms: "" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/please provide symptoms/i);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("asks gemini for structured output and returns validated sections", async () => {
+    const sections = {
+      whatMightBeHappening: "Your tummy might be upset.",
+      homeCare: ["Sip water", "Rest on the couch"],
+      seeADoctor: { urgency: "monitor", advice: "See a doctor if it lasts more than two days." },
+      encouragement: "You are doing great!",
+      parentGuidance: {
+        summary: "Likely a mild stomach upset; most settle within 48 hours.",
+        monitoring: ["Offer small sips every 15 minutes", "Check for a wet nappy or wee at least every 6 hours"],
+        escalation: ["Call the clinic if the pain lasts over 24 hours", "Call emergency services for green vomit or a swollen, hard tummy"],
+      },
+    };
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        candidates: [{ content: { parts: [{ text: JSON.stringify(sections) }] } }],
+      }),
+    });
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "my tummy hurts" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.sections).toEqual(sections);
+    expect(response.body.result).toContain("1. What might be happening\nYour tummy might be upset.");
+    expect(response.body.result).toContain("- Sip water");
+    expect(response.body.result).toContain("6. What to watch\n- Offer small sips every 15 minutes");
+
+    const callBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(callBody.generationConfig.responseMimeType).toBe("application/json");
+    expect(callBody.generationConfig.responseSchema.type).toBe("OBJECT");
+    expect(callBody.generationConfig.responseSchema.required).toContain("parentGuidance");
+    expect(callBody.systemInstruction.parts[0].text).toMatch(/Return only a JSON object/);
+    expect(callBody.systemInstruction.parts[0].text).toMatch(/separate part for the parent at an adult reading level/);
+  });
+
+  it("reads anthropic tool output as structured sections", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        content: [
+          {
+            type: "tool_use",
+            name: "diagnosis_sections",
+            input: {
+              whatMightBeHappening: "Puede ser un resfriado.",
+              homeCare: ["Descansa"],
+              seeADoctor: { urgency: "soon", advice: "Visita a un medico pronto." },
+              encouragement: "Eres muy valiente.",
+            },
+          },
+        ],
+      }),
+    });
+
+    const app = createApp({
+      anthropicApiKey: "anth-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "I have a cough", language: "es" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.sections.seeADoctor.urgency).toBe("soon");
+    expect(response.body.result).toContain("¿Hay que ir al médico?");
+
+    const callBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(callBody.tool_choice).toEqual({ type: "tool", name: "diagnosis_sections" });
+  });
+
+  it("falls back to parsing section headings when a provider ignores the schema", async () => {
+    const prose = [
+      "**1. What might be happening**",
+      "You may have a small cold.",
+      "**2. What can help at home**",
+      "- Drink warm water",
+      "- Get extra sleep",
+      "3. Should you see a doctor?: If you get a high fever, tell a grown-up.",
+      "4. Encouragement",
+      "You will feel better soon!",
+    ].join("\n");
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: prose } }] }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "runny nose and sore throat" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.result).toBe(prose);
+    expect(response.body.sections).toEqual({
+      whatMightBeHappening: "You may have a small cold.",
+      homeCare: ["Drink warm water", "Get extra sleep"],
+      seeADoctor: { urgency: "soon", advice: "If you get a high fever, tell a grown-up." },
+      encouragement: "You will feel better soon!",
+      parentGuidance: null,
+    });
+
+    const callBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(callBody.response_format).toEqual({ type: "json_object" });
+
+    const withParentPart = [
+      prose,
+      "5. For parents: Probably a common cold.",
+      "6. What to watch",
+      "- Temperature morning and evening",
+      "- Breathing while asleep",
+      "7. When to get help",
+      "- Call the clinic if the fever lasts more than 3 days",
+    ].join("\n");
+    fetchMock.mockResolvedValueOnce({ ok: true, json: async () => ({ choices: [{ message: { content: withParentPart } }] }) });
+    const second = await request(app).post("/api/diagnose").send({ symptoms: "runny nose and sore throat" });
+    expect(second.body.sections.encouragement).toBe("You will feel better soon!");
+    expect(second.body.sections.parentGuidance).toEqual({
+      summary: "Probably a common cold.",
+      monitoring: ["Temperature morning and evening", "Breathing while asleep"],
+      escalation: ["Call the clinic if the fever lasts more than 3 days"],
+    });
+
+    // A numbered list inside a section is not mistaken for the next headings.
+    const numberedCare = [
+      "1. What might be happening",
+      "You may have a small cold.",
+      "2. What can help at home",
+      "1. Drink water",
+      "2. Rest",
+      "3. Blow your nose gently",
+      "3. Should you see a doctor?",
+      "If you get a high fever, tell a grown-up.",
+      "4. Encouragement",
+      "You will feel better soon!",
+    ].join("\n");
+    fetchMock.mockResolvedValueOnce({ ok: true, json: async () => ({ choices: [{ message: { content: numberedCare } }] }) });
+    const third = await request(app).post("/api/diagnose").send({ symptoms: "runny nose and sore throat" });
+    expect(third.body.sections).toMatchObject({
+      whatMightBeHappening: "You may have a small cold.",
+      homeCare: ["Drink water", "Rest", "Blow your nose gently"],
+      seeADoctor: { advice: "If you get a high fever, tell a grown-up." },
+      encouragement: "You will feel better soon!",
+    });
+  });
+
+  it("saves each check to encrypted history and serves the timeline", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Rest and drink water." } }] }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const diagnosis = await request(app).post("/api/diagnose").set(FAMILY).send({ symptoms: "mild headache", name: "Mia", age: 8 });
+    expect(diagnosis.status).toBe(200);
+    expect(diagnosis.body.historyId).toBeTypeOf("string");
+
+    const list = await request(app).get("/api/history").set(FAMILY);
+    expect(list.status).toBe(200);
+    expect(list.body.items).toHaveLength(1);
+    expect(list.body.items[0]).toMatchObject({
+      id: diagnosis.body.historyId,
+      childName: "Mia",
+      childAge: "8 years old",
+      symptoms: "mild headache",
+      triageLevel: "caution",
+      provider: "groq",
+    });
+
+    const entry = await request(app).get(`/api/history/${diagnosis.body.historyId}`).set(FAMILY);
+    expect(entry.status).toBe(200);
+    expect(entry.body.result).toBe("Rest and drink water.");
+    expect(entry.body.handoff.symptoms).toBe("mild headache");
+
+    // Another family's browser cannot tell the entry exists, and no token means no access.
+    expect((await request(app).get("/api/history").set(OTHER_FAMILY)).body.items).toEqual([]);
+    expect((await request(app).get(`/api/history/${diagnosis.body.historyId}`).set(OTHER_FAMILY)).status).toBe(404);
+    expect((await request(app).delete(`/api/history/${diagnosis.body.historyId}`).set(OTHER_FAMILY)).status).toBe(404);
+    expect((await request(app).get(`/api/handoff/${diagnosis.body.historyId}.pdf`).set(OTHER_FAMILY)).status).toBe(404);
+    const anonymous = await request(app).get("/api/history");
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.error).toMatch(/family token/);
+    expect((await request(app).get("/api/history").set({ "x-family-token": "short" })).status).toBe(401);
+    const unsaved = await request(app).post("/api/diagnose").send({ symptoms: "mild headache" });
+    expect(unsaved.status).toBe(200);
+    expect(unsaved.body.historyId).toBeNull();
+
+    const removed = await request(app).delete(`/api/history/${diagnosis.body.historyId}`).set(FAMILY);
+    expect(removed.status).toBe(204);
+
+    const missing = await request(app).get(`/api/history/${diagnosis.body.historyId}`).set(FAMILY);
+    expect(missing.status).toBe(404);
+  });
+
+  it("returns 503 for history when storage is not configured", async () => {
+    const app = createApp({
+      storageEncryptionKey: "",
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).get("/api/history");
+
+    expect(response.status).toBe(503);
+    expect(response.body.error).toMatch(/STORAGE_ENCRYPTION_KEY/);
+  });
+
+  it("manages child profiles and uses them for diagnosis context", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Use your inhaler and rest." } }] }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const created = await request(app)
+      .post("/api/profiles")
+      .set(FAMILY)
+      .send({
+        name: "Leo",
+        dateOfBirth: isoDateYearsAgo(6),
+        allergies: ["penicillin"],
+        chronicConditions: ["asthma"],
+      });
+    expect(created.status).toBe(201);
+    expect(created.body.age).toMatchObject({ years: 6, text: "6 years old" });
+    expect(created.body.medications).toEqual([]);
+
+    const updated = await request(app)
+      .put(`/api/profiles/${created.body.id}`)
+      .set(FAMILY)
+      .send({ ...created.body, medications: ["salbutamol inhaler"] });
+    expect(updated.status).toBe(200);
+    expect(updated.body.medications).toEqual(["salbutamol inhaler"]);
+
+    const list = await request(app).get("/api/profiles").set(FAMILY);
+    expect(list.body.items.map((profile) => profile.name)).toEqual(["Leo"]);
+
+    const diagnosis = await request(app)
+      .post("/api/diagnose")
+      .set(FAMILY)
+      .send({ symptoms: "I am coughing a lot", profileId: created.body.id });
+    expect(diagnosis.status).toBe(200);
+    expect(diagnosis.body.handoff).toMatchObject({
+      childName: "Leo",
+      childAge: "6 years old",
+      profileId: created.body.id,
+      allergies: ["penicillin"],
+      chronicConditions: ["asthma"],
+    });
+
+    const systemPrompt = JSON.parse(fetchMock.mock.calls[0][1].body).messages[0].content;
+    expect(systemPrompt).toContain("Known allergies: penicillin.");
+    expect(systemPrompt).toContain("Chronic conditions: asthma.");
+    expect(systemPrompt).toContain("Current medications: salbutamol inhaler.");
+    expect(systemPrompt).toContain("Leo who is 6 years old");
+
+    const history = await request(app).get("/api/history").set(FAMILY).query({ profileId: created.body.id });
+    expect(history.body.items).toHaveLength(1);
+
+    // Other families see none of it, and cannot use the profile for their own checks.
+    expect((await request(app).get("/api/profiles").set(OTHER_FAMILY)).body.items).toEqual([]);
+    expect((await request(app).get(`/api/profiles/${created.body.id}`).set(OTHER_FAMILY)).status).toBe(404);
+    expect((await request(app).put(`/api/profiles/${created.body.id}`).set(OTHER_FAMILY).send(created.body)).status).toBe(404);
+    expect((await request(app).delete(`/api/profiles/${created.body.id}`).set(OTHER_FAMILY)).status).toBe(404);
+    expect((await request(app).get("/api/profiles")).status).toBe(401);
+    const borrowed = await request(app).post("/api/diagnose").set(OTHER_FAMILY).send({ symptoms: "cough", profileId: created.body.id });
+    expect(borrowed.status).toBe(404);
+    expect((await request(app).post("/api/diagnose").send({ symptoms: "cough", profileId: created.body.id })).status).toBe(401);
+
+    const reminder = await request(app)
+      .post("/api/reminders")
+      .set(FAMILY)
+      .send({ kind: "hydration", title: "Water", startsAt: new Date().toISOString(), profileId: created.body.id });
+    expect(reminder.status).toBe(201);
+
+    // The child's saved checks and reminders go with the profile.
+    const removed = await request(app).delete(`/api/profiles/${created.body.id}`).set(FAMILY);
+    expect(removed.status).toBe(204);
+    expect((await request(app).get(`/api/profiles/${created.body.id}`).set(FAMILY)).status).toBe(404);
+    expect((await request(app).get("/api/history").set(FAMILY)).body.items).toEqual([]);
+    expect((await request(app).get(`/api/reminders/${reminder.body.id}`).set(FAMILY)).status).toBe(404);
+  });
+
+  it("rejects invalid profiles and unknown profile ids", async () => {
+    const fetchMock = vi.fn();
+    const app = createApp({
+      groqApiKey: "groq-key",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const badDate = await request(app).post("/api/profiles").set(FAMILY).send({ name: "Ava", dateOfBirth: "2020-02-30" });
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.error).toMatch(/valid YYYY-MM-DD/);
+
+    const tooOld = await request(app).post("/api/profiles").set(FAMILY).send({ name: "Ava", dateOfBirth: isoDateYearsAgo(25) });
+    expect(tooOld.status).toBe(400);
+    expect(tooOld.body.error).toMatch(/up to 18 years/);
+
+    const unknown = await request(app)
+      .post("/api/diagnose")
+      .set(FAMILY)
+      .send({ symptoms: "headache", profileId: "6f1c1c36-8f2e-4a63-9a53-4d7a3a1c1b11" });
+    expect(unknown.status).toBe(404);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("asks clarifying questions for vague symptoms before the final answer", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Thanks for answering." } }] }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const started = await request(app).post("/api/sessions").send({ symptoms: "I feel bad" });
+    expect(started.status).toBe(201);
+    expect(started.body).toMatchObject({ status: "asking", questionsTotal: 3 });
+    expect(started.body.question).toMatchObject({ id: "duration", index: 0 });
+
+    const early = await request(app)
+      .post("/api/diagnose")
+      .send({ symptoms: "I feel bad", sessionId: started.body.sessionId });
+    expect(early.status).toBe(409);
+
+    let step = started.body;
+    for (const answer of ["Since yesterday", "About a 7", ""]) {
+      const answered = await request(app).post(`/api/sessions/${step.sessionId}/answer`).send({ answer });
+      expect(answered.status).toBe(200);
+      step = answered.body;
+    }
+    expect(step).toMatchObject({ status: "ready", questionsTotal: 3 });
+    expect(step.question).toBeUndefined();
+
+    const diagnosis = await request(app)
+      .post("/api/diagnose")
+      .send({ symptoms: "I feel bad", sessionId: started.body.sessionId });
+    expect(diagnosis.status).toBe(200);
+    expect(diagnosis.body.handoff.followUp).toEqual([
+      { question: "How long have you been feeling this way?", answer: "Since yesterday" },
+      { question: "How bad does it feel, from 1 (a tiny bit) to 10 (the worst ever)?", answer: "About a 7" },
+      { question: "Do you feel anything else, like a fever, a cough, or a tummy ache?", answer: "" },
+    ]);
+
+    const userText = JSON.parse(fetchMock.mock.calls[0][1].body).messages[1].content[0].text;
+    expect(userText).toContain("- How long have you been feeling this way? Since yesterday");
+    expect(userText).toContain("a tummy ache? Not sure.");
+
+    const reused = await request(app)
+      .post(`/api/sessions/${started.body.sessionId}/answer`)
+      .send({ answer: "again" });
+    expect(reused.status).toBe(404);
+  });
+
+  it("lets answers to clarifying questions raise the triage level", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Get help now." } }] }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const started = await request(app).post("/api/sessions").send({ symptoms: "my tummy is weird" });
+    let step = started.body;
+    while (step.status === "asking") {
+      step = (await request(app).post(`/api/sessions/${step.sessionId}/answer`).send({ answer: "he passed out" })).body;
+    }
+
+    const diagnosis = await request(app)
+      .post("/api/diagnose")
+      .send({ symptoms: "my tummy is weird", sessionId: started.body.sessionId });
+    expect(diagnosis.body.triage.level).toBe("emergency");
+  });
+
+  it("skips clarifying questions for detailed or urgent symptoms", async () => {
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: vi.fn(),
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const detailed = await request(app)
+      .post("/api/sessions")
+      .send({ symptoms: "Sore throat and a cough since yesterday, no fever" });
+    expect(detailed.body).toEqual({ sessionId: null, status: "ready", questionsTotal: 0 });
+
+    const urgent = await request(app).post("/api/sessions").send({ symptoms: "I can't breathe" });
+    expect(urgent.body.status).toBe("ready");
+
+    const localized = await request(app).post("/api/sessions").send({ symptoms: "me duele mucho", language: "es" });
+    expect(localized.body.question.text).toBe("¿Cuánto tiempo llevas sintiéndote así?");
+    const portuguese = await request(app).post("/api/sessions").send({ symptoms: "me sinto mal", language: "pt" });
+    expect(portuguese.body.question.text).toBe("Há quanto tempo você está se sentindo assim?");
+    const arabic = await request(app).post("/api/sessions").send({ symptoms: "أشعر بتوعك", language: "ar" });
+    expect(arabic.body.question.text).toBe("منذ متى وأنت تشعر بهذا؟");
+  });
+
+  it("reads Portuguese and Arabic symptoms with the catalog clarify terms", async () => {
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: vi.fn(),
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const portuguese = await request(app)
+      .post("/api/sessions")
+      .send({ symptoms: "febre de 39 graus há 3 dias e tosse", language: "pt" });
+    expect(portuguese.body).toEqual({ sessionId: null, status: "ready", questionsTotal: 0 });
+
+    const arabic = await request(app).post("/api/sessions").send({ symptoms: "حمى منذ يومين وسعال", language: "ar" });
+    expect(arabic.body).toMatchObject({ status: "asking", questionsTotal: 2 });
+    expect(arabic.body.question).toMatchObject({ id: "temperature", index: 0 });
+
+    const measured = await request(app)
+      .post("/api/sessions")
+      .send({ symptoms: "حمى ٣٩ درجة منذ يومين وسعال", language: "ar" });
+    expect(measured.body).toEqual({ sessionId: null, status: "ready", questionsTotal: 0 });
+  });
+
+  it("extracts lab values from image uploads and flags out-of-range rows", async () => {
+    const labRows = {
+      rows: [
+        { analyte: "Hemoglobin", value: "9.8", unit: "g/dL", referenceRange: "11.5-15.5", flag: "normal", confidence: 0.95 },
+        { analyte: "White blood cells", value: "7.2", unit: "10^9/L", referenceRange: "4.5-13.5", confidence: 0.9 },
+        {
+          analyte: "CRP",
+          value: "24",
+          unit: "mg/L",
+          referenceRange: "<5",
+          confidence: 0.85,
+          childExplanation: "This shows your body is fighting something.",
+        },
+        { analyte: "Smudged value", value: "??", confidence: 0.2 },
+      ],
+    };
+    const fetchMock = vi.fn().mockImplementation(async (_url, options) => {
+      const body = JSON.parse(options.body);
+      const isLabRequest = body.systemInstruction.parts[0].text.includes("lab reports");
+      return {
+        ok: true,
+        json: async () => ({
+          candidates: [{ content: { parts: [{ text: isLabRequest ? JSON.stringify(labRows) : "Lab explanation" }] } }],
+        }),
+      };
+    });
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "Here are my blood test results",
+        file: { base64: "aGVsbG8gd29ybGQ=", mimeType: "image/png", fileName: "labs.png", isImage: true },
+      });
+
+    expect(response.status).toBe(200);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(response.body.labs.status).toBe("ok");
+    expect(response.body.labs.rows.map((row) => [row.analyte, row.flag])).toEqual([
+      ["Hemoglobin", "low"],
+      ["White blood cells", "normal"],
+      ["CRP", "high"],
+    ]);
+    expect(response.body.labs.rows[0].explanation).toMatch(/a little lower than usual/);
+    expect(response.body.labs.rows[1].explanation).toBeUndefined();
+    expect(response.body.labs.rows[2].explanation).toBe("This shows your body is fighting something.");
+  });
+
+  it("falls back clearly when lab extraction confidence is low", async () => {
+    const fetchMock = vi.fn().mockImplementation(async (_url, options) => {
+      const body = JSON.parse(options.body);
+      const isLabRequest = body.systemInstruction.parts[0].text.includes("lab reports");
+      return {
+        ok: true,
+        json: async () => ({
+          candidates: [
+            {
+              content: {
+                parts: [
+                  {
+                    text: isLabRequest
+                      ? JSON.stringify({ rows: [{ analyte: "Glucose", value: "5?", confidence: 0.3 }] })
+                      : "Lab explanation",
+                  },
+                ],
+              },
+            },
+          ],
+        }),
+      };
+    });
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "Here are my blood test results",
+        language: "es",
+        file: { base64: "aGVsbG8gd29ybGQ=", mimeType: "image/png", fileName: "labs.png", isImage: true },
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.labs).toMatchObject({ status: "low_confidence", rows: [], confidence: 0.3 });
+    expect(response.body.labs.message).toMatch(/No pudimos leer bien/);
+  });
+
+  it("includes extracted text from TXT uploads in the prompt", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Your note says you had a fever." } }] }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "Please read my note",
+        file: {
+          base64: Buffer.from("Fever 38.9C since Monday.\nIbuprofen given at 8am.").toString("base64"),
+          mimeType: "text/plain",
+          fileName: "note.txt",
+          isImage: false,
+        },
+      });
+
+    expect(response.status).toBe(200);
+    const userContent = JSON.parse(fetchMock.mock.calls[0][1].body).messages[1].content;
+    expect(userContent).toHaveLength(1);
+    expect(userContent[0].text).toContain("<document>\nFever 38.9C since Monday.\nIbuprofen given at 8am.\n</document>");
+    expect(userContent[0].text).not.toMatch(/symptoms only/);
+  });
+
+  it("sends unreadable PDFs to Gemini and Anthropic as native documents and readable ones as text", async () => {
+    const pdfBase64 = Buffer.from("%PDF-1.4\n%%EOF\n").toString("base64");
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: false, json: async () => ({ error: { message: "gemini unavailable" } }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ content: [{ type: "text", text: "PDF read" }] }) });
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      anthropicApiKey: "anth-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "Here is my clinic letter",
+        file: { base64: pdfBase64, mimeType: "application/pdf", fileName: "letter.pdf", isImage: false },
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.provider).toBe("anthropic");
+
+    const geminiParts = JSON.parse(fetchMock.mock.calls[0][1].body).contents[0].parts;
+    expect(geminiParts[0]).toEqual({ inline_data: { mime_type: "application/pdf", data: pdfBase64 } });
+
+    const anthropicContent = JSON.parse(fetchMock.mock.calls[1][1].body).messages[0].content;
+    expect(anthropicContent[0]).toEqual({
+      type: "document",
+      source: { type: "base64", media_type: "application/pdf", data: pdfBase64 },
+    });
+    expect(anthropicContent[1].text).toMatch(/I uploaded a PDF document/);
+
+    // A PDF whose text was read is sent as that text only, not a second time as a file.
+    const readable = Buffer.from("%PDF-1.4\n1 0 obj\n<< /Length 30 >>\nstream\nBT (Hemoglobin 9.8 g/dL) Tj ET\nendstream\nendobj\n%%EOF\n");
+    fetchMock.mockResolvedValueOnce({ ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: "Text read" }] } }] }) });
+    const textOnly = await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "Here are my results",
+        file: { base64: readable.toString("base64"), mimeType: "application/pdf", fileName: "results.pdf", isImage: false },
+      });
+    expect(textOnly.body.provider).toBe("gemini");
+    const textParts = JSON.parse(fetchMock.mock.calls[2][1].body).contents[0].parts;
+    expect(textParts).toHaveLength(1);
+    expect(textParts[0].text).toContain("<document>\nHemoglobin 9.8 g/dL\n</document>");
+  });
+
+  it("keeps the child's words and the parent's observations apart", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Rest, sip water and tell a grown-up." } }] }),
+    });
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: ["groq"],
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "my throat hurts",
+        feelings: ["tired", "scared", "tired"],
+        parentNotes: "Fever for 4 days, barely drinking",
+        age: 8,
+      });
+    expect(response.status).toBe(200);
+    expect(response.body.triage.level).toBe("caution");
+    expect(response.body.triage.vitals.feverDurationHours).toBe(96);
+    expect(response.body.handoff).toMatchObject({
+      symptoms: "my throat hurts",
+      feelings: ["tired", "scared"],
+      parentNotes: "Fever for 4 days, barely drinking",
+    });
+
+    const { messages } = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(messages[0].content).toContain("The child's own words and a parent's observations are labeled separately.");
+    expect(messages[1].content[0].text).toMatch(/^Hi Dr\. Buddy\. I am little friend, 8 years old\. My symptoms: my throat hurts\. I feel tired, scared\./);
+    expect(messages[1].content[0].text).toContain("\nMy parent's observations: Fever for 4 days, barely drinking");
+
+    const parentOnly = await request(app).post("/api/diagnose").send({ parentNotes: "Rash on both arms since this morning" });
+    expect(parentOnly.status).toBe(200);
+    expect(parentOnly.body.handoff).toMatchObject({ symptoms: "", parentNotes: "Rash on both arms since this morning" });
+    expect(parentOnly.body.handoff).not.toHaveProperty("feelings");
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).messages[1].content[0].text).not.toContain("My symptoms");
+
+    const nobody = await request(app).post("/api/diagnose").send({ feelings: ["sad"] });
+    expect(nobody.status).toBe(400);
+    expect(nobody.body.error).toBe("Please provide symptoms.");
+    const unknown = await request(app).post("/api/diagnose").send({ symptoms: "my tummy hurts", feelings: ["hungry"] });
+    expect(unknown.body.error).toBe("Pick feelings from the list.");
+  });
+
+  it("renders the doctor handoff as a PDF from a posted payload", async () => {
+    const app = createApp({ appVersion: "9.9.9", enableRequestLogging: false, apiRateLimitMax: 1000 });
+
+    const response = await request(app)
+      .post("/api/handoff.pdf")
+      .send({
+        handoff: {
+          createdAt: "2026-02-27T10:30:00.000Z",
+          childName: "Mia",
+          childAge: "8 years old",
+          symptoms: "Sore throat and fever",
+          feelings: ["tired", "sore"],
+          parentNotes: "Fever of 39.2 since Monday, drinking less",
+          language: "en",
+          readingLevel: "simple",
+          allergies: ["penicillin"],
+        },
+        triage: { level: "caution", message: "Check soon", reasons: ["fever lasting more than three days"] },
+        result: "ignored when sections are present",
+        sections: {
+          whatMightBeHappening: "A throat infection.",
+          homeCare: ["Drink warm water"],
+          seeADoctor: { urgency: "soon", advice: "See a doctor today." },
+          encouragement: "You are brave!",
+          parentGuidance: {
+            summary: "Likely a viral sore throat.",
+            monitoring: ["Check fluids every few hours"],
+            escalation: ["Call the clinic if she cannot swallow liquids"],
+          },
+        },
+        labs: {
+          status: "ok",
+          message: "",
+          rows: [{ analyte: "CRP", value: "24", unit: "mg/L", referenceRange: "<5", flag: "high" }],
+        },
+      })
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("application/pdf");
+    expect(response.headers["content-disposition"]).toMatch(/attachment; filename="kiddoc-handoff-\d{4}-\d{2}-\d{2}\.pdf"/);
+
+    const text = extractPdfText(response.body);
+    for (const expected of [
+      "Mia",
+      "penicillin",
+      "In the Child's Words",
+      "Sore throat and fever",
+      "Tired, Sore",
+      "Parent's Observations",
+      "Fever of 39.2 since Monday, drinking less",
+      "CAUTION",
+      "fever lasting more than three days",
+      "What can help at home",
+      "See a doctor soon: See a doctor today.",
+      "Guidance for Parents",
+      "What to watch",
+      "Call the clinic if she cannot swallow liquids",
+      "CRP",
+      "HIGH",
+      "not a medical diagnosis",
+      "KidDoc v9.9.9",
+      "Page 2 of 2",
+    ]) {
+      expect(text).toContain(expected);
+    }
+    expect(text).not.toContain("ignored when sections are present");
+  });
+
+  it("labels the handoff PDF in the check's language and refuses scripts it cannot print", async () => {
+    const app = createApp({ enableRequestLogging: false, apiRateLimitMax: 1000 });
+    const payload = (handoff) => ({
+      handoff: { createdAt: "2026-02-27T10:30:00.000Z", readingLevel: "simple", ...handoff },
+      triage: { level: "caution", message: "", reasons: [] },
+      sections: {
+        whatMightBeHappening: "Una infección de garganta.",
+        homeCare: ["Bebe agua tibia"],
+        seeADoctor: { urgency: "soon", advice: "Ve hoy." },
+        encouragement: "¡Eres valiente!",
+      },
+      labs: { status: "ok", message: "", rows: [{ analyte: "PCR", value: "24", unit: "mg/L", referenceRange: "<5", flag: "high" }] },
+    });
+
+    const spanish = await request(app)
+      .post("/api/handoff.pdf")
+      .send(payload({ symptoms: "Me duele la garganta", feelings: ["tired"], language: "es" }))
+      .buffer(true)
+      .parse(binaryParser);
+    expect(spanish.status).toBe(200);
+    const text = extractPdfText(spanish.body);
+    for (const expected of ["Datos del niño", "Síntomas descritos", "Cansado", "PRECAUCIÓN", "Ve al médico pronto: Ve hoy.", "ALTO", "Página 1 de 1"]) {
+      expect(text).toContain(expected);
+    }
+    expect(text).not.toContain("Child Details");
+
+    const arabic = await request(app)
+      .post("/api/handoff.pdf")
+      .set("Accept-Language", "ar")
+      .send(payload({ symptoms: "حلقي يؤلمني", language: "ar" }));
+    expect(arabic.status).toBe(422);
+    expect(arabic.body.error).toContain("طباعة الملخص للطبيب");
+
+    const mixed = await request(app)
+      .post("/api/handoff.pdf")
+      .send(payload({ symptoms: "Sore throat", parentNotes: "Он не пьёт", language: "en" }));
+    expect(mixed.status).toBe(422);
+    expect(mixed.body.error).toBe(
+      'The PDF can only show Latin letters, and this check has text in another script. Use "Print Summary For Doctor" instead.',
+    );
+  });
+
+  it("exports saved checks as PDF by history id", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Rest and drink water." } }] }),
+    });
+
+    const app = createApp({
+      groqApiKey: "groq-key",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const diagnosis = await request(app).post("/api/diagnose").set(FAMILY).send({ symptoms: "mild headache", name: "Mia", age: 8 });
+    const response = await request(app)
+      .get(`/api/handoff/${diagnosis.body.historyId}.pdf`)
+      .set(FAMILY)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(extractPdfText(response.body)).toContain("Rest and drink water.");
+
+    const missing = await request(app).get("/api/handoff/unknown-id.pdf").set(FAMILY);
+    expect(missing.status).toBe(404);
+  });
+
+  it("rejects invalid handoff export payloads", async () => {
+    const app = createApp({ enableRequestLogging: false, apiRateLimitMax: 1000 });
+
+    const response = await request(app).post("/api/handoff.pdf").send({ triage: { level: "routine" } });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("follows PROVIDER_ORDER and leaves out providers that are not listed", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ content: [{ type: "text", text: "Anthropic first" }] }),
+    });
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      anthropicApiKey: "anth-key",
+      providerOrder: "anthropic",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "runny nose" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.provider).toBe("anthropic");
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toContain("api.anthropic.com");
+    expect(() => createApp({ providerOrder: "gemini,unknown" })).toThrow(/Unknown provider/);
+  });
+
+  it("calls a local Ollama server and skips it for image uploads", async () => {
+    const fetchMock = vi.fn().mockImplementation(async (url) => ({
+      ok: true,
+      json: async () =>
+        url.includes("localhost:11434")
+          ? { choices: [{ message: { content: "Local answer" } }] }
+          : { candidates: [{ content: { parts: [{ text: "Gemini saw the image" }] } }] },
+    }));
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      ollamaModel: "llama3.2",
+      providerOrder: "ollama,gemini",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const text = await request(app).post("/api/diagnose").send({ symptoms: "runny nose" });
+    expect(text.body.provider).toBe("ollama");
+    const [ollamaUrl, ollamaInit] = fetchMock.mock.calls[0];
+    expect(ollamaUrl).toBe("http://localhost:11434/v1/chat/completions");
+    expect(ollamaInit.headers.authorization).toBeUndefined();
+    expect(JSON.parse(ollamaInit.body).model).toBe("llama3.2");
+
+    fetchMock.mockClear();
+    const image = await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "rash on my arm",
+        file: { base64: "aGVsbG8gd29ybGQ=", mimeType: "image/png", fileName: "rash.png", isImage: true },
+      });
+    expect(image.body.provider).toBe("gemini");
+    expect(fetchMock.mock.calls.every(([url]) => !url.includes("localhost:11434"))).toBe(true);
+  });
+
+  it("times out a hung provider and falls back to the next one", async () => {
+    const fetchMock = vi.fn().mockImplementation(async (url) =>
+      url.includes("generativelanguage")
+        ? new Promise(() => {})
+        : { ok: true, json: async () => ({ choices: [{ message: { content: "Groq answered" } }] }) },
+    );
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      groqApiKey: "groq-key",
+      providerTimeoutMs: 20,
+      providerMaxRetries: 0,
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "mild headache" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.provider).toBe("groq");
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it("retries rate-limited requests with backoff before giving up on a provider", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({ error: { message: "slow down" } }) })
+      .mockResolvedValueOnce({ ok: false, status: 503, json: async () => ({ error: { message: "overloaded" } }) })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ candidates: [{ content: { parts: [{ text: "Third time lucky" }] } }] }),
+      });
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      providerRetryBaseMs: 1,
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "mild headache" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.result).toContain("Third time lucky");
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it("skips a provider while its circuit is open and reports it on /api/health", async () => {
+    const fetchMock = vi.fn().mockImplementation(async (url) =>
+      url.includes("generativelanguage")
+        ? { ok: false, status: 401, json: async () => ({ error: { message: "bad key" } }) }
+        : { ok: true, json: async () => ({ choices: [{ message: { content: "Groq answered" } }] }) },
+    );
+
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      groqApiKey: "groq-key",
+      providerOrder: "gemini,groq",
+      breakerFailureThreshold: 2,
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const response = await request(app).post("/api/diagnose").send({ symptoms: "mild headache" });
+      expect(response.body.provider).toBe("groq");
+    }
+    expect(fetchMock.mock.calls.filter(([url]) => url.includes("generativelanguage"))).toHaveLength(2);
+
+    const health = await request(app).get("/api/health");
+    expect(health.body.providers).toEqual([
+      {
+        name: "gemini",
+        configured: true,
+        state: "open",
+        consecutiveFailures: 2,
+        retryAt: expect.any(String),
+        lastError: { message: "bad key", at: expect.any(String) },
+      },
+      { name: "groq", configured: true, state: "closed", consecutiveFailures: 0, retryAt: null, lastError: null },
+    ]);
+
+    const ready = await request(app).get("/api/ready");
+    expect(ready.status).toBe(200);
+    expect(ready.body.checks.providers.available).toEqual(["groq"]);
+  });
+
+  it("serves Prometheus metrics only with the metrics token", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 401, json: async () => ({ error: { message: "bad key" } }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ choices: [{ message: { content: "Groq answered" } }] }) });
+    const options = { enableRequestLogging: false, apiRateLimitMax: 1000, diagnoseRateLimitMax: 1 };
+
+    const disabled = await request(createApp(options)).get("/metrics");
+    expect(disabled.status).toBe(404);
+
+    const app = createApp({
+      ...options,
+      providerOrder: "gemini,groq",
+      geminiApiKey: "gem-key",
+      groqApiKey: "groq-key",
+      metricsToken: "scrape-token",
+      fetchImpl: fetchMock,
+    });
+
+    const unauthorized = await request(app).get("/metrics").set("authorization", "Bearer wrong");
+    expect(unauthorized.status).toBe(401);
+
+    await request(app)
+      .post("/api/diagnose")
+      .send({
+        symptoms: "itchy skin for two days",
+        file: { base64: "aGVsbG8gd29ybGQgZnJvbSBraWRkb2M=", mimeType: "text/plain", fileName: "notes.txt", isImage: false },
+      });
+    const limited = await request(app).post("/api/diagnose").send({ symptoms: "mild headache" });
+    expect(limited.status).toBe(429);
+
+    const response = await request(app).get("/metrics").set("authorization", "Bearer scrape-token");
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^text\/plain;.*version=0.0.4/);
+    expect(response.text).toContain('kiddoc_http_requests_total{method="POST",route="/api/diagnose",status="200"} 1');
+    expect(response.text).toContain('kiddoc_http_request_duration_seconds_count{method="POST",route="/api/diagnose"} 2');
+    expect(response.text).toContain('kiddoc_diagnoses_total{triage_level="routine",mode="json"} 1');
+    expect(response.text).toContain('kiddoc_provider_requests_total{provider="gemini",outcome="failure"} 1');
+    expect(response.text).toContain('kiddoc_provider_requests_total{provider="groq",outcome="success"} 1');
+    expect(response.text).toContain('kiddoc_provider_request_duration_seconds_count{provider="groq"} 1');
+    expect(response.text).toContain('kiddoc_provider_fallbacks_total{from_provider="gemini"} 1');
+    expect(response.text).toContain('kiddoc_rate_limit_rejections_total{limiter="diagnose"} 1');
+    expect(response.text).toContain('kiddoc_upload_bytes_count{mime_type="text/plain"} 1');
+  });
+
+  it("counts a check with its question session once against the diagnosis limit", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Rest and drink water." } }] }),
+    });
+    const app = createApp({
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 2,
+    });
+
+    for (let check = 0; check < 2; check += 1) {
+      const session = await request(app).post("/api/sessions").send({ symptoms: "mild headache since yesterday" });
+      expect(session.status).toBe(201);
+      const diagnosis = await request(app).post("/api/diagnose").send({ symptoms: "mild headache since yesterday" });
+      expect(diagnosis.status).toBe(200);
+    }
+    const limited = await request(app).post("/api/diagnose").send({ symptoms: "mild headache since yesterday" });
+    expect(limited.status).toBe(429);
+  });
+
+  it("applies age-limited triage rules using the profile's age in months", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Please go to the emergency room now." } }] }),
+    });
+    const app = createApp({
+      groqApiKey: "groq-key",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+    const birth = new Date();
+    birth.setUTCDate(birth.getUTCDate() - 45);
+    const profile = await request(app)
+      .post("/api/profiles")
+      .set(FAMILY)
+      .send({ name: "Ana", dateOfBirth: birth.toISOString().slice(0, 10) });
+
+    const response = await request(app)
+      .post("/api/diagnose")
+      .set(FAMILY)
+      .send({ symptoms: "La bebe tiene fiebre", language: "es", profileId: profile.body.id });
+
+    expect(response.body.triage).toMatchObject({
+      level: "emergency",
+      reasons: ["Fiebre en un bebe menor de 3 meses"],
+      ruleIds: ["fever-young-infant"],
+    });
+  });
+
+  it("scores temperature, fever duration and vomiting by age band and shows them in the handoff PDF", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Please see a doctor." } }] }),
+    });
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: "groq",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+    const symptoms = "Fever of 39.2 C for 3 days and he vomited 4 times today";
+
+    const toddler = await request(app).post("/api/diagnose").send({ symptoms, age: 3 });
+    expect(toddler.body.triage).toMatchObject({
+      level: "emergency",
+      ruleIds: ["vitals-temperature", "vitals-fever-duration", "vitals-vomiting", "vitals-combined"],
+      vitals: { temperatureC: 39.2, feverDurationHours: 72, vomitingEpisodes: 4, ageMonths: 36, ageBand: "6m-5y", score: 3 },
+    });
+
+    const older = await request(app).post("/api/diagnose").send({ symptoms, age: 10 });
+    expect(older.body.triage).toMatchObject({
+      level: "caution",
+      ruleIds: ["vitals-fever-duration", "vitals-vomiting"],
+      vitals: { ageBand: "5y-plus", score: 2 },
+    });
+
+    const pdf = await request(app)
+      .post("/api/handoff.pdf")
+      .send({ handoff: toddler.body.handoff, triage: toddler.body.triage, result: toddler.body.result })
+      .buffer(true)
+      .parse(binaryParser);
+    const text = extractPdfText(pdf.body);
+    for (const expected of ["Measured Values", "39.2 °C (102.6 °F)", "3 days", "vitals-combined"]) {
+      expect(text).toContain(expected);
+    }
+  });
+
+  it("lets an optional model second opinion raise, but never lower, the rules triage", async () => {
+    let opinion = { level: "emergency", reasons: ["Purple lips"] };
+    const fetchMock = vi.fn(async (_url, init) => {
+      const isTriage = JSON.parse(init.body).messages[0].content.startsWith("You are a pediatric triage nurse");
+      const content = isTriage ? JSON.stringify(opinion) : "Please see a doctor.";
+      return { ok: true, json: async () => ({ choices: [{ message: { content } }] }) };
+    });
+    const metrics = createMetrics();
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: "groq",
+      triageSecondOpinion: true,
+      fetchImpl: fetchMock,
+      metrics,
+      enableRequestLogging: false,
+    });
+
+    const raised = await request(app).post("/api/diagnose").send({ symptoms: "his lips look kind of purple" });
+    expect(raised.body.triage).toMatchObject({
+      level: "emergency",
+      source: "model",
+      reasons: ["Purple lips"],
+      secondOpinion: { status: "escalated", provider: "groq", rulesLevel: "routine" },
+    });
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).messages[0].content).toContain(
+      "Start with a direct warning to seek emergency care immediately.",
+    );
+
+    opinion = { level: "routine", reasons: [] };
+    const kept = await request(app).post("/api/diagnose").send({ symptoms: "She has a rash on her arm" });
+    expect(kept.body.triage).toMatchObject({ level: "caution", source: "rules", secondOpinion: { status: "ignored" } });
+
+    fetchMock.mockClear();
+    const urgent = await request(app).post("/api/diagnose").send({ symptoms: "He can't breathe" });
+    expect(urgent.body.triage.secondOpinion).toBeUndefined();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    expect(metrics.render()).toContain('kiddoc_triage_second_opinions_total{outcome="escalated"} 1');
+  });
+
+  it("gives up on a slow second opinion after its own deadline, without retries or fallback", async () => {
+    const isTriage = (init) => init.body.includes("You are a pediatric triage nurse");
+    const fetchMock = vi.fn((_url, init) =>
+      isTriage(init)
+        ? new Promise(() => {})
+        : Promise.resolve({ ok: true, json: async () => ({ choices: [{ message: { content: "Rest and drink water." } }] }) }),
+    );
+    const metrics = createMetrics();
+    const app = createApp({
+      groqApiKey: "groq-key",
+      openaiApiKey: "openai-key",
+      providerOrder: "groq,openai",
+      triageSecondOpinion: true,
+      triageSecondOpinionTimeoutMs: 50,
+      fetchImpl: fetchMock,
+      metrics,
+      enableRequestLogging: false,
+    });
+
+    const startedAt = Date.now();
+    const response = await request(app).post("/api/diagnose").send({ symptoms: "She has a rash on her arm" });
+
+    expect(Date.now() - startedAt).toBeLessThan(2_000);
+    expect(response.body.triage).toMatchObject({ level: "caution", source: "rules", secondOpinion: { status: "failed" } });
+    expect(fetchMock.mock.calls.filter(([, init]) => isTriage(init))).toHaveLength(1);
+    expect(metrics.render()).toContain('kiddoc_provider_requests_total{provider="groq",outcome="aborted"} 1');
+  });
+
+  it("attaches localized emergency numbers and first aid to emergency triage only", async () => {
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: "groq",
+      emergencyCountry: "GB",
+      fetchImpl: vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: "Please get help." } }] }),
+      }),
+      enableRequestLogging: false,
+    });
+
+    const france = await request(app)
+      .post("/api/diagnose")
+      .send({ symptoms: "Il fait une crise convulsive", language: "fr", country: "fr" });
+    expect(france.body.triage.emergency).toMatchObject({ country: "FR", number: "15", callLabel: "Appeler le 15" });
+    expect(france.body.triage.emergency.firstAid[0]).toMatchObject({ id: "seizure", title: "Convulsion" });
+
+    const fallback = await request(app).post("/api/diagnose").send({ symptoms: "He passed out at school" });
+    expect(fallback.body.triage.emergency).toMatchObject({ country: "GB", number: "999" });
+    expect(fallback.body.triage.emergency.firstAid[0].id).toBe("unconscious");
+
+    const caution = await request(app).post("/api/diagnose").send({ symptoms: "She has a rash", country: "FR" });
+    expect(caution.body.triage.emergency).toBeUndefined();
+
+    const invalid = await request(app).post("/api/diagnose").send({ symptoms: "He passed out", country: "France" });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe("Country must be a two-letter code.");
+  });
+
+  it("routes self-harm to the crisis pathway without asking a provider or saving history", async () => {
+    const fetchMock = vi.fn();
+    const metrics = createMetrics();
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: "groq",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      metrics,
+      enableRequestLogging: false,
+    });
+
+    const teen = await request(app)
+      .post("/api/diagnose")
+      .set(FAMILY)
+      .send({ symptoms: "I keep thinking I want to kill myself", age: 15, country: "US" });
+    expect(teen.status).toBe(200);
+    expect(teen.body).toMatchObject({ sections: null, labs: null, provider: null, historyId: null });
+    expect(teen.body.triage).toMatchObject({ level: "emergency", pathway: "crisis", ruleIds: ["mental-health-emergency"] });
+    expect(teen.body.triage.emergency).toBeUndefined();
+    expect(teen.body.triage.crisis).toMatchObject({
+      audience: "teen",
+      country: "US",
+      resources: [{ name: "988 Suicide & Crisis Lifeline", phone: "988", sms: "988" }],
+      immediateDanger: "If anyone is in immediate danger, call 911 now.",
+    });
+    expect(teen.body.result).toBe(teen.body.triage.crisis.message);
+
+    const overdose = await request(app)
+      .post("/api/diagnose")
+      .send({ symptoms: "He took pills to kill himself and is not breathing", age: 15, country: "US" });
+    expect(overdose.body.triage).toMatchObject({
+      pathway: "crisis",
+      ruleIds: ["breathing-difficulty", "mental-health-emergency"],
+    });
+    expect(overdose.body.triage.crisis).toMatchObject({ audience: "teen", country: "US" });
+    expect(overdose.body.triage.emergency).toMatchObject({ number: "911", firstAid: [{ id: "breathing" }] });
+    expect(overdose.body.result).toBe(overdose.body.triage.crisis.message);
+
+    const stream = await request(app)
+      .post("/api/diagnose/stream")
+      .send({ symptoms: "Mi hijo dice que quiere morirse", language: "es", age: 7, country: "ES" });
+    const events = parseSseText(stream.text);
+    expect(events.map((event) => event.event)).toEqual(["triage", "done"]);
+    expect(events[0].data.triage.crisis).toMatchObject({ audience: "child", title: "No estas solo" });
+    expect(events[0].data.triage.crisis.resources.map((resource) => resource.phone)).toEqual(["024", "900 20 20 10"]);
+    expect(events[1].data).toMatchObject({ provider: null, historyId: null, result: events[0].data.triage.crisis.message });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect((await request(app).get("/api/history").set(FAMILY)).body.items).toEqual([]);
+    const rendered = metrics.render();
+    expect(rendered).toContain('kiddoc_crisis_pathways_total{language="en",audience="teen"} 2');
+    expect(rendered).toContain('kiddoc_crisis_pathways_total{language="es",audience="child"} 1');
+    expect(rendered).not.toMatch(/kill|morirse/);
+  });
+
+  it("transcribes and reads aloud through a pluggable speech provider", async () => {
+    const speechProvider = {
+      name: "stub",
+      label: "Stub speech",
+      voices: ["calm"],
+      isConfigured: () => true,
+      transcribe: vi.fn(async ({ audio, language }) => `${language}:${audio.toString()}`),
+      synthesize: vi.fn(async ({ text, voice }) => ({ audio: Buffer.from(`${voice}:${text}`), mimeType: "audio/mpeg" })),
+    };
+    const metrics = createMetrics();
+    const app = createApp({ speechProvider, metrics, enableRequestLogging: false });
+
+    const info = await request(app).get("/api/speech");
+    expect(info.body).toEqual({ available: true, provider: "stub", voices: ["calm"] });
+
+    const transcribed = await request(app)
+      .post("/api/speech/transcribe")
+      .send({ audio: Buffer.from("my tummy hurts a lot").toString("base64"), mimeType: "audio/webm;codecs=opus", language: "es" });
+    expect(transcribed.status).toBe(200);
+    expect(transcribed.body).toEqual({ text: "es:my tummy hurts a lot" });
+    expect(speechProvider.transcribe.mock.calls[0][0].mimeType).toBe("audio/webm");
+
+    const spoken = await request(app)
+      .post("/api/speech/synthesize")
+      .send({ text: "Drink water and rest.", voice: "calm" })
+      .buffer(true)
+      .parse(binaryParser);
+    expect(spoken.status).toBe(200);
+    expect(spoken.headers["content-type"]).toBe("audio/mpeg");
+    expect(spoken.body.toString()).toBe("calm:Drink water and rest.");
+
+    const badType = await request(app)
+      .post("/api/speech/transcribe")
+      .send({ audio: Buffer.from("a recording of sorts").toString("base64"), mimeType: "video/mp4", language: "fr" });
+    expect(badType.status).toBe(400);
+    expect(badType.body.error).toBe("Ce format d'enregistrement n'est pas pris en charge.");
+    expect((await request(app).post("/api/speech/synthesize").send({ text: " " })).body.error).toBe(
+      "There is nothing to read aloud.",
+    );
+
+    speechProvider.synthesize.mockRejectedValueOnce(new Error("socket hang up"));
+    const failed = await request(app).post("/api/speech/synthesize").send({ text: "Hello" });
+    expect(failed.status).toBe(502);
+    expect(failed.body.error).toBe("Stub speech request failed: socket hang up");
+    const rendered = metrics.render();
+    expect(rendered).toContain('kiddoc_speech_requests_total{operation="transcribe",outcome="success"} 1');
+    expect(rendered).toContain('kiddoc_speech_requests_total{operation="synthesize",outcome="failure"} 1');
+  });
+
+  it("limits speech separately from diagnoses", async () => {
+    const speechProvider = {
+      name: "stub",
+      label: "Stub speech",
+      voices: ["calm"],
+      isConfigured: () => true,
+      transcribe: vi.fn(async () => "my tummy hurts"),
+      synthesize: vi.fn(async ({ text }) => ({ audio: Buffer.from(text), mimeType: "audio/mpeg" })),
+    };
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Rest and drink water." } }] }),
+    });
+    const metrics = createMetrics();
+    const app = createApp({
+      speechProvider,
+      groqApiKey: "groq-key",
+      fetchImpl: fetchMock,
+      metrics,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1,
+      speechRateLimitMax: 2,
+    });
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      expect((await request(app).post("/api/speech/synthesize").send({ text: "Hello" })).status).toBe(200);
+    }
+    expect((await request(app).post("/api/speech/synthesize").send({ text: "Hello" })).status).toBe(429);
+    const diagnosis = await request(app).post("/api/diagnose").send({ symptoms: "mild headache since yesterday" });
+    expect(diagnosis.status).toBe(200);
+    expect(metrics.render()).toContain('kiddoc_rate_limit_rejections_total{limiter="speech"} 1');
+  });
+
+  it("returns 503 for server speech unless SPEECH_PROVIDER is set and configured", async () => {
+    const off = createApp({ speechProvider: "", enableRequestLogging: false });
+    expect((await request(off).get("/api/speech")).body).toEqual({ available: false, provider: null, voices: [] });
+    expect((await request(off).post("/api/speech/synthesize").send({ text: "Hello" })).status).toBe(503);
+
+    const missingKey = createApp({ speechProvider: "openai", openaiApiKey: "", enableRequestLogging: false });
+    expect((await request(missingKey).post("/api/speech/transcribe").send({})).status).toBe(503);
+
+    expect(() => createApp({ speechProvider: "parrot" })).toThrow(/Unknown SPEECH_PROVIDER: parrot/);
+  });
+
+  it("sends recordings and text to OpenAI's audio endpoints", async () => {
+    const fetchMock = vi.fn(async (url) =>
+      url.endsWith("/audio/transcriptions")
+        ? new Response(JSON.stringify({ text: " I have a sore throat " }), { status: 200 })
+        : new Response(Buffer.from("mp3-bytes"), { status: 200, headers: { "content-type": "audio/mpeg" } }),
+    );
+    const app = createApp({
+      speechProvider: "openai",
+      openaiApiKey: "openai-key",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+    });
+
+    const transcribed = await request(app)
+      .post("/api/speech/transcribe")
+      .send({ audio: Buffer.from("ogg audio bytes here").toString("base64"), mimeType: "audio/ogg", language: "pt" });
+    expect(transcribed.body).toEqual({ text: "I have a sore throat" });
+    const [transcribeUrl, transcribeInit] = fetchMock.mock.calls[0];
+    expect(transcribeUrl).toBe("https://api.openai.com/v1/audio/transcriptions");
+    expect(transcribeInit.headers.authorization).toBe("Bearer openai-key");
+    expect(transcribeInit.body.get("language")).toBe("pt");
+    expect(transcribeInit.body.get("model")).toBe("whisper-1");
+    expect(transcribeInit.body.get("file").name).toBe("speech.ogg");
+
+    const spoken = await request(app)
+      .post("/api/speech/synthesize")
+      .send({ text: "Rest and drink water.", voice: "not-a-voice" })
+      .buffer(true)
+      .parse(binaryParser);
+    expect(spoken.body.toString()).toBe("mp3-bytes");
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({
+      model: "tts-1",
+      voice: "nova",
+      input: "Rest and drink water.",
+      response_format: "mp3",
+    });
+  });
+
+  it("returns a care plan with the answer and exports it as an iCalendar file", async () => {
+    const sections = {
+      whatMightBeHappening: "You might have a cold.",
+      homeCare: ["Drink lots of water.", "Get plenty of sleep."],
+      seeADoctor: { urgency: "monitor", advice: "See a doctor if you are not better in three days." },
+      encouragement: "You will feel better soon!",
+    };
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ candidates: [{ content: { parts: [{ text: JSON.stringify(sections) }] } }] }),
+    });
+    const app = createApp({
+      geminiApiKey: "gem-key",
+      providerOrder: "gemini",
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+    });
+
+    const response = await request(app).post("/api/diagnose").set(FAMILY).send({ symptoms: "I sneeze a lot", language: "fr" });
+    expect(response.body.plan.urgency).toBe("monitor");
+    expect(response.body.plan.items.map((item) => [item.kind, item.title])).toEqual([
+      ["hydration", "C'est l'heure de boire de l'eau"],
+      ["rest", "C'est l'heure de se reposer"],
+      ["doctor", "Toujours pas mieux ? Vois un médecin"],
+    ]);
+    expect((await request(app).get(`/api/history/${response.body.historyId}`).set(FAMILY)).body.plan).toEqual(response.body.plan);
+
+    const ics = await request(app)
+      .post("/api/reminders.ics")
+      .send({ reminders: response.body.plan.items, language: "fr" });
+    expect(ics.status).toBe(200);
+    expect(ics.headers["content-type"]).toBe("text/calendar; charset=utf-8");
+    expect(ics.headers["content-disposition"]).toBe('attachment; filename="kiddoc-care-plan.ics"');
+    expect(ics.text).toContain("X-WR-CALNAME:Plan de soins");
+    expect(ics.text.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+
+    const empty = await request(app).post("/api/reminders.ics").send({ reminders: [], language: "es" });
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toBe("Añade al menos un recordatorio.");
+  });
+
+  it("creates, lists, updates, exports and deletes reminders", async () => {
+    const app = createApp({
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      enableRequestLogging: false,
+    });
+    const profile = await request(app).post("/api/profiles").set(FAMILY).send({ name: "Leo", dateOfBirth: isoDateYearsAgo(4) });
+    const profileId = profile.body.id;
+
+    const water = await request(app).post("/api/reminders").set(FAMILY).send({
+      kind: "hydration",
+      title: "Time for a drink of water",
+      startsAt: "2026-05-01T10:00:00Z",
+      everyHours: 2,
+      until: "2026-05-02T08:00:00Z",
+      profileId,
+    });
+    expect(water.status).toBe(201);
+    expect(water.body).toMatchObject({ id: expect.any(String), kind: "hydration", detail: "", profileId });
+    await request(app)
+      .post("/api/reminders")
+      .set(FAMILY)
+      .send({ kind: "doctor", title: "See a doctor", startsAt: "2026-05-01T09:00:00Z" });
+
+    expect((await request(app).get("/api/reminders").set(FAMILY)).body.items.map((item) => item.kind)).toEqual(["doctor", "hydration"]);
+    expect((await request(app).get(`/api/reminders?profileId=${profileId}`).set(FAMILY)).body.items).toHaveLength(1);
+
+    const updated = await request(app)
+      .put(`/api/reminders/${water.body.id}`)
+      .set(FAMILY)
+      .send({ ...water.body, everyHours: 3 });
+    expect(updated.body).toMatchObject({ id: water.body.id, everyHours: 3 });
+    expect((await request(app).get(`/api/reminders/${water.body.id}`).set(FAMILY)).body.everyHours).toBe(3);
+
+    const ics = await request(app).get(`/api/reminders.ics?profileId=${profileId}`).set(FAMILY);
+    expect(ics.text).toContain(`UID:${water.body.id}@kiddoc`);
+    expect(ics.text).toContain("RRULE:FREQ=HOURLY;INTERVAL=3;UNTIL=20260502T080000Z");
+
+    const invalid = await request(app).post("/api/reminders").set(FAMILY).send({ title: "Water", startsAt: "2026-05-01T10:00:00Z", everyHours: 2 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe("Repeating reminders need an end time within 14 days of the start.");
+
+    // Other families neither see nor touch them, and cannot attach reminders to this child.
+    expect((await request(app).get("/api/reminders").set(OTHER_FAMILY)).body.items).toEqual([]);
+    expect((await request(app).get(`/api/reminders/${water.body.id}`).set(OTHER_FAMILY)).status).toBe(404);
+    expect((await request(app).delete(`/api/reminders/${water.body.id}`).set(OTHER_FAMILY)).status).toBe(404);
+    const foreign = await request(app)
+      .post("/api/reminders")
+      .set(OTHER_FAMILY)
+      .send({ title: "Water", startsAt: "2026-05-01T10:00:00Z", profileId });
+    expect(foreign.status).toBe(404);
+    expect((await request(app).get("/api/reminders")).status).toBe(401);
+
+    expect((await request(app).delete(`/api/reminders/${water.body.id}`).set(FAMILY)).status).toBe(204);
+    expect((await request(app).get(`/api/reminders/${water.body.id}`).set(FAMILY)).status).toBe(404);
+    expect((await request(app).put(`/api/reminders/${water.body.id}`).set(FAMILY).send(water.body)).status).toBe(404);
+    expect((await request(app).get(`/api/reminders.ics?profileId=${profileId}`).set(FAMILY)).status).toBe(404);
+
+    const noStorage = createApp({ enableRequestLogging: false });
+    expect((await request(noStorage).get("/api/reminders")).status).toBe(503);
+  });
+
+  it("adds checked doses to the diagnosis and tells the model never to give doses", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Rest and drink water. Ask a grown-up about medicine." } }] }),
+    });
+    const metrics = createMetrics();
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: "groq",
+      metrics,
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+
+    const response = await request(app)
+      .post("/api/diagnose")
+      .send({ symptoms: "I have a fever. How much children's ibuprofen can I have?", age: "4" });
+    expect(response.status).toBe(200);
+    expect(response.body.dosing.checks).toEqual([
+      expect.objectContaining({ medicine: "ibuprofen", status: "ok", dose: expect.objectContaining({ mg: 150, basis: "age" }) }),
+    ]);
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).messages[0].content).toContain("Never give medicine doses");
+
+    const weighed = await request(app).post("/api/diagnose").send({ symptoms: "Can I take ibuprofen for my fever?", age: "3", weightKg: 12.5 });
+    expect(weighed.body.dosing.checks[0].dose).toMatchObject({ mg: 100, basis: "weight" });
+    const noMedicine = await request(app).post("/api/diagnose").send({ symptoms: "I have a runny nose" });
+    expect(noMedicine.body.dosing).toBeNull();
+    const emergency = await request(app).post("/api/diagnose").send({ symptoms: "He can't breathe after taking ibuprofen" });
+    expect(emergency.body.triage.level).toBe("emergency");
+    expect(emergency.body.dosing).toBeNull();
+    expect(metrics.render()).toContain('kiddoc_dosing_checks_total{source="diagnose",status="ok"} 2');
+  });
+
+  it("checks doses at /api/dosing against the profile's age, allergies and medicines", async () => {
+    const app = createApp({
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+    });
+    const profile = await request(app)
+      .post("/api/profiles")
+      .set(FAMILY)
+      .send({ name: "Mia", dateOfBirth: isoDateYearsAgo(5), allergies: ["ibuprofen"], medications: ["Calpol"] });
+
+    const checked = await request(app)
+      .post("/api/dosing")
+      .set(FAMILY)
+      .send({ medicines: ["Nurofen", "paracetamol"], profileId: profile.body.id });
+    expect(checked.status).toBe(200);
+    expect(checked.body.reviewedAt).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(checked.body.checks.map((check) => [check.medicine, check.status, check.reasons[0].code])).toEqual([
+      ["ibuprofen", "rejected", "allergy"],
+      ["paracetamol", "rejected", "sameIngredient"],
+    ]);
+
+    const spanish = await request(app)
+      .post("/api/dosing")
+      .send({ medicines: ["ibuprofeno"], weightKg: 20, symptoms: "Tiene varicela", language: "es" });
+    expect(spanish.body.checks[0]).toMatchObject({ label: "Ibuprofeno", status: "rejected", dose: null });
+    expect(spanish.body.checks[0].reasons[0].message).toMatch(/varicela/);
+    expect(spanish.body.disclaimer).toMatch(/^Lean siempre la etiqueta/);
+
+    const tooHeavy = await request(app).post("/api/dosing").send({ medicines: ["tylenol"], weightKg: 500 });
+    expect(tooHeavy.status).toBe(400);
+    expect(tooHeavy.body.error).toBe("Weight must be between 2 and 150 kg.");
+    const none = await request(app).post("/api/dosing").set("Accept-Language", "fr").send({ medicines: [] });
+    expect(none.body.error).toBe("Indiquez au moins un médicament à vérifier.");
+  });
+
+  it("keeps a per-child symptom diary and feeds it into triage and the prompt", async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Keep her drinking and rest." } }] }),
+    });
+    const app = createApp({
+      groqApiKey: "groq-key",
+      providerOrder: ["groq"],
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      fetchImpl: fetchMock,
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+      diagnoseRateLimitMax: 1000,
+    });
+    const profile = await request(app).post("/api/profiles").set(FAMILY).send({ name: "Zoe", dateOfBirth: isoDateYearsAgo(6) });
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    for (const [hours, temperatureC] of [
+      [76, 38.6],
+      [54, 39],
+      [32, 39.2],
+    ]) {
+      const saved = await request(app)
+        .post("/api/diary")
+        .set(FAMILY)
+        .send({ profileId: profile.body.id, recordedAt: hoursAgo(hours), temperatureC });
+      expect(saved.status).toBe(201);
+    }
+    const latest = await request(app)
+      .post("/api/diary")
+      .set(FAMILY)
+      .send({ profileId: profile.body.id, recordedAt: hoursAgo(10), temperatureC: 39.6, painScore: 6, fluidsMl: 300, note: "Not eating" });
+    expect(latest.body).toMatchObject({ temperatureC: 39.6, painScore: 6, fluidsMl: 300, sleepHours: null, note: "Not eating" });
+
+    const diary = await request(app).get("/api/diary").set(FAMILY).query({ profileId: profile.body.id, days: 3 });
+    expect(diary.status).toBe(200);
+    expect(diary.body.items.map((entry) => entry.temperatureC)).toEqual([39, 39.2, 39.6]);
+    expect(diary.body.vitals).toEqual({ temperatureC: 39.6, feverDurationHours: 54 });
+
+    const diagnosis = await request(app).post("/api/diagnose").set(FAMILY).send({ symptoms: "She has a fever", profileId: profile.body.id });
+    expect(diagnosis.status).toBe(200);
+    expect(diagnosis.body.triage.level).toBe("caution");
+    expect(diagnosis.body.triage.vitals).toMatchObject({ temperatureC: 39.6, feverDurationHours: 76 });
+
+    const systemPrompt = JSON.parse(fetchMock.mock.calls[0][1].body).messages[0].content;
+    expect(systemPrompt).toContain("The parent keeps a symptom diary.");
+    expect(systemPrompt).toMatch(/temperature 39\.6°C, pain 6\/10, fluids 300 mL, note: "Not eating"/);
+    expect(systemPrompt).toContain("Temperature trend: rising, from 39°C to 39.6°C.");
+    expect(systemPrompt).toContain("Fever (38°C or more) for about 76 hours.");
+    expect(systemPrompt).not.toContain("38.6°C");
+
+    // Another family cannot read, add to or delete this child's diary.
+    const elsewhere = await request(app).get("/api/diary").set(OTHER_FAMILY).query({ profileId: profile.body.id });
+    expect(elsewhere.body.items).toEqual([]);
+    const intruder = await request(app).post("/api/diary").set(OTHER_FAMILY).send({ profileId: profile.body.id, temperatureC: 37 });
+    expect(intruder.status).toBe(404);
+    expect((await request(app).delete(`/api/diary/${latest.body.id}`).set(OTHER_FAMILY)).status).toBe(404);
+    expect((await request(app).get("/api/diary").query({ profileId: profile.body.id })).status).toBe(401);
+
+    const removed = await request(app).delete(`/api/diary/${latest.body.id}`).set(FAMILY);
+    expect(removed.status).toBe(204);
+    expect((await request(app).delete(`/api/diary/${latest.body.id}`).set(FAMILY)).status).toBe(404);
+
+    await request(app).delete(`/api/profiles/${profile.body.id}`).set(FAMILY);
+    expect((await request(app).get("/api/diary").set(FAMILY).query({ profileId: profile.body.id })).body.items).toEqual([]);
+  });
+
+  it("rejects empty, out-of-range and orphaned diary entries", async () => {
+    const app = createApp({
+      storageDriver: "memory",
+      storageEncryptionKey: "test-secret",
+      enableRequestLogging: false,
+      apiRateLimitMax: 1000,
+    });
+    const profileId = "6f1c1c36-8f2e-4a63-9a53-4d7a3a1c1b11";
+
+    const empty = await request(app).post("/api/diary").set(FAMILY).send({ profileId, note: " " });
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toBe("Add at least one reading or a note.");
+    const pain = await request(app).post("/api/diary").set(FAMILY).set("Accept-Language", "es").send({ profileId, painScore: 5 });
+    expect(pain.body.error).toBe("El dolor debe ser una de las caras: 0, 2, 4, 6, 8 o 10.");
+    const future = await request(app)
+      .post("/api/diary")
+      .set(FAMILY)
+      .send({ profileId, temperatureC: 38, recordedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    expect(future.body.error).toBe("The time cannot be in the future.");
+    expect((await request(app).get("/api/diary").set(FAMILY)).body.error).toBe("Choose a saved child for the diary.");
+
+    const orphan = await request(app).post("/api/diary").set(FAMILY).send({ profileId, temperatureC: 38 });
+    expect(orphan.status).toBe(404);
+  });
+});
+
+// Phrases families actually type, including missing accents and common misspellings.
+// Every language is checked with every UI language, since people often write in one
+// language on a screen set to another.
+const RED_FLAG_CORPUS = {
+  en: {
+    emergency: [
+      "he can't breathe",
+      "cant breath properly",
+      "she is struggling to breath",
+      "difficulty breathing and shortness of breath",
+      "he stopped breathing for a moment",
+      "he had a siezure this morning",
+      "she's having convulsions",
+      "having a fit",
+      "he's unconcious",
+      "he passed out",
+      "her lips turned blue",
+      "chest pain when running",
+      "she has been self-harming",
+    ],
+    routine: ["runny nose and a bit tired", "he breathes fine but coughs at night", "she fits her shoes again"],
+  },
+  es: {
+    emergency: [
+      "no puede respirar bien",
+      "dificultad respiratoria",
+      "no respira",
+      "se está ahogando",
+      "tiene convulsiones",
+      "convulsión",
+      "convulcion",
+      "ataque epileptico",
+      "esta inconsciente",
+      "inconciente",
+      "se desmayó",
+      "labios morados",
+      "dolor en el pecho",
+      "dice que se quiere quitar la vida",
+    ],
+    routine: ["tiene mocos y tos leve", "respira bien pero esta cansado", "le pica la nariz"],
+  },
+  fr: {
+    emergency: [
+      "il n'arrive pas à respirer",
+      "difficultés respiratoires",
+      "il ne respire plus",
+      "il s'étouffe",
+      "il convulse",
+      "crise convulsive",
+      "convultion",
+      "elle est inconsciente",
+      "inconsciant",
+      "il s'est évanoui",
+      "levre bleue",
+      "douleur thoracique",
+      "il parle de se tuer",
+    ],
+    routine: ["il a le nez qui coule", "il respire bien mais tousse la nuit", "elle a faim"],
+  },
+  pt: {
+    emergency: [
+      "meu filho não consegue respirar e tem convulsão",
+      "ele tem dificuldade para respirar",
+      "falta de ar",
+      "parou de respirar",
+      "está tendo uma convulsão",
+      "crise convulsiva",
+      "está inconsciente",
+      "ela desmaiou",
+      "lábios roxos",
+      "dor no peito",
+      "ela quer morrer",
+      "ele falou em se matar",
+    ],
+    routine: ["está com o nariz escorrendo", "respira bem mas tosse à noite", "ela está com fome"],
+  },
+  ar: {
+    emergency: [
+      "طفلي لا يستطيع التنفس",
+      "عنده ضيق في التنفس",
+      "توقفت عن التنفس",
+      "عنده تشنجات",
+      "نوبة صرع",
+      "فاقد الوعي",
+      "أُغمي عليه",
+      "شفاهه زرقاء",
+      "ألم في الصدر",
+      "يريد أن يموت",
+      "تقول إنها تريد أن تنتحر",
+    ],
+    routine: ["عنده سيلان في الأنف", "يتنفس جيدا لكنه يسعل في الليل", "هي جائعة"],
+  },
+};
+
+describe("multilingual red-flag detection", () => {
+  const app = createApp({
+    groqApiKey: "groq-key",
+    providerOrder: "groq",
+    fetchImpl: vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "Please follow the advice." } }] }),
+    })),
+    enableRequestLogging: false,
+    apiRateLimitMax: 1000,
+    diagnoseRateLimitMax: 1000,
+  });
+
+  async function triageFor(symptoms, language) {
+    const response = await request(app).post("/api/diagnose").send({ symptoms, language, age: 6 });
+    expect(response.status).toBe(200);
+    return response.body.triage;
+  }
+
+  describe.each(Object.entries(RED_FLAG_CORPUS))("%s phrases", (language, { emergency, routine }) => {
+    it.each(emergency)("flags %j as an emergency", async (phrase) => {
+      const triage = await triageFor(phrase, language);
+      expect(triage.level).toBe("emergency");
+      expect(triage.reasons.length).toBeGreaterThan(0);
+    });
+
+    it("flags them on screens set to other languages too", async () => {
+      const others = Object.keys(RED_FLAG_CORPUS).filter((code) => code !== language);
+      for (const [index, phrase] of emergency.entries()) {
+        expect((await triageFor(phrase, others[index % others.length])).level, phrase).toBe("emergency");
+      }
+    });
+
+    it.each(routine)("does not flag %j", async (phrase) => {
+      expect((await triageFor(phrase, language)).level).toBe("routine");
+    });
+  });
+});
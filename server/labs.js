@@ -0,0 +1,141 @@
+import { z } from "zod";
+import { translate } from "./i18n.js";
+
+const LAB_FLAGS = ["low", "normal", "high", "unknown"];
+const MIN_ROW_CONFIDENCE = 0.5;
+const MIN_REPORT_CONFIDENCE = 0.6;
+const MAX_LAB_ROWS = 40;
+
+const labRowSchema = z.object({
+  analyte: z.string().trim().min(1).max(120),
+  value: z.union([z.string(), z.number()]).transform((value) => String(value).trim()),
+  unit: z.string().trim().max(40).optional().default(""),
+  referenceRange: z.string().trim().max(80).optional().default(""),
+  flag: z.string().trim().toLowerCase().optional().default("unknown"),
+  confidence: z.coerce.number().min(0).max(1).catch(0),
+  childExplanation: z.string().trim().max(300).optional().default(""),
+});
+
+const labExtractionSchema = z.object({
+  rows: z.array(z.unknown()).max(MAX_LAB_ROWS),
+});
+
+export const LAB_OUTPUT_SCHEMA = {
+  name: "lab_report_rows",
+  description: "Return every lab value that can be read from the report.",
+  jsonSchema: {
+    type: "object",
+    properties: {
+      rows: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            analyte: { type: "string" },
+            value: { type: "string" },
+            unit: { type: "string" },
+            referenceRange: { type: "string" },
+            flag: { type: "string", enum: LAB_FLAGS },
+            confidence: { type: "number" },
+            childExplanation: { type: "string" },
+          },
+          required: ["analyte", "value", "confidence"],
+        },
+      },
+    },
+    required: ["rows"],
+  },
+};
+
+export function buildLabSystemPrompt({ languageName }) {
+  return `You read pediatric lab reports and copy their values into a table.
+Rules:
+- Return only a JSON object: {"rows": [{"analyte", "value", "unit", "referenceRange", "flag", "confidence", "childExplanation"}]}.
+- Copy values, units, and reference ranges exactly as printed. Never guess a value you cannot read.
+- "flag" is one of ${LAB_FLAGS.map((flag) => `"${flag}"`).join(", ")}, based only on the printed reference range.
+- "confidence" is a number from 0 to 1 for how sure you are that you read the row correctly.
+- "childExplanation" only for low or high rows: one short, calm sentence in ${languageName} a child can understand. No diagnosis, no scary words.
+- If the file is not a lab report, return {"rows": []}.`;
+}
+
+function parseNumber(value) {
+  const match = String(value).replace(",", ".").match(/-?\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+export function parseReferenceRange(range) {
+  const text = String(range || "").replace(/,/g, ".");
+  const between = text.match(/(-?\d+(?:\.\d+)?)\s*(?:-|–|to|a|à)\s*(-?\d+(?:\.\d+)?)/i);
+  if (between) {
+    return { low: Number(between[1]), high: Number(between[2]) };
+  }
+  const upper = text.match(/(?:<|≤|<=|up to|below)\s*(-?\d+(?:\.\d+)?)/i);
+  if (upper) {
+    return { low: null, high: Number(upper[1]) };
+  }
+  const lower = text.match(/(?:>|≥|>=|above|over)\s*(-?\d+(?:\.\d+)?)/i);
+  if (lower) {
+    return { low: Number(lower[1]), high: null };
+  }
+  return null;
+}
+
+// The printed range wins over whatever flag the model chose; the model flag is only
+// used when the value or range cannot be parsed.
+export function computeLabFlag({ value, referenceRange, flag }) {
+  const numericValue = parseNumber(value);
+  const range = parseReferenceRange(referenceRange);
+  if (numericValue !== null && range) {
+    if (range.low !== null && numericValue < range.low) {
+      return "low";
+    }
+    if (range.high !== null && numericValue > range.high) {
+      return "high";
+    }
+    return "normal";
+  }
+  return LAB_FLAGS.includes(flag) ? flag : "unknown";
+}
+
+export function failedLabs(language) {
+  return { status: "failed", message: translate(language, "ui.labs.failed"), confidence: 0, rows: [] };
+}
+
+export function parseLabExtraction(extraction, { language }) {
+  const parsed = labExtractionSchema.safeParse(extraction);
+  if (!parsed.success) {
+    return failedLabs(language);
+  }
+
+  const rows = parsed.data.rows
+    .map((row) => labRowSchema.safeParse(row))
+    .filter((row) => row.success)
+    .map(({ data }) => {
+      const flag = computeLabFlag(data);
+      const outOfRange = flag === "low" || flag === "high";
+      return {
+        analyte: data.analyte,
+        value: data.value,
+        unit: data.unit,
+        referenceRange: data.referenceRange,
+        flag,
+        confidence: Number(data.confidence.toFixed(2)),
+        ...(outOfRange ? { explanation: data.childExplanation || translate(language, `ui.labs.explanations.${flag}`) } : {}),
+      };
+    });
+
+  const confidence = rows.length
+    ? Number((rows.reduce((total, row) => total + row.confidence, 0) / rows.length).toFixed(2))
+    : 0;
+
+  if (rows.length === 0 || confidence < MIN_REPORT_CONFIDENCE) {
+    return { status: "low_confidence", message: translate(language, "ui.labs.lowConfidence"), confidence, rows: [] };
+  }
+
+  return {
+    status: "ok",
+    message: "",
+    confidence,
+    rows: rows.filter((row) => row.confidence >= MIN_ROW_CONFIDENCE),
+  };
+}
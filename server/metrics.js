@@ -0,0 +1,172 @@
+import crypto from "node:crypto";
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const PROVIDER_DURATION_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+const UPLOAD_BYTE_BUCKETS = [16_384, 65_536, 262_144, 1_048_576, 2_097_152, 4_194_304, 8_388_608];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+// Series are keyed by their label values in `labelNames` order, so callers may pass
+// labels in any order and missing labels become empty strings.
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets }) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const labels = labelsFromKey(labelNames, key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+/**
+ * In-process metrics in the Prometheus text exposition format. Each app instance owns
+ * its registry, so tests never see each other's counts.
+ */
+export function createMetrics() {
+  const metrics = {
+    httpRequests: createCounter({
+      name: "kiddoc_http_requests_total",
+      help: "HTTP requests by route and status code.",
+      labelNames: ["method", "route", "status"],
+    }),
+    httpDuration: createHistogram({
+      name: "kiddoc_http_request_duration_seconds",
+      help: "HTTP request latency by route.",
+      labelNames: ["method", "route"],
+      buckets: DURATION_BUCKETS,
+    }),
+    diagnoses: createCounter({
+      name: "kiddoc_diagnoses_total",
+      help: "Diagnoses answered, by triage level and response mode.",
+      labelNames: ["triage_level", "mode"],
+    }),
+    triageSecondOpinions: createCounter({
+      name: "kiddoc_triage_second_opinions_total",
+      help: "Model second-opinion triage calls by outcome: escalated, agreed, ignored (lower than the rules) or failed.",
+      labelNames: ["outcome"],
+    }),
+    crisisPathways: createCounter({
+      name: "kiddoc_crisis_pathways_total",
+      help: "Checks routed to the mental-health crisis pathway, by language and audience (child or teen). No text is kept.",
+      labelNames: ["language", "audience"],
+    }),
+    speechRequests: createCounter({
+      name: "kiddoc_speech_requests_total",
+      help: "Server speech fallback calls by operation (transcribe or synthesize) and outcome. No audio or text is kept.",
+      labelNames: ["operation", "outcome"],
+    }),
+    dosingChecks: createCounter({
+      name: "kiddoc_dosing_checks_total",
+      help: "Medicine dose checks by source (api or diagnose) and status: ok, caution, rejected, needsInfo or unknown.",
+      labelNames: ["source", "status"],
+    }),
+    providerRequests: createCounter({
+      name: "kiddoc_provider_requests_total",
+      help: "AI provider calls by outcome: success, failure, aborted by the client, or skipped while the circuit is open.",
+      labelNames: ["provider", "outcome"],
+    }),
+    providerDuration: createHistogram({
+      name: "kiddoc_provider_request_duration_seconds",
+      help: "AI provider call latency, including retries.",
+      labelNames: ["provider"],
+      buckets: PROVIDER_DURATION_BUCKETS,
+    }),
+    providerFallbacks: createCounter({
+      name: "kiddoc_provider_fallbacks_total",
+      help: "Times a provider failed or was skipped and the next one was tried.",
+      labelNames: ["from_provider"],
+    }),
+    rateLimitRejections: createCounter({
+      name: "kiddoc_rate_limit_rejections_total",
+      help: "Requests rejected by a rate limiter.",
+      labelNames: ["limiter"],
+    }),
+    uploadBytes: createHistogram({
+      name: "kiddoc_upload_bytes",
+      help: "Size of uploaded files by MIME type.",
+      labelNames: ["mime_type"],
+      buckets: UPLOAD_BYTE_BUCKETS,
+    }),
+  };
+
+  return {
+    ...metrics,
+    render() {
+      return `${Object.values(metrics)
+        .flatMap((metric) => metric.render())
+        .join("\n")}\n`;
+    },
+  };
+}
+
+// Unmatched paths share one label so random URLs cannot blow up the series count.
+export function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+export function isMetricsTokenValid(header, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(String(header || ""));
+  if (!token || !match) {
+    return false;
+  }
+  const expected = crypto.createHash("sha256").update(token).digest();
+  const actual = crypto.createHash("sha256").update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
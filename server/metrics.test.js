@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { createMetrics, isMetricsTokenValid } from "./metrics.js";
+
+describe("metrics", () => {
+  it("renders counters and cumulative histogram buckets in Prometheus text format", () => {
+    const metrics = createMetrics();
+    metrics.diagnoses.inc({ mode: "json", triage_level: "caution" });
+    metrics.diagnoses.inc({ triage_level: "caution", mode: "json" });
+    metrics.uploadBytes.observe({ mime_type: "image/png" }, 100_000);
+
+    const text = metrics.render();
+
+    expect(text).toContain("# TYPE kiddoc_diagnoses_total counter");
+    expect(text).toContain('kiddoc_diagnoses_total{triage_level="caution",mode="json"} 2');
+    expect(text).toContain("# TYPE kiddoc_upload_bytes histogram");
+    expect(text).toContain('kiddoc_upload_bytes_bucket{mime_type="image/png",le="65536"} 0');
+    expect(text).toContain('kiddoc_upload_bytes_bucket{mime_type="image/png",le="262144"} 1');
+    expect(text).toContain('kiddoc_upload_bytes_bucket{mime_type="image/png",le="+Inf"} 1');
+    expect(text).toContain('kiddoc_upload_bytes_sum{mime_type="image/png"} 100000');
+    expect(text.endsWith("\n")).toBe(true);
+  });
+
+  it("accepts only the configured bearer token", () => {
+    expect(isMetricsTokenValid("Bearer s3cret", "s3cret")).toBe(true);
+    expect(isMetricsTokenValid("Bearer wrong", "s3cret")).toBe(false);
+    expect(isMetricsTokenValid("s3cret", "s3cret")).toBe(false);
+    expect(isMetricsTokenValid("Bearer ", "")).toBe(false);
+  });
+});
@@ -0,0 +1,358 @@
+import zlib from "node:zlib";
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const FOOTER_HEIGHT = 28;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const LINE_HEIGHT = 1.35;
+const DEFAULT_CHAR_WIDTH = 556;
+
+// Advance widths (1/1000 em) for ASCII 32-126 from the Helvetica and Helvetica-Bold
+// AFM files. The standard 14 fonts need no embedding, so every viewer lays the
+// document out the same way.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+  611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const FONTS = {
+  regular: { resource: "F1", baseFont: "Helvetica", widths: HELVETICA_WIDTHS },
+  bold: { resource: "F2", baseFont: "Helvetica-Bold", widths: HELVETICA_BOLD_WIDTHS },
+};
+
+// WinAnsiEncoding matches Latin-1 from 0xA0 up; these are the punctuation marks and
+// Latin letters it places in 0x80-0x9F instead.
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "‚": 0x82,
+  "ƒ": 0x83,
+  "„": 0x84,
+  "…": 0x85,
+  "†": 0x86,
+  "‡": 0x87,
+  "ˆ": 0x88,
+  "‰": 0x89,
+  "Š": 0x8a,
+  "‹": 0x8b,
+  "Œ": 0x8c,
+  "Ž": 0x8e,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "˜": 0x98,
+  "™": 0x99,
+  "š": 0x9a,
+  "›": 0x9b,
+  "œ": 0x9c,
+  "ž": 0x9e,
+  "Ÿ": 0x9f,
+};
+const WORD_CHARACTER = /[\p{L}\p{N}\p{M}]/u;
+
+/**
+ * Thrown when the text has letters or digits the standard fonts cannot show, such as
+ * Arabic or Cyrillic script. Printing them as "?" would lose what the family wrote, so
+ * the document is refused instead. `characters` lists the first few offenders.
+ */
+export class PdfEncodingError extends Error {
+  constructor(characters) {
+    super(`The PDF fonts cannot show these characters: ${characters.join(" ")}`);
+    this.name = "PdfEncodingError";
+    this.characters = characters;
+  }
+}
+
+function toWinAnsi(text) {
+  let encoded = "";
+  const unsupported = new Set();
+  for (const char of String(text).normalize("NFC")) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      encoded += char;
+    } else if (char === "\t") {
+      encoded += " ";
+    } else if (WORD_CHARACTER.test(char)) {
+      unsupported.add(char);
+    } else {
+      // Symbols such as emoji carry no words of their own.
+      encoded += "?";
+    }
+  }
+  if (unsupported.size > 0) {
+    throw new PdfEncodingError([...unsupported].slice(0, 5));
+  }
+  return encoded;
+}
+
+function escapePdfString(text) {
+  return text.replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+function measure(text, font, size) {
+  let width = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    width += code >= 32 && code <= 126 ? font.widths[code - 32] : DEFAULT_CHAR_WIDTH;
+  }
+  return (width * size) / 1000;
+}
+
+function wrapLine(text, font, size, maxWidth) {
+  const words = text.split(" ");
+  const lines = [];
+  let current = "";
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measure(candidate, font, size) <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      lines.push(current);
+    }
+    current = word;
+    while (measure(current, font, size) > maxWidth && current.length > 1) {
+      let cut = current.length - 1;
+      while (cut > 1 && measure(current.slice(0, cut), font, size) > maxWidth) {
+        cut -= 1;
+      }
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+function fitText(text, font, size, maxWidth) {
+  if (measure(text, font, size) <= maxWidth) {
+    return text;
+  }
+  let cut = text.length;
+  while (cut > 0 && measure(`${text.slice(0, cut)}...`, font, size) > maxWidth) {
+    cut -= 1;
+  }
+  return `${text.slice(0, cut)}...`;
+}
+
+function formatPdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map((channel) => (channel / 255).toFixed(3)).join(" ");
+}
+
+/**
+ * A minimal single-column PDF writer: text flows top to bottom, wraps to the page
+ * width and continues on a new page when it runs out of room. `footer` is called
+ * for every page once the page count is known.
+ */
+export function createPdfDocument({ title = "", createdAt = new Date(), footer = null } = {}) {
+  const pages = [];
+  let operations = null;
+  let cursorY = 0;
+
+  const addPage = () => {
+    operations = [];
+    pages.push(operations);
+    cursorY = PAGE_HEIGHT - MARGIN;
+  };
+
+  const ensureSpace = (height) => {
+    if (!operations || cursorY - height < MARGIN + FOOTER_HEIGHT) {
+      addPage();
+    }
+  };
+
+  const drawText = (target, text, { x, y, font, size, color }) => {
+    target.push(
+      `BT ${hexToRgb(color)} rg /${font.resource} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdfString(text)}) Tj ET`,
+    );
+  };
+
+  const writeLines = (
+    text,
+    { bold = false, size = 11, color = "#222222", indent = 0, prefix = "", keepTogether = false } = {},
+  ) => {
+    const font = bold ? FONTS.bold : FONTS.regular;
+    const lineHeight = size * LINE_HEIGHT;
+    const prefixWidth = prefix ? measure(toWinAnsi(prefix), font, size) : 0;
+    const maxWidth = CONTENT_WIDTH - indent - prefixWidth;
+    const lines = String(text ?? "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .flatMap((line) => wrapLine(toWinAnsi(line.trimEnd()), font, size, maxWidth));
+    if (keepTogether) {
+      ensureSpace(lines.length * lineHeight);
+    }
+
+    lines.forEach((line, index) => {
+      ensureSpace(lineHeight);
+      cursorY -= lineHeight;
+      if (prefix && index === 0) {
+        drawText(operations, toWinAnsi(prefix), { x: MARGIN + indent, y: cursorY, font, size, color });
+      }
+      drawText(operations, line, { x: MARGIN + indent + prefixWidth, y: cursorY, font, size, color });
+    });
+  };
+
+  const document = {
+    heading(text, { size = 14, color = "#222222" } = {}) {
+      ensureSpace(size * LINE_HEIGHT * 3);
+      cursorY -= size * 0.5;
+      writeLines(text, { bold: true, size, color });
+      cursorY -= 2;
+      return document;
+    },
+    text(text, options = {}) {
+      writeLines(text, options);
+      return document;
+    },
+    field(label, value, { size = 11 } = {}) {
+      const font = FONTS.bold;
+      const labelText = toWinAnsi(`${label}: `);
+      const labelWidth = measure(labelText, font, size);
+      ensureSpace(size * LINE_HEIGHT);
+      const startY = cursorY - size * LINE_HEIGHT;
+      drawText(operations, labelText, { x: MARGIN, y: startY, font, size, color: "#222222" });
+      writeLines(value, { size, indent: labelWidth });
+      return document;
+    },
+    list(items, options = {}) {
+      for (const item of items) {
+        writeLines(item, { ...options, indent: 12, prefix: "• " });
+      }
+      return document;
+    },
+    table(columns, rows, { size = 9.5 } = {}) {
+      const lineHeight = size * LINE_HEIGHT + 2;
+      const drawRow = (cells, { bold = false, color = "#222222" } = {}) => {
+        const font = bold ? FONTS.bold : FONTS.regular;
+        ensureSpace(lineHeight);
+        cursorY -= lineHeight;
+        let x = MARGIN;
+        columns.forEach((column, index) => {
+          const width = column.width * CONTENT_WIDTH;
+          const cell = fitText(toWinAnsi(cells[index] ?? ""), font, size, width - 6);
+          drawText(operations, cell, { x, y: cursorY, font, size, color });
+          x += width;
+        });
+      };
+      drawRow(
+        columns.map((column) => column.label),
+        { bold: true },
+      );
+      for (const row of rows) {
+        drawRow(row.cells, { bold: row.highlight, color: row.highlight ? "#9a4d00" : "#222222" });
+      }
+      return document;
+    },
+    space(height = 8) {
+      cursorY -= height;
+      return document;
+    },
+    rule() {
+      ensureSpace(10);
+      cursorY -= 6;
+      operations.push(`0.800 0.800 0.800 RG 0.5 w ${MARGIN} ${cursorY} m ${PAGE_WIDTH - MARGIN} ${cursorY} l S`);
+      cursorY -= 4;
+      return document;
+    },
+    toBuffer() {
+      if (pages.length === 0) {
+        addPage();
+      }
+
+      pages.forEach((pageOperations, index) => {
+        const footerText = footer?.({ pageNumber: index + 1, pageCount: pages.length });
+        if (footerText) {
+          drawText(pageOperations, toWinAnsi(footerText), {
+            x: MARGIN,
+            y: MARGIN - 10,
+            font: FONTS.regular,
+            size: 8,
+            color: "#666666",
+          });
+        }
+      });
+
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontIds = Object.fromEntries(
+        Object.entries(FONTS).map(([key, font]) => [
+          key,
+          addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`),
+        ]),
+      );
+      const infoId = addObject(
+        `<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (KidDoc) /CreationDate (${formatPdfDate(createdAt)}) >>`,
+      );
+      const fontResources = Object.entries(FONTS)
+        .map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`)
+        .join(" ");
+
+      const pageIds = pages.map((pageOperations) => {
+        const content = zlib.deflateSync(Buffer.from(pageOperations.join("\n"), "latin1"));
+        const contentId = addObject({ dictionary: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`,
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let offset = chunks[0].length;
+      const offsets = objects.map((object, index) => {
+        const start = offset;
+        const parts =
+          typeof object === "string"
+            ? [Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, "latin1")]
+            : [
+                Buffer.from(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`, "latin1"),
+                object.stream,
+                Buffer.from("\nendstream\nendobj\n", "latin1"),
+              ];
+        for (const part of parts) {
+          chunks.push(part);
+          offset += part.length;
+        }
+        return start;
+      });
+
+      const xref = [
+        `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`,
+        ...offsets.map((start) => `${String(start).padStart(10, "0")} 00000 n \n`),
+        `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`,
+      ].join("");
+      chunks.push(Buffer.from(xref, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return document;
+}
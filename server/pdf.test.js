@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { extractPdfText } from "./documents.js";
+import { createPdfDocument, PdfEncodingError } from "./pdf.js";
+
+describe("pdf writer", () => {
+  it("flows long text onto new pages and numbers every page", () => {
+    const pdf = createPdfDocument({
+      title: "Test",
+      footer: ({ pageNumber, pageCount }) => `Page ${pageNumber} of ${pageCount}`,
+    });
+    pdf.heading("Notes (draft)");
+    for (let index = 0; index < 80; index += 1) {
+      pdf.text(`Line ${index}`);
+    }
+
+    const buffer = pdf.toBuffer();
+    const source = buffer.toString("latin1");
+    const text = extractPdfText(buffer);
+
+    expect(source.startsWith("%PDF-1.4")).toBe(true);
+    expect(source).toMatch(/\/Count 2 >>/);
+    expect(source).toMatch(/startxref\n\d+\n%%EOF\n$/);
+    expect(text).toContain("Notes (draft)");
+    expect(text).toContain("Line 79");
+    expect(text).toContain("Page 1 of 2");
+    expect(text).toContain("Page 2 of 2");
+  });
+
+  it("writes accented Latin text and refuses scripts the standard fonts cannot show", () => {
+    const text = extractPdfText(createPdfDocument().text("Œdème – fièvre, niño, ação").toBuffer());
+    expect(text).toContain("fièvre, niño, ação");
+    expect(text).not.toContain("?");
+
+    expect(() => createPdfDocument().text("Fiebre y حمى").toBuffer()).toThrow(PdfEncodingError);
+    expect(() => createPdfDocument().text("Температура").toBuffer()).toThrow(/cannot show/);
+  });
+
+  it("points the cross-reference table at each object", () => {
+    const buffer = createPdfDocument().text("Hello").toBuffer();
+    const source = buffer.toString("latin1");
+    const xrefStart = Number(source.match(/startxref\n(\d+)/)[1]);
+    const offsets = source
+      .slice(xrefStart)
+      .split("\n")
+      .filter((line) => / 00000 n $/.test(line))
+      .map((line) => Number(line.slice(0, 10)));
+
+    expect(source.slice(xrefStart, xrefStart + 4)).toBe("xref");
+    offsets.forEach((offset, index) => {
+      expect(source.slice(offset, offset + `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { z } from "zod";
+
+export const PROFILES_COLLECTION = "profiles";
+const MAX_PROFILE_AGE_YEARS = 18;
+
+// Messages are keys into the locale catalogs; see validationMessage in i18n.js.
+const medicalList = (field) =>
+  z
+    .array(z.string().trim().min(1).max(80, `errors.${field}EntryTooLong`))
+    .max(20, `errors.${field}TooMany`)
+    .optional()
+    .default([]);
+
+function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value ? date : null;
+}
+
+// Whole months between two dates, counting a month only once its day has been reached.
+function monthsBetween(from, to) {
+  let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  if (to.getUTCDate() < from.getUTCDate()) {
+    months -= 1;
+  }
+  return months;
+}
+
+export function describeAge(dateOfBirth, now = new Date()) {
+  const birthDate = parseIsoDate(dateOfBirth);
+  if (!birthDate) {
+    return null;
+  }
+
+  const totalMonths = Math.max(0, monthsBetween(birthDate, now));
+  const years = Math.floor(totalMonths / 12);
+  if (years >= 1) {
+    return { years, months: totalMonths, text: `${years} ${years === 1 ? "year" : "years"} old` };
+  }
+  return { years: 0, months: totalMonths, text: `${totalMonths} ${totalMonths === 1 ? "month" : "months"} old` };
+}
+
+export const profileSchema = z
+  .object({
+    name: z.string().trim().min(1, "errors.childNameRequired").max(50, "errors.nameTooLong"),
+    dateOfBirth: z.string().trim().refine((value) => parseIsoDate(value), "errors.dateOfBirthInvalid"),
+    allergies: medicalList("allergies"),
+    chronicConditions: medicalList("chronicConditions"),
+    medications: medicalList("medications"),
+  })
+  .superRefine((value, ctx) => {
+    const birthDate = parseIsoDate(value.dateOfBirth);
+    if (!birthDate) {
+      return;
+    }
+    if (birthDate.getTime() > Date.now()) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["dateOfBirth"],
+        message: "errors.dateOfBirthInFuture",
+      });
+      return;
+    }
+    if (describeAge(value.dateOfBirth).years > MAX_PROFILE_AGE_YEARS) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["dateOfBirth"],
+        message: "errors.profileTooOld",
+        params: { years: MAX_PROFILE_AGE_YEARS },
+      });
+    }
+  });
+
+export function presentProfile(profile) {
+  return { ...profile, age: describeAge(profile.dateOfBirth) };
+}
+
+export function buildMedicalContext(profile) {
+  if (!profile) {
+    return "";
+  }
+
+  const lines = [];
+  if (profile.allergies?.length) {
+    lines.push(`Known allergies: ${profile.allergies.join(", ")}.`);
+  }
+  if (profile.chronicConditions?.length) {
+    lines.push(`Chronic conditions: ${profile.chronicConditions.join(", ")}.`);
+  }
+  if (profile.medications?.length) {
+    lines.push(`Current medications: ${profile.medications.join(", ")}.`);
+  }
+  return lines.join("\n");
+}
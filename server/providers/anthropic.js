@@ -0,0 +1,112 @@
+import { isImageUpload, isPdfUpload, MAX_OUTPUT_TOKENS, parseJsonText, PDF_MIME_TYPE } from "./shared.js";
+
+const DEFAULT_MODEL = "claude-sonnet-4-20250514";
+
+function buildUserContent({ text, file }) {
+  if (isImageUpload(file)) {
+    return [
+      {
+        type: "image",
+        source: {
+          type: "base64",
+          media_type: file.mimeType,
+          data: file.base64,
+        },
+      },
+      { type: "text", text },
+    ];
+  }
+  if (isPdfUpload(file)) {
+    return [
+      {
+        type: "document",
+        source: {
+          type: "base64",
+          media_type: PDF_MIME_TYPE,
+          data: file.base64,
+        },
+      },
+      { type: "text", text },
+    ];
+  }
+  return [{ type: "text", text }];
+}
+
+export default {
+  name: "anthropic",
+  label: "Anthropic",
+  supportsImages: true,
+  supportsStreaming: true,
+  readEnv(env) {
+    return {
+      anthropicApiKey: env.ANTHROPIC_API_KEY || "",
+      // MODEL is the backward-compatible alias from before Anthropic had its own setting.
+      anthropicModel: env.ANTHROPIC_MODEL || env.MODEL || DEFAULT_MODEL,
+    };
+  },
+  isConfigured(config) {
+    return Boolean(config.anthropicApiKey);
+  },
+  buildRequest({ config, systemPrompt, userText, file, stream = false, schema = null }) {
+    return {
+      url: "https://api.anthropic.com/v1/messages",
+      init: {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-api-key": config.anthropicApiKey,
+          "anthropic-version": "2023-06-01",
+        },
+        body: JSON.stringify({
+          model: config.anthropicModel || DEFAULT_MODEL,
+          max_tokens: MAX_OUTPUT_TOKENS,
+          ...(stream ? { stream: true } : {}),
+          ...(schema
+            ? {
+                tools: [{ name: schema.name, description: schema.description, input_schema: schema.jsonSchema }],
+                tool_choice: { type: "tool", name: schema.name },
+              }
+            : {}),
+          system: systemPrompt,
+          messages: [
+            {
+              role: "user",
+              content: buildUserContent({ text: userText, file }),
+            },
+          ],
+        }),
+      },
+    };
+  },
+  extractText(data) {
+    if (!Array.isArray(data?.content)) {
+      return "";
+    }
+
+    const toolUse = data.content.find((block) => block.type === "tool_use" && block.input);
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+
+    return data.content
+      .map((block) => (block.type === "text" ? block.text : ""))
+      .join("\n")
+      .trim();
+  },
+  extractError(data) {
+    return data?.error?.message || "";
+  },
+  extractStreamText(event) {
+    const data = parseJsonText(event.data);
+    if (data?.type === "error") {
+      return { error: data.error?.message || "Anthropic stream failed." };
+    }
+    if (data?.type === "message_stop") {
+      return { done: true };
+    }
+    if (data?.type === "content_block_delta" && data.delta?.type === "text_delta") {
+      return { text: data.delta.text || "" };
+    }
+    return {};
+  },
+};
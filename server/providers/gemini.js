@@ -0,0 +1,82 @@
+import { isImageUpload, isPdfUpload, MAX_OUTPUT_TOKENS, parseJsonText, TEMPERATURE } from "./shared.js";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+// Gemini's responseSchema uses OpenAPI-style upper-case type names.
+function toGeminiSchema(schema) {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]),
+    );
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  return converted;
+}
+
+function readParts(data) {
+  return data?.candidates?.[0]?.content?.parts?.map((part) => part?.text || "") || [];
+}
+
+export default {
+  name: "gemini",
+  label: "Gemini",
+  supportsImages: true,
+  supportsStreaming: true,
+  readEnv(env) {
+    return {
+      geminiApiKey: env.GEMINI_API_KEY || "",
+      geminiModel: env.GEMINI_MODEL || DEFAULT_MODEL,
+    };
+  },
+  isConfigured(config) {
+    return Boolean(config.geminiApiKey);
+  },
+  buildRequest({ config, systemPrompt, userText, file, stream = false, schema = null }) {
+    const parts = [{ text: userText }];
+    if (isImageUpload(file) || isPdfUpload(file)) {
+      parts.unshift({
+        inline_data: {
+          mime_type: file.mimeType.toLowerCase(),
+          data: file.base64,
+        },
+      });
+    }
+
+    const method = stream ? "streamGenerateContent" : "generateContent";
+    const query = stream ? "alt=sse&" : "";
+    return {
+      url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(config.geminiModel || DEFAULT_MODEL)}:${method}?${query}key=${encodeURIComponent(config.geminiApiKey)}`,
+      init: {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          systemInstruction: {
+            parts: [{ text: systemPrompt }],
+          },
+          contents: [{ role: "user", parts }],
+          generationConfig: {
+            maxOutputTokens: MAX_OUTPUT_TOKENS,
+            temperature: TEMPERATURE,
+            ...(schema ? { responseMimeType: "application/json", responseSchema: toGeminiSchema(schema.jsonSchema) } : {}),
+          },
+        }),
+      },
+    };
+  },
+  extractText(data) {
+    return readParts(data).join("\n").trim();
+  },
+  extractError(data) {
+    return data?.error?.message || "";
+  },
+  extractStreamText(event) {
+    const data = parseJsonText(event.data);
+    if (data?.error) {
+      return { error: data.error.message || "Gemini stream failed." };
+    }
+    return { text: readParts(data).join("") };
+  },
+};
@@ -0,0 +1,189 @@
+import anthropic from "./anthropic.js";
+import gemini from "./gemini.js";
+import { groq, ollama, openai } from "./openai-compatible.js";
+import {
+  createTimeout,
+  isRetryableStatus,
+  parseRetryAfter,
+  ProviderError,
+  raceAbort,
+  withRetries,
+} from "./resilience.js";
+import { parseJsonSafe, readSseEvents } from "./shared.js";
+
+const DEFAULT_TIMEOUT_MS = 20_000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 250;
+
+/**
+ * Every provider implements the same interface:
+ * - `name`, `label`
+ * - `supportsImages`, `supportsStreaming`
+ * - `readEnv(env)`: the provider's settings, merged into the server config
+ * - `isConfigured(config)`: whether it has what it needs to be called
+ * - `buildRequest({ config, systemPrompt, userText, file, stream, schema })` -> `{ url, init }`
+ * - `extractText(data)` and `extractError(data)` for JSON responses
+ * - `extractStreamText(event)` -> `{ text?, done?, error? }` for each SSE event when streaming
+ *
+ * Calls get a timeout (`<NAME>_TIMEOUT_MS`, else PROVIDER_TIMEOUT_MS) and jittered
+ * retries on timeouts, network errors, 429 and 5xx.
+ *
+ * To add a provider, create a module and register it here; PROVIDER_ORDER decides
+ * whether and when it is used.
+ */
+export const PROVIDERS = Object.fromEntries([gemini, groq, anthropic, openai, ollama].map((provider) => [provider.name, provider]));
+
+export const DEFAULT_PROVIDER_ORDER = ["gemini", "groq", "anthropic", "openai", "ollama"];
+
+export function parseProviderOrder(value) {
+  if (!value) {
+    return DEFAULT_PROVIDER_ORDER;
+  }
+
+  const names = [
+    ...new Set(
+      String(value)
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean),
+    ),
+  ];
+  const unknown = names.filter((name) => !PROVIDERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown provider in PROVIDER_ORDER: ${unknown.join(", ")}. Available: ${Object.keys(PROVIDERS).join(", ")}.`);
+  }
+  return names;
+}
+
+export function readProviderEnv(env) {
+  return Object.assign(
+    {},
+    ...Object.values(PROVIDERS).map((provider) => {
+      const timeoutMs = Number(env[`${provider.name.toUpperCase()}_TIMEOUT_MS`]);
+      return {
+        ...provider.readEnv(env),
+        [`${provider.name}TimeoutMs`]: Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : 0,
+      };
+    }),
+  );
+}
+
+export function listEnabledProviders(config) {
+  return (config.providerOrder || DEFAULT_PROVIDER_ORDER)
+    .map((name) => PROVIDERS[name])
+    .filter((provider) => provider?.isConfigured(config));
+}
+
+function resolveTimeoutMs(provider, config) {
+  return config[`${provider.name}TimeoutMs`] || config.providerTimeoutMs || DEFAULT_TIMEOUT_MS;
+}
+
+function retryOptions(config, signal) {
+  return {
+    retries: config.providerMaxRetries ?? DEFAULT_MAX_RETRIES,
+    baseMs: config.providerRetryBaseMs ?? DEFAULT_RETRY_BASE_MS,
+    random: config.random,
+    signal,
+  };
+}
+
+// Caller aborts pass through untouched; everything else becomes a ProviderError so the
+// retry loop can tell transient failures (timeouts, network, 429/5xx) from final ones.
+function toProviderError(error, { provider, timeout, timeoutMs, signal }) {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+  if (timeout.timedOut()) {
+    return new ProviderError(`${provider.label} timed out after ${timeoutMs}ms.`, { retryable: true });
+  }
+  if (signal?.aborted) {
+    return error;
+  }
+  return new ProviderError(`${provider.label} request failed: ${error.message || "network error"}`, { retryable: true });
+}
+
+async function fetchProvider(provider, { config, url, init, timeout }) {
+  const response = await raceAbort(config.fetchImpl(url, { ...init, signal: timeout.signal }), timeout.signal);
+  if (!response.ok) {
+    const data = await raceAbort(parseJsonSafe(response), timeout.signal);
+    throw new ProviderError(provider.extractError(data) || `${provider.label} request failed.`, {
+      status: response.status,
+      retryable: isRetryableStatus(response.status),
+      retryAfterMs: parseRetryAfter(response),
+    });
+  }
+  return response;
+}
+
+export function requestProvider(provider, { config, systemPrompt, userText, file, schema = null, signal }) {
+  const timeoutMs = resolveTimeoutMs(provider, config);
+  const { url, init } = provider.buildRequest({ config, systemPrompt, userText, file, schema });
+
+  return withRetries(async () => {
+    const timeout = createTimeout(timeoutMs, signal);
+    try {
+      const response = await fetchProvider(provider, { config, url, init, timeout });
+      const text = provider.extractText(await raceAbort(parseJsonSafe(response), timeout.signal));
+      if (!text) {
+        throw new ProviderError(`${provider.label} returned an empty response.`);
+      }
+      return text;
+    } catch (error) {
+      throw toProviderError(error, { provider, timeout, timeoutMs, signal });
+    } finally {
+      timeout.clear();
+    }
+  }, retryOptions(config, signal));
+}
+
+// Retries only cover opening the stream; once tokens flow, a failure is final.
+export async function* streamProvider(provider, { config, systemPrompt, userText, file, signal }) {
+  if (!provider.supportsStreaming) {
+    yield await requestProvider(provider, { config, systemPrompt, userText, file, signal });
+    return;
+  }
+
+  const timeoutMs = resolveTimeoutMs(provider, config);
+  const { url, init } = provider.buildRequest({ config, systemPrompt, userText, file, stream: true });
+  let timeout = null;
+  const response = await withRetries(async () => {
+    timeout?.clear();
+    timeout = createTimeout(timeoutMs, signal);
+    try {
+      return await fetchProvider(provider, { config, url, init, timeout });
+    } catch (error) {
+      throw toProviderError(error, { provider, timeout, timeoutMs, signal });
+    }
+  }, retryOptions(config, signal)).catch((error) => {
+    timeout?.clear();
+    throw error;
+  });
+
+  try {
+    if (!response.body) {
+      throw new ProviderError(`${provider.label} returned an empty stream.`);
+    }
+    const events = readSseEvents(response.body);
+    while (true) {
+      timeout.reset();
+      const next = await raceAbort(events.next(), timeout.signal);
+      if (next.done) {
+        return;
+      }
+      const { text, done, error } = provider.extractStreamText(next.value);
+      if (error) {
+        throw new ProviderError(error);
+      }
+      if (text) {
+        yield text;
+      }
+      if (done) {
+        return;
+      }
+    }
+  } catch (error) {
+    throw toProviderError(error, { provider, timeout, timeoutMs, signal });
+  } finally {
+    timeout.clear();
+  }
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_PROVIDER_ORDER, listEnabledProviders, parseProviderOrder, readProviderEnv } from "./index.js";
+
+describe("provider registry", () => {
+  it("parses PROVIDER_ORDER and rejects unknown providers", () => {
+    expect(parseProviderOrder("")).toEqual(DEFAULT_PROVIDER_ORDER);
+    expect(parseProviderOrder(" Anthropic, groq,anthropic ")).toEqual(["anthropic", "groq"]);
+    expect(() => parseProviderOrder("gemini,openrouter")).toThrow(/Unknown provider in PROVIDER_ORDER: openrouter/);
+  });
+
+  it("reads each provider's settings from the environment", () => {
+    const config = readProviderEnv({ GROQ_API_KEY: "groq-key", OLLAMA_MODEL: "llama3.2", MODEL: "claude-legacy" });
+
+    expect(config).toMatchObject({
+      groqApiKey: "groq-key",
+      groqBaseUrl: "https://api.groq.com/openai/v1",
+      ollamaModel: "llama3.2",
+      ollamaBaseUrl: "http://localhost:11434/v1",
+      anthropicModel: "claude-legacy",
+      openaiModel: "gpt-4o-mini",
+    });
+  });
+
+  it("lists only configured providers, in the configured order", () => {
+    const config = { ...readProviderEnv({ GROQ_API_KEY: "groq-key", OLLAMA_MODEL: "llama3.2", GEMINI_API_KEY: "gem" }) };
+
+    expect(listEnabledProviders(config).map((provider) => provider.name)).toEqual(["gemini", "groq", "ollama"]);
+    expect(
+      listEnabledProviders({ ...config, providerOrder: ["ollama", "groq"] }).map((provider) => provider.name),
+    ).toEqual(["ollama", "groq"]);
+  });
+});
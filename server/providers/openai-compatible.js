@@ -0,0 +1,122 @@
+import { isImageUpload, MAX_OUTPUT_TOKENS, parseJsonText, TEMPERATURE } from "./shared.js";
+
+/**
+ * Builds a provider for any `/chat/completions` endpoint that follows the OpenAI
+ * wire format. Settings are read from `<ENV_PREFIX>_API_KEY`, `_MODEL` and
+ * `_BASE_URL`, and live on the config as `<name>ApiKey`, `<name>Model` and
+ * `<name>BaseUrl`.
+ */
+export function createOpenAiCompatibleProvider({
+  name,
+  label,
+  envPrefix,
+  defaultBaseUrl,
+  defaultModel = "",
+  requiresApiKey = true,
+  supportsImages = true,
+}) {
+  const keys = { apiKey: `${name}ApiKey`, model: `${name}Model`, baseUrl: `${name}BaseUrl` };
+
+  return {
+    name,
+    label,
+    supportsImages,
+    supportsStreaming: true,
+    readEnv(env) {
+      return {
+        [keys.apiKey]: env[`${envPrefix}_API_KEY`] || "",
+        [keys.model]: env[`${envPrefix}_MODEL`] || defaultModel,
+        [keys.baseUrl]: env[`${envPrefix}_BASE_URL`] || defaultBaseUrl,
+      };
+    },
+    isConfigured(config) {
+      return Boolean(config[keys.model] || defaultModel) && (!requiresApiKey || Boolean(config[keys.apiKey]));
+    },
+    buildRequest({ config, systemPrompt, userText, file, stream = false, schema = null }) {
+      const content = [{ type: "text", text: userText }];
+      if (supportsImages && isImageUpload(file)) {
+        content.push({
+          type: "image_url",
+          image_url: { url: `data:${file.mimeType};base64,${file.base64}` },
+        });
+      }
+
+      const apiKey = config[keys.apiKey];
+      const baseUrl = String(config[keys.baseUrl] || defaultBaseUrl).replace(/\/+$/, "");
+      return {
+        url: `${baseUrl}/chat/completions`,
+        init: {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+            ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model: config[keys.model] || defaultModel,
+            max_tokens: MAX_OUTPUT_TOKENS,
+            temperature: TEMPERATURE,
+            ...(stream ? { stream: true } : {}),
+            ...(schema ? { response_format: { type: "json_object" } } : {}),
+            messages: [
+              { role: "system", content: systemPrompt },
+              { role: "user", content },
+            ],
+          }),
+        },
+      };
+    },
+    extractText(data) {
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content === "string") {
+        return content.trim();
+      }
+      if (Array.isArray(content)) {
+        return content
+          .map((part) => (typeof part?.text === "string" ? part.text : ""))
+          .join("\n")
+          .trim();
+      }
+      return "";
+    },
+    extractError(data) {
+      return data?.error?.message || (typeof data?.error === "string" ? data.error : "");
+    },
+    extractStreamText(event) {
+      if (event.data === "[DONE]") {
+        return { done: true };
+      }
+      const data = parseJsonText(event.data);
+      if (data?.error) {
+        return { error: data.error.message || `${label} stream failed.` };
+      }
+      const text = data?.choices?.[0]?.delta?.content;
+      return { text: typeof text === "string" ? text : "" };
+    },
+  };
+}
+
+export const groq = createOpenAiCompatibleProvider({
+  name: "groq",
+  label: "Groq",
+  envPrefix: "GROQ",
+  defaultBaseUrl: "https://api.groq.com/openai/v1",
+  defaultModel: "meta-llama/llama-4-scout-17b-16e-instruct",
+});
+
+export const openai = createOpenAiCompatibleProvider({
+  name: "openai",
+  label: "OpenAI",
+  envPrefix: "OPENAI",
+  defaultBaseUrl: "https://api.openai.com/v1",
+  defaultModel: "gpt-4o-mini",
+});
+
+// Local Ollama servers need no key; the provider turns on once OLLAMA_MODEL is set.
+export const ollama = createOpenAiCompatibleProvider({
+  name: "ollama",
+  label: "Ollama",
+  envPrefix: "OLLAMA",
+  defaultBaseUrl: "http://localhost:11434/v1",
+  requiresApiKey: false,
+  supportsImages: false,
+});
@@ -0,0 +1,174 @@
+const MAX_RETRY_DELAY_MS = 5_000;
+
+export class ProviderError extends Error {
+  constructor(message, { status = 0, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+export function parseRetryAfter(response) {
+  const value = response.headers?.get?.("retry-after");
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Aborts when the caller's signal aborts or when `timeoutMs` passes without a
+ * `reset()`. Streams reset it on every event, so it acts as an idle timeout there.
+ */
+export function createTimeout(timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) {
+    onParentAbort();
+  } else {
+    parentSignal?.addEventListener("abort", onParentAbort, { once: true });
+  }
+
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  reset();
+
+  return {
+    signal: controller.signal,
+    reset,
+    timedOut: () => timedOut,
+    clear() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener("abort", onParentAbort);
+    },
+  };
+}
+
+// fetch implementations are not required to honour the signal, so every await that
+// may hang is raced against it.
+export function raceAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(Object.assign(new Error("The operation was aborted."), { name: "AbortError" }));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// "Equal jitter": half the exponential step is fixed, the other half random, so
+// retries from many requests spread out without ever retrying immediately.
+export function backoffDelay(attempt, { baseMs, random = Math.random }) {
+  const step = Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+function sleep(ms, signal) {
+  return raceAbort(new Promise((resolve) => setTimeout(resolve, ms)), signal);
+}
+
+export async function withRetries(operation, { retries, baseMs, signal, random }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !error.retryable || signal?.aborted) {
+        throw error;
+      }
+      const delay = error.retryAfterMs ?? backoffDelay(attempt, { baseMs, random });
+      await sleep(Math.min(delay, MAX_RETRY_DELAY_MS), signal);
+    }
+  }
+}
+
+/**
+ * Consecutive-failure circuit breaker, one circuit per provider. After
+ * `failureThreshold` failures in a row the provider is skipped for `cooldownMs`;
+ * then a single trial call is let through while every other call is still skipped,
+ * and its outcome either closes the circuit or opens it again. A trial that never
+ * reports back is given up after another `cooldownMs`. The last error is kept for the
+ * health endpoints even after the circuit closes again.
+ */
+export function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60_000, now = () => Date.now() } = {}) {
+  const circuits = new Map();
+
+  const read = (name) => {
+    const circuit = circuits.get(name) || {
+      state: "closed",
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialStartedAt: null,
+      lastError: null,
+    };
+    if (circuit.state === "open" && now() - circuit.openedAt >= cooldownMs) {
+      circuit.state = "half_open";
+      circuit.trialStartedAt = null;
+    }
+    circuits.set(name, circuit);
+    return circuit;
+  };
+
+  return {
+    canRequest(name) {
+      const circuit = read(name);
+      if (circuit.state !== "half_open") {
+        return circuit.state === "closed";
+      }
+      if (circuit.trialStartedAt !== null && now() - circuit.trialStartedAt < cooldownMs) {
+        return false;
+      }
+      circuit.trialStartedAt = now();
+      return true;
+    },
+    recordSuccess(name) {
+      circuits.set(name, { ...read(name), state: "closed", consecutiveFailures: 0, openedAt: null, trialStartedAt: null });
+    },
+    recordFailure(name, error) {
+      const circuit = read(name);
+      circuit.consecutiveFailures += 1;
+      circuit.lastError = { message: error?.message || "failed", at: new Date(now()).toISOString() };
+      circuit.trialStartedAt = null;
+      if (circuit.state === "half_open" || circuit.consecutiveFailures >= failureThreshold) {
+        circuit.state = "open";
+        circuit.openedAt = now();
+      }
+    },
+    // A call the client gave up on says nothing about the provider, but it frees the trial.
+    recordAborted(name) {
+      read(name).trialStartedAt = null;
+    },
+    describe(name) {
+      const circuit = read(name);
+      return {
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        retryAt: circuit.state === "open" ? new Date(circuit.openedAt + cooldownMs).toISOString() : null,
+        lastError: circuit.lastError,
+      };
+    },
+  };
+}
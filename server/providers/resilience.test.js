@@ -0,0 +1,70 @@
+import { describe, expect, it, vi } from "vitest";
+import { backoffDelay, createCircuitBreaker, ProviderError, withRetries } from "./resilience.js";
+
+describe("provider resilience", () => {
+  it("spreads retry delays with equal jitter and caps them", () => {
+    expect(backoffDelay(0, { baseMs: 200, random: () => 0 })).toBe(100);
+    expect(backoffDelay(2, { baseMs: 200, random: () => 1 })).toBe(800);
+    expect(backoffDelay(10, { baseMs: 200, random: () => 1 })).toBe(5000);
+  });
+
+  it("retries only retryable errors, up to the limit", async () => {
+    const flaky = vi
+      .fn()
+      .mockRejectedValueOnce(new ProviderError("busy", { status: 429, retryable: true }))
+      .mockResolvedValueOnce("ok");
+    await expect(withRetries(flaky, { retries: 2, baseMs: 1 })).resolves.toBe("ok");
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const broken = vi.fn().mockRejectedValue(new ProviderError("bad key", { status: 401 }));
+    await expect(withRetries(broken, { retries: 2, baseMs: 1 })).rejects.toThrow("bad key");
+    expect(broken).toHaveBeenCalledTimes(1);
+
+    const down = vi.fn().mockRejectedValue(new ProviderError("down", { status: 503, retryable: true }));
+    await expect(withRetries(down, { retries: 2, baseMs: 1 })).rejects.toThrow("down");
+    expect(down).toHaveBeenCalledTimes(3);
+  });
+
+  it("opens the circuit after repeated failures and half-opens after the cool-down", () => {
+    let time = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => time });
+
+    breaker.recordFailure("groq");
+    expect(breaker.canRequest("groq")).toBe(true);
+    breaker.recordFailure("groq", new Error("groq unavailable"));
+    expect(breaker.canRequest("groq")).toBe(false);
+    expect(breaker.describe("groq")).toMatchObject({
+      state: "open",
+      consecutiveFailures: 2,
+      lastError: { message: "groq unavailable", at: "1970-01-01T00:00:00.000Z" },
+    });
+
+    time = 1000;
+    expect(breaker.describe("groq").state).toBe("half_open");
+    breaker.recordFailure("groq");
+    expect(breaker.canRequest("groq")).toBe(false);
+
+    time = 2000;
+    breaker.recordSuccess("groq");
+    expect(breaker.describe("groq")).toMatchObject({ state: "closed", consecutiveFailures: 0, retryAt: null });
+  });
+
+  it("lets a single trial request through a half-open circuit until it settles", () => {
+    let time = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => time });
+    breaker.recordFailure("groq");
+
+    time = 1000;
+    expect(breaker.canRequest("groq")).toBe(true);
+    expect(breaker.canRequest("groq")).toBe(false);
+    breaker.recordAborted("groq");
+    expect(breaker.canRequest("groq")).toBe(true);
+    expect(breaker.canRequest("groq")).toBe(false);
+
+    time = 2000;
+    expect(breaker.canRequest("groq")).toBe(true);
+    breaker.recordSuccess("groq");
+    expect(breaker.canRequest("groq")).toBe(true);
+    expect(breaker.canRequest("groq")).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+export const PDF_MIME_TYPE = "application/pdf";
+export const MAX_OUTPUT_TOKENS = 900;
+export const TEMPERATURE = 0.4;
+
+export function isImageUpload(file) {
+  return Boolean(file?.base64) && Boolean(file.isImage);
+}
+
+export function isPdfUpload(file) {
+  return Boolean(file?.base64) && !file.isImage && file.mimeType.toLowerCase() === PDF_MIME_TYPE;
+}
+
+export async function parseJsonSafe(response) {
+  return response.json().catch(() => ({}));
+}
+
+export function parseJsonText(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function parseSseEvent(rawEvent) {
+  let event = "message";
+  const dataLines = [];
+  for (const line of rawEvent.split("\n")) {
+    if (!line || line.startsWith(":")) {
+      continue;
+    }
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+    if (field === "event") {
+      event = value;
+    } else if (field === "data") {
+      dataLines.push(value);
+    }
+  }
+  if (dataLines.length === 0) {
+    return null;
+  }
+  return { event, data: dataLines.join("\n") };
+}
+
+export async function* readSseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    buffer = buffer.replace(/\r\n?/g, "\n");
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const event = parseSseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (event) {
+        yield event;
+      }
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+
+  const tail = parseSseEvent(buffer.trim());
+  if (tail) {
+    yield tail;
+  }
+}
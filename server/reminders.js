@@ -0,0 +1,205 @@
+import crypto from "node:crypto";
+import { z } from "zod";
+import { SUPPORTED_LANGUAGES, translate } from "./i18n.js";
+import { normalizeTriageText } from "./triage/index.js";
+
+export const REMINDERS_COLLECTION = "reminders";
+export const REMINDER_KINDS = ["hydration", "rest", "temperature", "doctor", "custom"];
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_REMINDER_DAYS = 14;
+const URGENCY_RANK = { monitor: 0, soon: 1, emergency: 2 };
+
+// Home-care steps that become repeating reminders. Patterns run on the advice after
+// accents are folded away, in every UI language, since the advice comes back in the
+// language the child picked.
+const PLAN_STEPS = [
+  {
+    kind: "hydration",
+    firstInHours: 2,
+    everyHours: 2,
+    forHours: 24,
+    pattern:
+      /\b(?:water|drink(?:s|ing)?|fluids?|hydrat\w*|sips?|agua|beber|bebidas?|liquidos?|hidrat\w*|sorbos?|eau|boire|boissons?|gorgees?|goles?)\b|ماء|سوائل|اشرب|شرب/i,
+  },
+  {
+    kind: "rest",
+    firstInHours: 1,
+    everyHours: 4,
+    forHours: 24,
+    pattern: /\b(?:rest(?:s|ing)?|sleep\w*|naps?|descans\w*|dormir|siestas?|repos\w*|sommeil|sieste|cochilos?)\b|راحة|نوم|استرح/i,
+  },
+  {
+    kind: "temperature",
+    firstInHours: 6,
+    everyHours: 6,
+    forHours: 72,
+    pattern: /\b(?:temperatures?|fevers?|thermometers?|temperaturas?|fiebre|termometros?|fievre|thermometres?|febre)\b|حرارة|حمى|ميزان/i,
+  },
+];
+
+// When to check in with a doctor if things are not better, by how soon the advice
+// says a doctor is needed. Emergencies get no plan: the answer is to go now.
+const DOCTOR_CHECK_HOURS = { monitor: 72, soon: 24 };
+
+function addHours(date, hours) {
+  return new Date(date.getTime() + hours * HOUR_MS).toISOString();
+}
+
+function stricterUrgency(...urgencies) {
+  return urgencies.filter((urgency) => urgency in URGENCY_RANK).sort((a, b) => URGENCY_RANK[b] - URGENCY_RANK[a])[0] || "monitor";
+}
+
+function splitSentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?؟])\s+|\n+/)
+    .map((sentence) => sentence.replace(/^[-*•\d.)\s]+/, "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turns the home-care advice into a reminder plan: hydration, rest and temperature
+ * checks when the advice mentions them, and a "see a doctor if not better" check-in.
+ * Uses `sections.homeCare` when the answer was structured, otherwise the sentences of
+ * `result`. Returns null for emergencies. Titles are in `language`; `detail` quotes
+ * the advice the step came from.
+ */
+export function buildCarePlan({ sections = null, result = "", urgency = "monitor", language = "en", createdAt = new Date() }) {
+  const level = stricterUrgency(urgency, sections?.seeADoctor?.urgency);
+  if (level === "emergency") {
+    return null;
+  }
+
+  const start = new Date(createdAt);
+  const advice = sections?.homeCare?.length ? sections.homeCare : splitSentences(result);
+  const items = [];
+  for (const step of PLAN_STEPS) {
+    const line = advice.find((entry) => step.pattern.test(normalizeTriageText(entry)));
+    if (line) {
+      items.push({
+        id: step.kind,
+        kind: step.kind,
+        title: translate(language, `ui.reminders.kinds.${step.kind}`),
+        detail: line,
+        startsAt: addHours(start, step.firstInHours),
+        everyHours: step.everyHours,
+        until: addHours(start, step.forHours),
+      });
+    }
+  }
+  items.push({
+    id: "doctor",
+    kind: "doctor",
+    title: translate(language, level === "soon" ? "ui.reminders.kinds.doctorSoon" : "ui.reminders.kinds.doctorCheck"),
+    detail: sections?.seeADoctor?.advice || "",
+    startsAt: addHours(start, DOCTOR_CHECK_HOURS[level]),
+    everyHours: null,
+    until: null,
+  });
+
+  return { createdAt: start.toISOString(), urgency: level, items };
+}
+
+const dateTime = z.string().datetime({ offset: true, message: "errors.reminderTimeInvalid" });
+
+export const reminderSchema = z
+  .object({
+    kind: z.enum(REMINDER_KINDS).optional().default("custom"),
+    title: z.string().trim().min(1, "errors.reminderTitleRequired").max(120, "errors.reminderTitleTooLong"),
+    detail: z.string().trim().max(600, "errors.reminderDetailTooLong").optional().default(""),
+    startsAt: dateTime,
+    everyHours: z.number().int().min(1, "errors.reminderEveryRange").max(24, "errors.reminderEveryRange").nullable().optional().default(null),
+    until: dateTime.nullable().optional().default(null),
+    profileId: z.string().trim().uuid("errors.profileIdInvalid").optional(),
+    historyId: z.string().trim().max(100).optional(),
+  })
+  // Repeating reminders need an end, at most two weeks out, so nothing nags forever.
+  .superRefine((value, ctx) => {
+    if (!value.everyHours && !value.until) {
+      return;
+    }
+    const span = Date.parse(value.until) - Date.parse(value.startsAt);
+    if (!value.everyHours || !value.until || span < 0 || span > MAX_REMINDER_DAYS * 24 * HOUR_MS) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["until"],
+        message: "errors.reminderUntilRange",
+        params: { days: MAX_REMINDER_DAYS },
+      });
+    }
+  });
+
+export const reminderExportSchema = z.object({
+  reminders: z.array(reminderSchema).min(1, "errors.remindersRequired").max(20, "errors.remindersTooMany"),
+  language: z.enum(SUPPORTED_LANGUAGES).optional().default("en"),
+});
+
+function icsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 lines are at most 75 octets; longer ones continue on lines starting with a
+// space. Characters are never split, so multi-byte text stays valid UTF-8.
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * An iCalendar file with one event per reminder: repeating ones get an hourly RRULE
+ * up to `until`, and every event has a display alarm so calendar apps notify at the
+ * time. Times are written in UTC; calendars show them in local time.
+ */
+export function buildRemindersIcs(reminders, { calendarName, now = new Date() }) {
+  const stamp = icsDate(now.toISOString());
+  const events = reminders.flatMap((reminder) => {
+    const uid =
+      reminder.id && /^[0-9a-f-]{36}$/.test(reminder.id)
+        ? reminder.id
+        : crypto.createHash("sha256").update(`${reminder.kind}|${reminder.title}|${reminder.startsAt}`).digest("hex").slice(0, 32);
+    return [
+      "BEGIN:VEVENT",
+      `UID:${uid}@kiddoc`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(reminder.startsAt)}`,
+      "DURATION:PT15M",
+      `SUMMARY:${icsText(reminder.title)}`,
+      ...(reminder.detail ? [`DESCRIPTION:${icsText(reminder.detail)}`] : []),
+      ...(reminder.everyHours
+        ? [`RRULE:FREQ=HOURLY;INTERVAL=${reminder.everyHours};UNTIL=${icsDate(reminder.until)}`]
+        : []),
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${icsText(reminder.title)}`,
+      "TRIGGER:PT0M",
+      "END:VALARM",
+      "END:VEVENT",
+    ];
+  });
+
+  return `${[
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//KidDoc//Care plan//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+    ...events,
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n")}\r\n`;
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { buildCarePlan, buildRemindersIcs, reminderSchema } from "./reminders.js";
+
+const CREATED_AT = "2026-05-01T08:00:00.000Z";
+
+describe("care plans and reminders", () => {
+  it("turns home-care advice into hydration, rest, temperature and doctor reminders", () => {
+    const plan = buildCarePlan({
+      sections: {
+        homeCare: ["Take small sips of water often.", "Rest on the couch with a blanket.", "Check the fever with a thermometer."],
+        seeADoctor: { urgency: "monitor", advice: "See a doctor if you are not better in three days." },
+      },
+      urgency: "monitor",
+      createdAt: CREATED_AT,
+    });
+
+    expect(plan.items.map((item) => [item.kind, item.startsAt, item.everyHours, item.until])).toEqual([
+      ["hydration", "2026-05-01T10:00:00.000Z", 2, "2026-05-02T08:00:00.000Z"],
+      ["rest", "2026-05-01T09:00:00.000Z", 4, "2026-05-02T08:00:00.000Z"],
+      ["temperature", "2026-05-01T14:00:00.000Z", 6, "2026-05-04T08:00:00.000Z"],
+      ["doctor", "2026-05-04T08:00:00.000Z", null, null],
+    ]);
+    expect(plan.items[0]).toMatchObject({ title: "Time for a drink of water", detail: "Take small sips of water often." });
+    expect(plan.items[3].detail).toBe("See a doctor if you are not better in three days.");
+
+    // Unstructured answers are split into sentences; accents and the stricter urgency count.
+    const spanish = buildCarePlan({
+      result: "Bebe mucha agua. Descansa hoy.",
+      urgency: "soon",
+      language: "es",
+      createdAt: CREATED_AT,
+    });
+    expect(spanish.items.map((item) => item.kind)).toEqual(["hydration", "rest", "doctor"]);
+    expect(spanish.items[2]).toMatchObject({ title: "¿No mejora? Ve al médico hoy", startsAt: "2026-05-02T08:00:00.000Z" });
+    expect(buildCarePlan({ result: "Tiene fiebre.", language: "es", createdAt: CREATED_AT }).items[0].kind).toBe("temperature");
+
+    expect(buildCarePlan({ result: "Drink water.", urgency: "emergency", createdAt: CREATED_AT })).toBeNull();
+    expect(
+      buildCarePlan({ sections: { homeCare: [], seeADoctor: { urgency: "emergency", advice: "Go now." } }, createdAt: CREATED_AT }),
+    ).toBeNull();
+  });
+
+  it("requires an end within two weeks for repeating reminders", () => {
+    const base = { title: "Water", startsAt: CREATED_AT };
+
+    expect(reminderSchema.safeParse(base).success).toBe(true);
+    expect(reminderSchema.safeParse({ ...base, everyHours: 2, until: "2026-05-03T08:00:00Z" }).success).toBe(true);
+    expect(reminderSchema.safeParse({ ...base, everyHours: 2 }).error.issues[0].message).toBe("errors.reminderUntilRange");
+    expect(reminderSchema.safeParse({ ...base, everyHours: 2, until: "2026-06-01T08:00:00Z" }).success).toBe(false);
+    expect(reminderSchema.safeParse({ ...base, everyHours: 30, until: "2026-05-03T08:00:00Z" }).success).toBe(false);
+    expect(reminderSchema.safeParse({ ...base, startsAt: "tomorrow" }).error.issues[0].message).toBe("errors.reminderTimeInvalid");
+  });
+
+  it("writes iCalendar events with repeat rules, alarms, escaping and folded lines", () => {
+    const ics = buildRemindersIcs(
+      [
+        {
+          kind: "hydration",
+          title: "Water, please; now",
+          detail: "Small sips.\nA whole glass is too much at once for a tummy that has been upset all morning long.",
+          startsAt: "2026-05-01T10:00:00.000Z",
+          everyHours: 2,
+          until: "2026-05-02T08:00:00.000Z",
+        },
+        { kind: "doctor", title: "راجع الطبيب", startsAt: "2026-05-04T08:00:00.000Z", everyHours: null, until: null },
+      ],
+      { calendarName: "Care plan", now: new Date(CREATED_AT) },
+    );
+    const lines = ics.split("\r\n");
+
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(lines).toContain("DTSTART:20260501T100000Z");
+    expect(lines).toContain("RRULE:FREQ=HOURLY;INTERVAL=2;UNTIL=20260502T080000Z");
+    expect(lines).toContain("SUMMARY:Water\\, please\\; now");
+    expect(lines).toContain("SUMMARY:راجع الطبيب");
+    expect(lines.filter((line) => line === "BEGIN:VALARM")).toHaveLength(2);
+    expect(lines.filter((line) => line.startsWith("RRULE"))).toHaveLength(1);
+    expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    const description = ics.match(/DESCRIPTION:Small sips[^]*?\r\n(?! )/)[0].replace(/\r\n /g, "");
+    expect(description).toContain("Small sips.\\nA whole glass is too much at once for a tummy that has been upset all morning long.");
+  });
+});
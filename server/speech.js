@@ -0,0 +1,164 @@
+import { z } from "zod";
+import { SUPPORTED_LANGUAGES } from "./i18n.js";
+import { createTimeout, ProviderError, raceAbort } from "./providers/resilience.js";
+import { parseJsonSafe } from "./providers/shared.js";
+
+// What MediaRecorder produces in current browsers, plus the formats speech APIs accept.
+const AUDIO_MIME_TYPES = new Set(["audio/webm", "audio/ogg", "audio/mp4", "audio/mpeg", "audio/wav"]);
+const AUDIO_EXTENSIONS = { "audio/webm": "webm", "audio/ogg": "ogg", "audio/mp4": "mp4", "audio/mpeg": "mp3", "audio/wav": "wav" };
+const MAX_SPEECH_TEXT = 4000;
+const DEFAULT_SPEECH_TIMEOUT_MS = 30_000;
+
+const OPENAI_VOICES = ["nova", "alloy", "echo", "fable", "onyx", "shimmer"];
+
+/**
+ * Server-side speech for browsers without the Web Speech API. Every speech provider
+ * implements the same interface:
+ * - `name`, `label`, `voices` (voice ids the browser may pick from)
+ * - `readEnv(env)`: the provider's settings, merged into the server config
+ * - `isConfigured(config)`: whether it has what it needs to be called
+ * - `transcribe({ config, audio, mimeType, language, signal })` -> text
+ * - `synthesize({ config, text, language, voice, signal })` -> `{ audio, mimeType }`
+ *
+ * `audio` is a Buffer both ways. SPEECH_PROVIDER picks one by name; tests pass a
+ * provider object as `speechProvider` instead.
+ */
+const openaiSpeech = {
+  name: "openai",
+  label: "OpenAI speech",
+  voices: OPENAI_VOICES,
+  readEnv(env) {
+    return {
+      openaiTranscribeModel: env.OPENAI_TRANSCRIBE_MODEL || "whisper-1",
+      openaiSpeechModel: env.OPENAI_SPEECH_MODEL || "tts-1",
+    };
+  },
+  isConfigured(config) {
+    return Boolean(config.openaiApiKey);
+  },
+  async transcribe({ config, audio, mimeType, language, signal }) {
+    const form = new FormData();
+    form.append("file", new Blob([audio], { type: mimeType }), `speech.${AUDIO_EXTENSIONS[mimeType] || "webm"}`);
+    form.append("model", config.openaiTranscribeModel);
+    form.append("language", language);
+    const response = await fetchSpeech(this, config, "/audio/transcriptions", { body: form, signal });
+    const text = (await raceAbort(parseJsonSafe(response), signal))?.text;
+    return typeof text === "string" ? text.trim() : "";
+  },
+  async synthesize({ config, text, voice, signal }) {
+    const response = await fetchSpeech(this, config, "/audio/speech", {
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        model: config.openaiSpeechModel,
+        voice: OPENAI_VOICES.includes(voice) ? voice : OPENAI_VOICES[0],
+        input: text,
+        response_format: "mp3",
+      }),
+      signal,
+    });
+    return { audio: Buffer.from(await raceAbort(response.arrayBuffer(), signal)), mimeType: "audio/mpeg" };
+  },
+};
+
+async function fetchSpeech(provider, config, endpoint, { headers = {}, body, signal }) {
+  const baseUrl = String(config.openaiBaseUrl || "https://api.openai.com/v1").replace(/\/+$/, "");
+  const response = await raceAbort(
+    config.fetchImpl(`${baseUrl}${endpoint}`, {
+      method: "POST",
+      headers: { ...headers, authorization: `Bearer ${config.openaiApiKey}` },
+      body,
+      signal,
+    }),
+    signal,
+  );
+  if (!response.ok) {
+    const data = await raceAbort(parseJsonSafe(response), signal);
+    throw new ProviderError(data?.error?.message || `${provider.label} request failed.`, { status: response.status });
+  }
+  return response;
+}
+
+export const SPEECH_PROVIDERS = Object.fromEntries([openaiSpeech].map((provider) => [provider.name, provider]));
+
+export function readSpeechEnv(env) {
+  return Object.assign({}, ...Object.values(SPEECH_PROVIDERS).map((provider) => provider.readEnv(env)));
+}
+
+/**
+ * The provider behind /api/speech, or null when speech is off (SPEECH_PROVIDER unset)
+ * or the provider is missing its settings. Unknown names fail at startup, like
+ * PROVIDER_ORDER.
+ */
+export function resolveSpeechProvider(config) {
+  const setting = config.speechProvider;
+  if (!setting) {
+    return null;
+  }
+  const provider = typeof setting === "string" ? SPEECH_PROVIDERS[setting.trim().toLowerCase()] : setting;
+  if (!provider) {
+    throw new Error(`Unknown SPEECH_PROVIDER: ${setting}. Available: ${Object.keys(SPEECH_PROVIDERS).join(", ")}.`);
+  }
+  return provider.isConfigured(config) ? provider : null;
+}
+
+/**
+ * Calls one provider operation with PROVIDER_TIMEOUT_MS and turns timeouts and
+ * network errors into ProviderErrors. There are no retries: recordings are large and
+ * the child can simply try again.
+ */
+export async function callSpeechProvider(provider, operation, { config, signal, ...input }) {
+  const timeoutMs = config.providerTimeoutMs || DEFAULT_SPEECH_TIMEOUT_MS;
+  const timeout = createTimeout(timeoutMs, signal);
+  try {
+    return await raceAbort(provider[operation]({ config, signal: timeout.signal, ...input }), timeout.signal);
+  } catch (error) {
+    if (error instanceof ProviderError || (signal?.aborted && !timeout.timedOut())) {
+      throw error;
+    }
+    if (timeout.timedOut()) {
+      throw new ProviderError(`${provider.label} timed out after ${timeoutMs}ms.`);
+    }
+    throw new ProviderError(`${provider.label} request failed: ${error.message || "network error"}`);
+  } finally {
+    timeout.clear();
+  }
+}
+
+export function createTranscribeSchema(maxFileBytes) {
+  return z
+    .object({
+      audio: z
+        .string()
+        .min(16, "errors.audioRequired")
+        .max(6_000_000, "errors.filePayloadTooLarge")
+        .transform((value) => value.replace(/\s+/g, ""))
+        .refine((value) => /^[A-Za-z0-9+/=]+$/.test(value), "errors.audioRequired"),
+      // MediaRecorder reports types like "audio/webm;codecs=opus".
+      mimeType: z
+        .string()
+        .trim()
+        .max(120)
+        .transform((value) => value.split(";")[0].trim().toLowerCase())
+        .refine((value) => AUDIO_MIME_TYPES.has(value), "errors.audioTypeUnsupported"),
+      language: z.enum(SUPPORTED_LANGUAGES).optional().default("en"),
+    })
+    .transform((value, ctx) => {
+      const audio = Buffer.from(value.audio, "base64");
+      if (audio.length > maxFileBytes) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["audio"],
+          message: "errors.audioTooLarge",
+          params: { maxMb: Math.floor(maxFileBytes / (1024 * 1024)) },
+        });
+        return z.NEVER;
+      }
+      return { ...value, audio };
+    });
+}
+
+export const synthesizeSchema = z.object({
+  text: z.string().trim().min(1, "errors.speechTextRequired").max(MAX_SPEECH_TEXT, "errors.speechTextTooLong"),
+  language: z.enum(SUPPORTED_LANGUAGES).optional().default("en"),
+  voice: z.string().trim().max(40).optional(),
+});
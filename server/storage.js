@@ -0,0 +1,218 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const ENCRYPTION_ALGORITHM = "aes-256-gcm";
+const ENCRYPTION_VERSION = "v1";
+const KEY_SALT = "kiddoc-storage-v1";
+
+export function deriveEncryptionKey(secret) {
+  return crypto.scryptSync(String(secret), KEY_SALT, 32);
+}
+
+export function encryptJson(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [ENCRYPTION_VERSION, iv.toString("base64"), tag.toString("base64"), ciphertext.toString("base64")].join(":");
+}
+
+export function decryptJson(key, payload) {
+  const [version, iv, tag, ciphertext] = String(payload || "").split(":");
+  if (version !== ENCRYPTION_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error("Stored record has an unknown format.");
+  }
+
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+export function createMemoryAdapter() {
+  const collections = new Map();
+  const collectionFor = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  return {
+    name: "memory",
+    async ping() {
+      return true;
+    },
+    async put(collection, record) {
+      collectionFor(collection).set(record.id, record);
+    },
+    async get(collection, id) {
+      return collectionFor(collection).get(id) || null;
+    },
+    async list(collection) {
+      return [...collectionFor(collection).values()];
+    },
+    async remove(collection, id) {
+      return collectionFor(collection).delete(id);
+    },
+  };
+}
+
+// Keeps the whole store in one JSON file. Writes go through a temp file and a rename,
+// and are serialized so concurrent requests cannot interleave partial writes.
+export function createFileAdapter(filePath) {
+  let state = null;
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (state) {
+      return state;
+    }
+    try {
+      state = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      state = {};
+    }
+    return state;
+  };
+
+  const persist = async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state), { mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+  };
+
+  const mutate = (change) => {
+    const run = queue.then(async () => {
+      await load();
+      const result = change(state);
+      await persist();
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name: "file",
+    async ping() {
+      await load();
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.access(path.dirname(filePath), fs.constants.W_OK);
+      return true;
+    },
+    put(collection, record) {
+      return mutate((current) => {
+        current[collection] = { ...current[collection], [record.id]: record };
+      });
+    },
+    async get(collection, id) {
+      const current = await load();
+      return current[collection]?.[id] || null;
+    },
+    async list(collection) {
+      const current = await load();
+      return Object.values(current[collection] || {});
+    },
+    remove(collection, id) {
+      return mutate((current) => {
+        if (!current[collection]?.[id]) {
+          return false;
+        }
+        delete current[collection][id];
+        return true;
+      });
+    },
+  };
+}
+
+const STORAGE_ADAPTERS = {
+  memory: () => createMemoryAdapter(),
+  file: (config) => createFileAdapter(config.storageFile),
+};
+
+// Only `id`, timestamps and the owner tag are kept in clear text; everything else is
+// encrypted at rest. The owner tag is a keyed hash of the family token, so the token
+// itself is never stored and records cannot be matched to a family without the key.
+export function createEncryptedStore({ adapter, secret }) {
+  const key = deriveEncryptionKey(secret);
+  const ownerTag = (token) => crypto.createHmac("sha256", key).update(String(token)).digest("base64url");
+  const unwrap = (record) => ({
+    id: record.id,
+    createdAt: record.createdAt,
+    ...decryptJson(key, record.payload),
+  });
+  // Records of another owner look exactly like missing ones.
+  const readRecord = async (collection, id, owner) => {
+    const record = await adapter.get(collection, id);
+    return record && (owner === undefined || record.owner === owner) ? record : null;
+  };
+
+  const scoped = (owner) => ({
+    async save(collection, data) {
+      const record = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        ...(owner === undefined ? {} : { owner }),
+        payload: encryptJson(key, data),
+      };
+      await adapter.put(collection, record);
+      return { id: record.id, createdAt: record.createdAt, ...data };
+    },
+    async update(collection, id, data) {
+      const existing = await readRecord(collection, id, owner);
+      if (!existing) {
+        return null;
+      }
+      await adapter.put(collection, { ...existing, payload: encryptJson(key, data) });
+      return { id, createdAt: existing.createdAt, ...data };
+    },
+    async get(collection, id) {
+      const record = await readRecord(collection, id, owner);
+      return record ? unwrap(record) : null;
+    },
+    async list(collection) {
+      const records = await adapter.list(collection);
+      return records
+        .filter((record) => owner === undefined || record.owner === owner)
+        .map(unwrap)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+    async remove(collection, id) {
+      return (await readRecord(collection, id, owner)) ? adapter.remove(collection, id) : false;
+    },
+  });
+
+  return {
+    driver: adapter.name,
+    ping() {
+      return adapter.ping();
+    },
+    ...scoped(undefined),
+    /** The same store, limited to the records saved with this family token. */
+    forOwner(token) {
+      return scoped(ownerTag(token));
+    },
+  };
+}
+
+export function createStorage(config) {
+  if (config.storage) {
+    return config.storage;
+  }
+  if (!config.storageEncryptionKey) {
+    return null;
+  }
+
+  const createAdapter = STORAGE_ADAPTERS[config.storageDriver];
+  if (!createAdapter) {
+    throw new Error(`Unknown STORAGE_DRIVER "${config.storageDriver}". Use ${Object.keys(STORAGE_ADAPTERS).join(" or ")}.`);
+  }
+
+  return createEncryptedStore({ adapter: createAdapter(config), secret: config.storageEncryptionKey });
+}
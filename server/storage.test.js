@@ -0,0 +1,69 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, describe, expect, it } from "vitest";
+import { createEncryptedStore, createFileAdapter, createMemoryAdapter } from "./storage.js";
+
+const tempDirs = [];
+
+afterEach(async () => {
+  await Promise.all(tempDirs.splice(0).map((dir) => fs.rm(dir, { recursive: true, force: true })));
+});
+
+describe("encrypted storage", () => {
+  it("never keeps record contents in clear text", async () => {
+    const adapter = createMemoryAdapter();
+    const store = createEncryptedStore({ adapter, secret: "secret-one" });
+
+    const saved = await store.save("history", { handoff: { childName: "Mia", symptoms: "itchy rash" } });
+    const [raw] = await adapter.list("history");
+
+    expect(raw.payload).not.toContain("Mia");
+    expect(raw.payload).not.toContain("itchy rash");
+    expect(await store.get("history", saved.id)).toEqual(saved);
+  });
+
+  it("refuses to decrypt with a different key", async () => {
+    const adapter = createMemoryAdapter();
+    const saved = await createEncryptedStore({ adapter, secret: "secret-one" }).save("history", { value: 1 });
+
+    await expect(createEncryptedStore({ adapter, secret: "secret-two" }).get("history", saved.id)).rejects.toThrow();
+  });
+
+  it("keeps each family's records apart without storing the token", async () => {
+    const adapter = createMemoryAdapter();
+    const store = createEncryptedStore({ adapter, secret: "secret" });
+    const mine = store.forOwner("family-token-one");
+    const theirs = store.forOwner("family-token-two");
+
+    const saved = await mine.save("history", { order: 1 });
+    const [raw] = await adapter.list("history");
+
+    expect(raw.owner).toBeTypeOf("string");
+    expect(JSON.stringify(raw)).not.toContain("family-token-one");
+    expect(await mine.list("history")).toEqual([saved]);
+    expect(await theirs.list("history")).toEqual([]);
+    expect(await theirs.get("history", saved.id)).toBeNull();
+    expect(await theirs.update("history", saved.id, { order: 2 })).toBeNull();
+    expect(await theirs.remove("history", saved.id)).toBe(false);
+    expect(await mine.remove("history", saved.id)).toBe(true);
+  });
+
+  it("persists records to a JSON file that survives a restart", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "kiddoc-storage-"));
+    tempDirs.push(dir);
+    const filePath = path.join(dir, "store.json");
+
+    const first = createEncryptedStore({ adapter: createFileAdapter(filePath), secret: "secret" });
+    const older = await first.save("history", { order: 1 });
+    const newer = await first.save("history", { order: 2 });
+
+    const second = createEncryptedStore({ adapter: createFileAdapter(filePath), secret: "secret" });
+    const entries = await second.list("history");
+
+    expect(entries.map((entry) => entry.id).sort()).toEqual([older.id, newer.id].sort());
+    expect(entries.find((entry) => entry.id === newer.id).order).toBe(2);
+    expect(await second.remove("history", older.id)).toBe(true);
+    expect(await second.remove("history", older.id)).toBe(false);
+  });
+});
@@ -0,0 +1,16 @@
+// Word edges for patterns that must work beyond ASCII. \b only knows ASCII letters, so
+// Arabic words would never start or end; these treat any letter or digit as a word.
+export const WORD_START = "(?<![\\p{L}\\p{N}])";
+export const WORD_END = "(?![\\p{L}\\p{N}])";
+
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * A case-insensitive regex matching any of the regex `sources` as a whole word.
+ * `prefix` is an optional source allowed right before the word inside its edges.
+ */
+export function wordsRegex(sources, { prefix = "" } = {}) {
+  return new RegExp(`${WORD_START}${prefix}(?:${sources.map((source) => `(?:${source})`).join("|")})${WORD_END}`, "iu");
+}
@@ -0,0 +1,208 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+
+export const DEFAULT_EMERGENCY_CATALOG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "emergency.json");
+
+const languageCode = z.string().regex(/^[a-z]{2}$/, "Language codes must be two lowercase letters.");
+const localizedText = z.record(languageCode, z.string().trim().min(1).max(200));
+const localizedList = z.record(languageCode, z.array(z.string().trim().min(1).max(300)).min(1).max(10));
+const countryKey = z.string().regex(/^(?:default|[A-Z]{2})$/, 'Country keys are ISO country codes or "default".');
+
+const crisisResource = z
+  .object({
+    name: z.string().trim().min(1).max(120),
+    phone: z.string().regex(/^[0-9 -]{3,20}$/).optional(),
+    sms: z.string().regex(/^[0-9]{3,10}$/).optional(),
+    url: z.string().url().startsWith("https://").optional(),
+  })
+  .strict()
+  .refine((resource) => resource.phone || resource.sms || resource.url, "Give a resource a phone, sms or url.");
+
+const crisisSchema = z
+  .object({
+    teenFromMonths: z.number().int().positive(),
+    copy: z.record(
+      languageCode,
+      z
+        .object({
+          title: z.string().trim().min(1).max(120),
+          resources: z.string().trim().min(1).max(120),
+          parents: z.string().trim().min(1).max(120),
+          immediateDanger: z.string().trim().includes("{number}", { message: "immediateDanger must contain {number}." }),
+        })
+        .strict(),
+    ),
+    messages: z
+      .object({
+        child: z.record(languageCode, z.string().trim().min(1).max(600)),
+        teen: z.record(languageCode, z.string().trim().min(1).max(600)),
+      })
+      .strict(),
+    parentSteps: localizedList,
+    resources: z
+      .record(countryKey, z.array(crisisResource).min(1).max(5))
+      .refine((resources) => resources.default, "Default crisis resources are required."),
+  })
+  .strict();
+
+const catalogSchema = z
+  .object({
+    version: z.number().int().positive(),
+    reviewedAt: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "reviewedAt must be a YYYY-MM-DD date."),
+    languages: z.array(languageCode).min(1).refine((languages) => languages.includes("en"), "English (en) is required."),
+    numbers: z
+      .record(countryKey, z.string().regex(/^\d{2,4}$/))
+      .refine((numbers) => numbers.default, "A default number is required."),
+    copy: z.record(
+      languageCode,
+      z
+        .object({
+          title: z.string().trim().min(1).max(120),
+          call: z.string().trim().includes("{number}", { message: "call must contain {number}." }),
+          firstAid: z.string().trim().min(1).max(120),
+          checklist: z.string().trim().min(1).max(120),
+        })
+        .strict(),
+    ),
+    checklist: localizedList,
+    crisis: crisisSchema,
+    guides: z
+      .array(
+        z
+          .object({
+            id: z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),
+            ruleIds: z.array(z.string().min(1)),
+            title: localizedText,
+            steps: localizedList,
+          })
+          .strict(),
+      )
+      .min(1),
+  })
+  .strict();
+
+/**
+ * Checks a parsed catalog and returns `{ success, data, errors }`. Pass the triage
+ * rule ids to also catch guides that point at rules which do not exist.
+ */
+export function validateEmergencyCatalog(data, { ruleIds = null } = {}) {
+  const parsed = catalogSchema.safeParse(data);
+  if (!parsed.success) {
+    return {
+      success: false,
+      errors: parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`),
+    };
+  }
+
+  const errors = [];
+  const { languages, copy, checklist, crisis, guides } = parsed.data;
+  const localized = {
+    copy,
+    checklist,
+    "crisis.copy": crisis.copy,
+    "crisis.messages.child": crisis.messages.child,
+    "crisis.messages.teen": crisis.messages.teen,
+    "crisis.parentSteps": crisis.parentSteps,
+  };
+  for (const language of languages) {
+    for (const [where, values] of Object.entries(localized)) {
+      if (!values[language]) {
+        errors.push(`${where}: missing "${language}".`);
+      }
+    }
+  }
+
+  const claimed = new Map();
+  guides.forEach((guide, index) => {
+    const where = `guides.${index} (${guide.id})`;
+    for (const language of languages) {
+      if (!guide.title[language] || !guide.steps[language]) {
+        errors.push(`${where}: missing title or steps for "${language}".`);
+      }
+    }
+    for (const ruleId of guide.ruleIds) {
+      if (claimed.has(ruleId)) {
+        errors.push(`${where}: rule "${ruleId}" already has the "${claimed.get(ruleId)}" guide.`);
+      }
+      claimed.set(ruleId, guide.id);
+      if (ruleIds && !ruleIds.includes(ruleId)) {
+        errors.push(`${where}: unknown triage rule "${ruleId}".`);
+      }
+    }
+  });
+  if (guides.filter((guide) => guide.ruleIds.length === 0).length !== 1) {
+    errors.push("guides: exactly one guide must have no ruleIds; it is used when no other guide matches.");
+  }
+
+  return errors.length > 0 ? { success: false, errors } : { success: true, data: parsed.data };
+}
+
+export function loadEmergencyCatalog(filePath = DEFAULT_EMERGENCY_CATALOG_FILE, { ruleIds = null } = {}) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read the emergency catalog from ${filePath}: ${error.message}`);
+  }
+  const validation = validateEmergencyCatalog(data, { ruleIds });
+  if (!validation.success) {
+    throw new Error(`Invalid emergency catalog in ${filePath}:\n- ${validation.errors.join("\n- ")}`);
+  }
+  return validation.data;
+}
+
+/**
+ * What the emergency screen shows: the number to call for the country, first-aid
+ * steps for each matched rule that has a guide (or the general guide), and the
+ * checklist for parents, all in the UI language.
+ */
+export function buildEmergencyGuide(catalog, { ruleIds = [], language = "en", country = "" }) {
+  const pick = (localized) => localized[language] || localized.en;
+  const code = String(country || "").toUpperCase();
+  const number = catalog.numbers[code] || catalog.numbers.default;
+  const matched = catalog.guides.filter((guide) => guide.ruleIds.some((ruleId) => ruleIds.includes(ruleId)));
+  const guides = matched.length > 0 ? matched : catalog.guides.filter((guide) => guide.ruleIds.length === 0);
+  const copy = pick(catalog.copy);
+
+  return {
+    country: catalog.numbers[code] ? code : null,
+    number,
+    title: copy.title,
+    callLabel: copy.call.replace("{number}", number),
+    firstAidTitle: copy.firstAid,
+    checklistTitle: copy.checklist,
+    firstAid: guides.map((guide) => ({ id: guide.id, title: pick(guide.title), steps: pick(guide.steps) })),
+    checklist: pick(catalog.checklist),
+    catalogVersion: catalog.version,
+  };
+}
+
+/**
+ * The crisis pathway screen: a supportive message for the child (simpler under
+ * `teenFromMonths`, or when the age is unknown), the crisis lines for the country
+ * (or international directories), and steps for the parent.
+ */
+export function buildCrisisGuide(catalog, { language = "en", country = "", ageMonths = null }) {
+  const pick = (localized) => localized[language] || localized.en;
+  const { crisis } = catalog;
+  const code = String(country || "").toUpperCase();
+  const number = catalog.numbers[code] || catalog.numbers.default;
+  const audience = ageMonths !== null && ageMonths !== undefined && ageMonths >= crisis.teenFromMonths ? "teen" : "child";
+  const copy = pick(crisis.copy);
+
+  return {
+    country: crisis.resources[code] ? code : null,
+    audience,
+    title: copy.title,
+    message: pick(crisis.messages[audience]),
+    resourcesTitle: copy.resources,
+    resources: crisis.resources[code] || crisis.resources.default,
+    emergencyNumber: number,
+    immediateDanger: copy.immediateDanger.replace("{number}", number),
+    parentsTitle: copy.parents,
+    parentSteps: pick(crisis.parentSteps),
+    catalogVersion: catalog.version,
+  };
+}
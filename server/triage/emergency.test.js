@@ -0,0 +1,76 @@
+import fs from "node:fs";
+import { describe, expect, it } from "vitest";
+import {
+  buildCrisisGuide,
+  buildEmergencyGuide,
+  DEFAULT_EMERGENCY_CATALOG_FILE,
+  loadEmergencyCatalog,
+  validateEmergencyCatalog,
+} from "./emergency.js";
+import { loadTriageRules } from "./index.js";
+
+const bundled = JSON.parse(fs.readFileSync(DEFAULT_EMERGENCY_CATALOG_FILE, "utf8"));
+const ruleIds = loadTriageRules().rules.map((rule) => rule.id);
+
+describe("emergency catalog", () => {
+  it("ships a valid catalog whose guides point at existing triage rules", () => {
+    expect(validateEmergencyCatalog(bundled, { ruleIds }).errors).toBeUndefined();
+  });
+
+  it("lists every problem in an invalid catalog", () => {
+    const guides = structuredClone(bundled.guides);
+    guides[0].ruleIds.push("seizure", "no-such-rule");
+    delete guides[1].steps.fr;
+    guides.push({ ...guides.at(-1), id: "other-general" });
+
+    const validation = validateEmergencyCatalog({ ...bundled, guides }, { ruleIds });
+
+    expect(validation.success).toBe(false);
+    expect(validation.errors).toEqual([
+      'guides.0 (breathing): unknown triage rule "no-such-rule".',
+      'guides.1 (seizure): missing title or steps for "fr".',
+      'guides.1 (seizure): rule "seizure" already has the "breathing" guide.',
+      "guides: exactly one guide must have no ruleIds; it is used when no other guide matches.",
+    ]);
+  });
+
+  it("picks the number by country and the first aid by matched rule, in the UI language", () => {
+    const catalog = loadEmergencyCatalog();
+
+    const seizure = buildEmergencyGuide(catalog, { ruleIds: ["seizure", "breathing-difficulty"], language: "es", country: "mx" });
+    expect(seizure).toMatchObject({ country: "MX", number: "911", callLabel: "Llamar al 911" });
+    expect(seizure.firstAid.map((guide) => guide.id)).toEqual(["breathing", "seizure"]);
+    expect(seizure.checklist[0]).toMatch(/^Abran la puerta/);
+
+    const unknown = buildEmergencyGuide(catalog, { ruleIds: ["chest-pain"], language: "fr", country: "ZZ" });
+    expect(unknown).toMatchObject({ country: null, number: "112", callLabel: "Appeler le 112" });
+    expect(unknown.firstAid.map((guide) => guide.id)).toEqual(["general"]);
+  });
+
+  it("gives crisis lines by country, international directories elsewhere, and age-appropriate messages", () => {
+    const catalog = loadEmergencyCatalog();
+
+    const young = buildCrisisGuide(catalog, { language: "fr", country: "FR", ageMonths: 96 });
+    expect(young).toMatchObject({ country: "FR", audience: "child", emergencyNumber: "15" });
+    expect(young.resources[0].phone).toBe("3114");
+    expect(young.message).toMatch(/adulte de confiance/);
+
+    const unknownAge = buildCrisisGuide(catalog, { country: "JP" });
+    expect(unknownAge).toMatchObject({ country: null, audience: "child", emergencyNumber: "112" });
+    expect(unknownAge.resources).toEqual([{ name: "Find A Helpline", url: "https://findahelpline.com" }]);
+
+    expect(buildCrisisGuide(catalog, { country: "GB", ageMonths: 13 * 12 }).audience).toBe("teen");
+  });
+
+  it("requires crisis text in every language and a default set of crisis lines", () => {
+    const crisis = structuredClone(bundled.crisis);
+    delete crisis.messages.teen.es;
+    delete crisis.resources.default;
+
+    expect(validateEmergencyCatalog({ ...bundled, crisis }).errors).toEqual([
+      "crisis.resources: Default crisis resources are required.",
+    ]);
+    crisis.resources.default = bundled.crisis.resources.default;
+    expect(validateEmergencyCatalog({ ...bundled, crisis }).errors).toEqual(['crisis.messages.teen: missing "es".']);
+  });
+});
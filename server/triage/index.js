@@ -0,0 +1,213 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+import { translate } from "../i18n.js";
+import { escapeRegex, wordsRegex } from "../text.js";
+import { extractVitals, scoreVitals, validateVitals, VITAL_MEASURES, vitalsSchema } from "./vitals.js";
+
+export const DEFAULT_TRIAGE_RULES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "rules.json");
+export const TRIAGE_SEVERITIES = ["emergency", "caution"];
+export const TRIAGE_PATHWAYS = ["crisis"];
+const SEVERITY_RANK = { emergency: 2, caution: 1, routine: 0 };
+const RULE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Titles and messages live in each language's catalog in locales/, so adding a language
+// there is enough for the triage card to speak it.
+export function describeTriageLevel(level, language = "en") {
+  return { title: translate(language, `triage.${level}Title`), message: translate(language, `triage.${level}Message`) };
+}
+
+const phraseList = z.array(z.string().trim().min(1).max(200)).max(50);
+const languageCode = z.string().regex(/^[a-z]{2}$/, "Language codes must be two lowercase letters.");
+
+const ruleSchema = z
+  .object({
+    id: z.string().regex(RULE_ID_PATTERN, "Rule ids must be lowercase words joined by dashes."),
+    severity: z.enum(TRIAGE_SEVERITIES),
+    pathway: z.enum(TRIAGE_PATHWAYS).optional(),
+    description: z.string().trim().max(500).optional(),
+    ageMonths: z
+      .object({
+        min: z.number().int().min(0).optional(),
+        max: z.number().int().positive().optional(),
+      })
+      .strict()
+      .refine((range) => range.min !== undefined || range.max !== undefined, "Give ageMonths a min, a max or both.")
+      .refine((range) => !(range.min >= range.max), "ageMonths.min must be below ageMonths.max.")
+      .optional(),
+    patterns: z.record(languageCode, phraseList),
+    synonyms: z.record(languageCode, phraseList).optional().default({}),
+    reason: z.record(languageCode, z.string().trim().min(1).max(200)),
+  })
+  .strict();
+
+const ruleFileSchema = z
+  .object({
+    version: z.number().int().positive(),
+    reviewedAt: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "reviewedAt must be a YYYY-MM-DD date."),
+    languages: z.array(languageCode).min(1).refine((languages) => languages.includes("en"), "English (en) is required."),
+    rules: z.array(ruleSchema).min(1),
+    vitals: vitalsSchema.optional(),
+  })
+  .strict();
+
+// Accents and curly apostrophes are folded away on both sides, so "fièvre" in the
+// rules file matches "fievre" typed on a phone keyboard and vice versa. Arabic loses
+// its short vowels, hamza marks and tatweel ("أ" and "إ" become "ا"), and Arabic-Indic
+// digits become 0-9 so temperatures and durations can be read.
+export function normalizeTriageText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u064b-\u065f\u0670\u0640]/g, "")
+    .replace(/[\u0660-\u0669\u06f0-\u06f9]/g, (digit) => String(digit.charCodeAt(0) % 16))
+    .replace(/\u066b/g, ".")
+    .replace(/[\u2018\u2019`]/g, "'");
+}
+
+// In Arabic "and" (و) and "so" (ف) are written joined to the next word.
+function buildRuleRegex(rule) {
+  const alternatives = [...Object.values(rule.patterns).flat(), ...Object.values(rule.synonyms).flat().map(escapeRegex)];
+  return wordsRegex(alternatives.map(normalizeTriageText), { prefix: "[وف]?" });
+}
+
+/**
+ * Checks a parsed rules file and returns `{ success, data, errors }`. Beyond the
+ * schema it checks what a reviewer cannot see at a glance: unique ids, patterns that
+ * compile, only declared languages, a reason for every declared language, and age
+ * bands that cover every age without gaps.
+ */
+export function validateTriageRules(data) {
+  const parsed = ruleFileSchema.safeParse(data);
+  if (!parsed.success) {
+    return {
+      success: false,
+      errors: parsed.error.issues.map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`),
+    };
+  }
+
+  const errors = [];
+  const { languages, rules } = parsed.data;
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    const where = `rules.${index} (${rule.id})`;
+    if (seen.has(rule.id)) {
+      errors.push(`${where}: duplicate rule id.`);
+    }
+    seen.add(rule.id);
+
+    for (const language of new Set([...Object.keys(rule.patterns), ...Object.keys(rule.synonyms)])) {
+      if (!languages.includes(language)) {
+        errors.push(`${where}: language "${language}" is not listed in "languages".`);
+      }
+    }
+    for (const language of languages) {
+      if (!rule.reason[language]) {
+        errors.push(`${where}: missing reason for "${language}".`);
+      }
+    }
+    if (rule.pathway && rule.severity !== "emergency") {
+      errors.push(`${where}: only emergency rules can use the "${rule.pathway}" pathway.`);
+    }
+    if ([...Object.values(rule.patterns), ...Object.values(rule.synonyms)].every((list) => list.length === 0)) {
+      errors.push(`${where}: add at least one pattern or synonym.`);
+    }
+    for (const [language, patterns] of Object.entries(rule.patterns)) {
+      for (const pattern of patterns) {
+        try {
+          new RegExp(pattern, "u");
+        } catch (error) {
+          errors.push(`${where}: invalid ${language} pattern "${pattern}" (${error.message}).`);
+        }
+      }
+    }
+  });
+  if (parsed.data.vitals) {
+    errors.push(...validateVitals(parsed.data.vitals, languages));
+  }
+
+  return errors.length > 0 ? { success: false, errors } : { success: true, data: parsed.data };
+}
+
+export function compileTriageRules(data, { source = "triage rules" } = {}) {
+  const validation = validateTriageRules(data);
+  if (!validation.success) {
+    throw new Error(`Invalid ${source}:\n- ${validation.errors.join("\n- ")}`);
+  }
+  return {
+    version: validation.data.version,
+    rules: validation.data.rules.map((rule) => ({
+      id: rule.id,
+      severity: rule.severity,
+      pathway: rule.pathway || null,
+      ageMonths: rule.ageMonths || null,
+      reason: rule.reason,
+      regex: buildRuleRegex(rule),
+    })),
+    vitals: validation.data.vitals || null,
+  };
+}
+
+export function loadTriageRules(filePath = DEFAULT_TRIAGE_RULES_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read triage rules from ${filePath}: ${error.message}`);
+  }
+  return compileTriageRules(data, { source: `triage rules in ${filePath}` });
+}
+
+// Age-limited rules only fire when the age is known and inside [min, max).
+function matchesAge(rule, ageMonths) {
+  if (!rule.ageMonths) {
+    return true;
+  }
+  if (ageMonths === null || ageMonths === undefined) {
+    return false;
+  }
+  const { min = 0, max = Infinity } = rule.ageMonths;
+  return ageMonths >= min && ageMonths < max;
+}
+
+/**
+ * Patterns of every language are checked regardless of the UI language, so a red flag
+ * typed in English on the Spanish screen is still caught; reasons come back in the UI
+ * language. Numbers in the text (temperature, fever duration, vomiting episodes) are
+ * scored against the child's age band and can raise the level on their own.
+ * `measured` values (from the symptom diary) are scored too; for each measure the
+ * more serious of the text and the measurement counts.
+ */
+export function detectTriage(ruleSet, { text, language = "en", ageMonths = null, measured = {} }) {
+  const normalized = normalizeTriageText(text);
+  const matches = ruleSet.rules.filter((rule) => matchesAge(rule, ageMonths) && rule.regex.test(normalized));
+  const values = extractVitals(normalized);
+  for (const measure of VITAL_MEASURES) {
+    if (measured[measure] !== null && measured[measure] !== undefined && !(values[measure] >= measured[measure])) {
+      values[measure] = measured[measure];
+    }
+  }
+  const scored = ruleSet.vitals
+    ? scoreVitals(ruleSet.vitals, values, ageMonths)
+    : { level: "routine", score: 0, ageBand: null, matches: [] };
+  const level = [...matches.map((rule) => rule.severity), scored.level].reduce(
+    (highest, severity) => (SEVERITY_RANK[severity] > SEVERITY_RANK[highest] ? severity : highest),
+    "routine",
+  );
+  const reported = [
+    ...matches.filter((rule) => rule.severity === level),
+    ...(scored.level === level ? scored.matches : []),
+  ];
+
+  return {
+    level,
+    ...describeTriageLevel(level, language),
+    source: "rules",
+    pathway: reported.find((rule) => rule.pathway)?.pathway || null,
+    reasons: reported.map((rule) => rule.reason[language] || rule.reason.en),
+    ruleIds: reported.map((rule) => rule.id),
+    rulesVersion: ruleSet.version,
+    vitals: { ...values, ageMonths, ageBand: scored.ageBand, score: scored.score },
+  };
+}
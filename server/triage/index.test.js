@@ -0,0 +1,89 @@
+import fs from "node:fs";
+import { describe, expect, it } from "vitest";
+import { compileTriageRules, DEFAULT_TRIAGE_RULES_FILE, detectTriage, loadTriageRules, validateTriageRules } from "./index.js";
+
+const bundled = JSON.parse(fs.readFileSync(DEFAULT_TRIAGE_RULES_FILE, "utf8"));
+
+function ruleFile(rules) {
+  return { version: 1, reviewedAt: "2026-10-19", languages: ["en", "es"], rules };
+}
+
+describe("triage rules", () => {
+  it("ships a valid rules file with a reason in every language for every rule", () => {
+    const validation = validateTriageRules(bundled);
+
+    expect(validation.errors).toBeUndefined();
+    expect(validation.success).toBe(true);
+    const ruleSet = loadTriageRules();
+    expect(ruleSet.version).toBe(bundled.version);
+    expect(ruleSet.rules.map((rule) => rule.id)).toContain("fever-young-infant");
+  });
+
+  it("reports every problem in an invalid rules file", () => {
+    const validation = validateTriageRules(
+      ruleFile([
+        { id: "chest-pain", severity: "emergency", patterns: { en: ["chest (pain"] }, reason: { en: "Chest pain" } },
+        { id: "chest-pain", severity: "caution", patterns: { de: ["brustschmerz"] }, reason: { en: "Chest pain", es: "Dolor" } },
+      ]),
+    );
+
+    expect(validation.success).toBe(false);
+    expect(validation.errors).toEqual([
+      'rules.0 (chest-pain): missing reason for "es".',
+      expect.stringMatching(/^rules\.0 \(chest-pain\): invalid en pattern "chest \(pain"/),
+      "rules.1 (chest-pain): duplicate rule id.",
+      'rules.1 (chest-pain): language "de" is not listed in "languages".',
+    ]);
+    expect(validateTriageRules({ ...ruleFile([]), version: "two" }).errors[0]).toMatch(/^version:/);
+    expect(() => compileTriageRules(ruleFile([]))).toThrow(/Invalid triage rules/);
+  });
+
+  it("matches patterns and synonyms in any language and localizes the reasons", () => {
+    const ruleSet = loadTriageRules();
+
+    const spanish = detectTriage(ruleSet, { text: "Mi hijo tiene dificultad para respirar", language: "es" });
+    expect(spanish).toMatchObject({
+      level: "emergency",
+      title: "Advertencia de emergencia",
+      reasons: ["Dificultad para respirar"],
+      ruleIds: ["breathing-difficulty"],
+      rulesVersion: bundled.version,
+    });
+
+    const synonym = detectTriage(ruleSet, { text: "She is gasping for air.", language: "fr" });
+    expect(synonym.reasons).toEqual(["Difficulte a respirer"]);
+
+    const accented = detectTriage(ruleSet, { text: "Il a une forte fièvre", language: "en" });
+    expect(accented).toMatchObject({ level: "caution", reasons: ["Persistent or high fever"] });
+
+    expect(detectTriage(ruleSet, { text: "runny nose", language: "en" })).toMatchObject({
+      level: "routine",
+      reasons: [],
+    });
+  });
+
+  it("requires vitals age bands to cover every age without gaps", () => {
+    const vitals = structuredClone(bundled.vitals);
+    vitals.ageBands[1].ageMonths.min = 4;
+    vitals.unknownAgeBand = "teen";
+
+    const validation = validateTriageRules({ ...bundled, vitals });
+
+    expect(validation.errors).toEqual([
+      'vitals.unknownAgeBand: "teen" is not one of the age bands.',
+      'vitals.ageBands: "0-3m" must end where "3-6m" starts.',
+    ]);
+  });
+
+    it("only applies age-limited rules inside their age range", () => {
+    const ruleSet = loadTriageRules();
+    const text = "my baby has a fever";
+
+    expect(detectTriage(ruleSet, { text, ageMonths: 2 })).toMatchObject({
+      level: "emergency",
+      ruleIds: ["fever-young-infant"],
+    });
+    expect(detectTriage(ruleSet, { text, ageMonths: 3 }).level).toBe("routine");
+    expect(detectTriage(ruleSet, { text }).level).toBe("routine");
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { detectTriage, loadTriageRules } from "./index.js";
+import { mergeSecondOpinion, parseTriageOpinion } from "./second-opinion.js";
+
+const ruleSet = loadTriageRules();
+
+describe("second-opinion triage", () => {
+  it("lets the model raise the level and records that it did", () => {
+    const triage = detectTriage(ruleSet, { text: "his lips look kind of purple", language: "es" });
+    const merged = mergeSecondOpinion(triage, { level: "emergency", reasons: ["Labios morados"] }, { language: "es", provider: "groq" });
+
+    expect(triage.level).toBe("routine");
+    expect(merged).toMatchObject({
+      level: "emergency",
+      title: "Advertencia de emergencia",
+      source: "model",
+      reasons: ["Labios morados"],
+      ruleIds: ["model-second-opinion"],
+      secondOpinion: { status: "escalated", level: "emergency", provider: "groq", rulesLevel: "routine" },
+    });
+  });
+
+  it("never lets the model lower or replace the rules result", () => {
+    const triage = detectTriage(ruleSet, { text: "she has a rash", language: "en" });
+
+    const lower = mergeSecondOpinion(triage, { level: "routine", reasons: [] });
+    const same = mergeSecondOpinion(triage, { level: "caution", reasons: ["Skin rash"] });
+    const failed = mergeSecondOpinion(triage, null);
+
+    for (const merged of [lower, same, failed]) {
+      expect(merged).toMatchObject({ level: "caution", source: "rules", reasons: triage.reasons, ruleIds: triage.ruleIds });
+    }
+    expect([lower, same, failed].map((merged) => merged.secondOpinion.status)).toEqual(["ignored", "agreed", "failed"]);
+  });
+
+  it("treats malformed model output as no opinion", () => {
+    expect(parseTriageOpinion({ level: "URGENT", reasons: [] })).toBeNull();
+    expect(parseTriageOpinion(null)).toBeNull();
+    expect(parseTriageOpinion({ level: " Emergency ", reasons: "purple lips" })).toEqual({ level: "emergency", reasons: [] });
+    expect(parseTriageOpinion({ level: "caution", reasons: ["a", "b", "c", "d"] }).reasons).toHaveLength(3);
+  });
+});
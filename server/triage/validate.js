@@ -0,0 +1,28 @@
+// Usage: npm run triage:validate [-- path/to/rules.json [path/to/emergency.json]]
+// Exits non-zero and lists every problem when the rules file, emergency catalog or
+// medicine dosing table is invalid.
+import { DEFAULT_DOSING_TABLE_FILE, loadDosingTable } from "../dosing.js";
+import { DEFAULT_EMERGENCY_CATALOG_FILE, loadEmergencyCatalog } from "./emergency.js";
+import { DEFAULT_TRIAGE_RULES_FILE, loadTriageRules } from "./index.js";
+
+const filePath = process.argv[2] || process.env.TRIAGE_RULES_FILE || DEFAULT_TRIAGE_RULES_FILE;
+const catalogPath = process.argv[3] || process.env.EMERGENCY_CATALOG_FILE || DEFAULT_EMERGENCY_CATALOG_FILE;
+
+try {
+  const ruleSet = loadTriageRules(filePath);
+  const counts = ruleSet.rules.reduce((totals, rule) => ({ ...totals, [rule.severity]: (totals[rule.severity] || 0) + 1 }), {});
+  console.log(
+    `${filePath}: version ${ruleSet.version}, ${ruleSet.rules.length} rules (${counts.emergency || 0} emergency, ${counts.caution || 0} caution), ${ruleSet.vitals?.ageBands.length ?? 0} vitals age bands. OK`,
+  );
+  const catalog = loadEmergencyCatalog(catalogPath, { ruleIds: ruleSet.rules.map((rule) => rule.id) });
+  console.log(
+    `${catalogPath}: version ${catalog.version}, ${catalog.guides.length} first-aid guides, ${Object.keys(catalog.numbers).length - 1} country numbers. OK`,
+  );
+  const dosingTable = loadDosingTable(DEFAULT_DOSING_TABLE_FILE);
+  console.log(
+    `${DEFAULT_DOSING_TABLE_FILE}: version ${dosingTable.version}, reviewed ${dosingTable.reviewedAt}, ${dosingTable.ingredients.filter((ingredient) => ingredient.dosing).length} dosed medicines. OK`,
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
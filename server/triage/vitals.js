@@ -0,0 +1,231 @@
+import { z } from "zod";
+import { WORD_END } from "../text.js";
+
+export const VITAL_MEASURES = ["temperatureC", "feverDurationHours", "vomitingEpisodes"];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+  une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, sept: 7, huit: 8, neuf: 9, dix: 10,
+  um: 1, dois: 2, duas: 2, sete: 7, oito: 8, nove: 9, dez: 10,
+};
+const NUMBER = `(\\d+(?:[.,]\\d+)?|${Object.keys(NUMBER_WORDS).join("|")})`;
+const HOURS_PER_UNIT = { hour: 1, day: 24, week: 168 };
+const DURATION_UNITS = [
+  [/^(?:hours?|hrs?|h|horas?|heures?|ساع[ةه]|ساعات)$/, "hour"],
+  [/^(?:days?|dias?|jours?|يوم|ايام)$/, "day"],
+  [/^(?:weeks?|semanas?|semaines?|اسبوع|اسابيع)$/, "week"],
+];
+
+const TEMPERATURE_PATTERN =
+  /(\d{2,3}(?:[.,]\d{1,2})?)\s*(°|º|degrees?|deg|grados?|degres?)?\s*(celsius|fahrenheit|c|f)?\b/g;
+const DURATION_PATTERN = new RegExp(
+  `\\b${NUMBER}\\s*(hours?|hrs?|h|horas?|heures?|ساع[ةه]|ساعات|days?|dias?|jours?|يوم|ايام|weeks?|semanas?|semaines?|اسبوع|اسابيع)${WORD_END}`,
+  "gu",
+);
+const EPISODE_PATTERN = new RegExp(
+  `\\b(?:${NUMBER}\\s*(?:times|x|veces|fois|vezes|episodes?|episodios?|مر[ةه]|مرات)|(twice|once))${WORD_END}`,
+  "gu",
+);
+const FEVER_WORDS = /\b(?:fever|feverish|temp|temperature|fiebre|calentura|temperatura|fievre|febre|febril)\b|حمى|حرار|سخون/;
+const VOMIT_WORDS = /\b(?:vomi\w*|threw up|throw(?:s|ing)? up|thrown up|puk(?:e|ed|ing))\b|تقي|ستفر/;
+const CONTEXT_CHARS = 30;
+// A new clause can start a new symptom with its own duration. Decimal points and commas
+// ("38,5") are not breaks.
+const CLAUSE_BREAK = /[;!?\n]|[.,](?=\s|$)|\s(?:and|but|y|pero|et|mais|e|mas)\s|\sو/u;
+
+function parseNumber(token) {
+  return NUMBER_WORDS[token] ?? Number(String(token).replace(",", "."));
+}
+
+function near(text, index, length, pattern) {
+  return pattern.test(text.slice(Math.max(0, index - CONTEXT_CHARS), index + length + CONTEXT_CHARS));
+}
+
+// A bare number only counts as a temperature next to a fever word, and its unit is
+// inferred from the range (34-43.5 is Celsius, 93-111 Fahrenheit).
+function readTemperature(text) {
+  let highest = null;
+  for (const match of text.matchAll(TEMPERATURE_PATTERN)) {
+    const [raw, number, degree, unit] = match;
+    if (!degree && !unit && !near(text, match.index, raw.length, FEVER_WORDS)) {
+      continue;
+    }
+    const value = Number(number.replace(",", "."));
+    const scale = unit ? unit[0] : value >= 34 && value <= 43.5 ? "c" : value >= 93 && value <= 111 ? "f" : null;
+    const celsius = scale === "f" ? ((value - 32) * 5) / 9 : scale === "c" ? value : null;
+    if (celsius !== null && celsius >= 30 && celsius <= 45 && (!highest || celsius > highest.celsius)) {
+      highest = { celsius: Math.round(celsius * 10) / 10, text: raw.trim() };
+    }
+  }
+  return highest;
+}
+
+// A duration belongs to the fever only when the fever (a fever word or the temperature
+// that was read) is in the same clause: "fever for 3 days", "3 days of fever". In "a
+// cough for 2 weeks and a fever since this morning" the 2 weeks belong to the cough.
+function describesFever(text, index, length, temperature) {
+  const before = text.slice(Math.max(0, index - CONTEXT_CHARS), index).split(CLAUSE_BREAK).pop();
+  const after = text.slice(index + length, index + length + CONTEXT_CHARS).split(CLAUSE_BREAK)[0];
+  const clause = `${before}${text.slice(index, index + length)}${after}`;
+  return FEVER_WORDS.test(clause) || (temperature !== null && clause.includes(temperature.text));
+}
+
+function readDurationHours(text, belongs = () => true) {
+  let longest = null;
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    const [raw, number, unitText] = match;
+    if (!belongs(match.index, raw.length)) {
+      continue;
+    }
+    const unit = DURATION_UNITS.find(([pattern]) => pattern.test(unitText))[1];
+    const hours = parseNumber(number) * HOURS_PER_UNIT[unit];
+    if (Number.isFinite(hours) && (longest === null || hours > longest)) {
+      longest = hours;
+    }
+  }
+  return longest;
+}
+
+function readVomitingEpisodes(text) {
+  let most = null;
+  for (const match of text.matchAll(EPISODE_PATTERN)) {
+    if (!near(text, match.index, match[0].length, VOMIT_WORDS)) {
+      continue;
+    }
+    const count = match[2] ? (match[2] === "twice" ? 2 : 1) : parseNumber(match[1]);
+    if (Number.isInteger(count) && (most === null || count > most)) {
+      most = count;
+    }
+  }
+  return most;
+}
+
+/**
+ * Pulls the numbers triage cares about out of free text that has already been through
+ * `normalizeTriageText`. Each value is the most serious one mentioned, or null.
+ */
+export function extractVitals(text) {
+  const lower = String(text || "").toLowerCase();
+  const temperature = readTemperature(lower);
+  const hasFever = Boolean(temperature) || FEVER_WORDS.test(lower);
+  return {
+    temperatureC: temperature?.celsius ?? null,
+    temperatureText: temperature?.text ?? null,
+    durationHours: readDurationHours(lower),
+    feverDurationHours: hasFever
+      ? readDurationHours(lower, (index, length) => describesFever(lower, index, length, temperature))
+      : null,
+    vomitingEpisodes: readVomitingEpisodes(lower),
+  };
+}
+
+const threshold = z
+  .object({ caution: z.number().positive(), emergency: z.number().positive() })
+  .strict()
+  .refine((value) => value.emergency >= value.caution, "emergency must be at or above caution.");
+const levelNumbers = z.object({ caution: z.number().int().positive(), emergency: z.number().int().positive() }).strict();
+const reasonText = z.record(z.string().regex(/^[a-z]{2}$/), z.string().trim().min(1).max(200));
+const scoredRule = z.object({ id: z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/), reason: reasonText }).strict();
+
+export const vitalsSchema = z
+  .object({
+    points: levelNumbers,
+    scoreLevels: levelNumbers,
+    unknownAgeBand: z.string().min(1),
+    measures: z.object(Object.fromEntries(VITAL_MEASURES.map((measure) => [measure, scoredRule]))).strict(),
+    combined: scoredRule,
+    ageBands: z
+      .array(
+        z
+          .object({
+            id: z.string().min(1).max(40),
+            ageMonths: z
+              .object({ min: z.number().int().min(0).optional(), max: z.number().int().positive().optional() })
+              .strict(),
+            thresholds: z.object(Object.fromEntries(VITAL_MEASURES.map((measure) => [measure, threshold.optional()]))).strict(),
+          })
+          .strict(),
+      )
+      .min(1),
+  })
+  .strict();
+
+// Cross-field checks for a schema-valid vitals section.
+export function validateVitals(vitals, languages) {
+  const errors = [];
+  const bandIds = vitals.ageBands.map((band) => band.id);
+  if (!bandIds.includes(vitals.unknownAgeBand)) {
+    errors.push(`vitals.unknownAgeBand: "${vitals.unknownAgeBand}" is not one of the age bands.`);
+  }
+  if (new Set(bandIds).size !== bandIds.length) {
+    errors.push("vitals.ageBands: band ids must be unique.");
+  }
+
+  const sorted = [...vitals.ageBands].sort((a, b) => (a.ageMonths.min ?? 0) - (b.ageMonths.min ?? 0));
+  sorted.forEach((band, index) => {
+    const next = sorted[index + 1];
+    if (next && (band.ageMonths.max ?? Infinity) !== (next.ageMonths.min ?? 0)) {
+      errors.push(`vitals.ageBands: "${band.id}" must end where "${next.id}" starts.`);
+    }
+  });
+  if ((sorted[0].ageMonths.min ?? 0) !== 0 || sorted.at(-1).ageMonths.max !== undefined) {
+    errors.push("vitals.ageBands: bands must cover every age, from 0 months with no upper limit on the last band.");
+  }
+
+  // One value past a threshold must reach at least that level on its own.
+  for (const level of ["caution", "emergency"]) {
+    if (vitals.points[level] < vitals.scoreLevels[level]) {
+      errors.push(`vitals.points.${level}: must be at least scoreLevels.${level}.`);
+    }
+  }
+
+  const scored = [...Object.entries(vitals.measures).map(([name, rule]) => [`measures.${name}`, rule]), ["combined", vitals.combined]];
+  for (const [where, rule] of scored) {
+    for (const language of languages) {
+      if (!rule.reason[language]) {
+        errors.push(`vitals.${where}: missing reason for "${language}".`);
+      }
+    }
+  }
+  return errors;
+}
+
+function findAgeBand(vitals, ageMonths) {
+  if (ageMonths === null || ageMonths === undefined) {
+    return vitals.ageBands.find((band) => band.id === vitals.unknownAgeBand);
+  }
+  return vitals.ageBands.find(
+    (band) => ageMonths >= (band.ageMonths.min ?? 0) && ageMonths < (band.ageMonths.max ?? Infinity),
+  );
+}
+
+/**
+ * Scores extracted values against the thresholds of the child's age band: each value
+ * at or over a threshold adds that level's points, and the total decides the level.
+ * Several borderline values can therefore add up to an emergency on their own.
+ */
+export function scoreVitals(vitals, values, ageMonths) {
+  const band = findAgeBand(vitals, ageMonths);
+  const matches = [];
+  let score = 0;
+  for (const measure of VITAL_MEASURES) {
+    const limits = band.thresholds[measure];
+    const value = values[measure];
+    if (!limits || value === null) {
+      continue;
+    }
+    const severity = value >= limits.emergency ? "emergency" : value >= limits.caution ? "caution" : null;
+    if (severity) {
+      score += vitals.points[severity];
+      matches.push({ ...vitals.measures[measure], severity });
+    }
+  }
+
+  const level =
+    score >= vitals.scoreLevels.emergency ? "emergency" : score >= vitals.scoreLevels.caution ? "caution" : "routine";
+  if (level === "emergency" && !matches.some((match) => match.severity === "emergency")) {
+    matches.push({ ...vitals.combined, severity: level });
+  }
+  return { level, score, ageBand: band.id, matches };
+}
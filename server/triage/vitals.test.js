@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { detectTriage, loadTriageRules, normalizeTriageText } from "./index.js";
+import { extractVitals } from "./vitals.js";
+
+describe("vitals extraction", () => {
+  it("reads temperatures in Celsius and Fahrenheit, with or without units", () => {
+    expect(extractVitals("fever of 40c since this morning")).toMatchObject({ temperatureC: 40, temperatureText: "40c" });
+    expect(extractVitals("temp was 103 last night")).toMatchObject({ temperatureC: 39.4 });
+    expect(extractVitals("fiebre de 38,5 grados")).toMatchObject({ temperatureC: 38.5 });
+    expect(extractVitals("she is a little warm")).toMatchObject({ temperatureC: null });
+    expect(extractVitals("he is 40 inches tall")).toMatchObject({ temperatureC: null });
+  });
+
+  it("reads durations and only counts them as fever duration when there is a fever", () => {
+    expect(extractVitals("fever for two days")).toMatchObject({ durationHours: 48, feverDurationHours: 48 });
+    expect(extractVitals("fievre depuis 1 semaine")).toMatchObject({ feverDurationHours: 168 });
+    expect(extractVitals("cough for 5 days")).toMatchObject({ durationHours: 120, feverDurationHours: null });
+    expect(extractVitals("3 days of fever and a sore throat")).toMatchObject({ feverDurationHours: 72 });
+  });
+
+  it("does not give the fever a duration that belongs to another symptom", () => {
+    const sentence = "He has had a cough for 2 weeks and a slight fever since this morning";
+    expect(extractVitals(sentence)).toMatchObject({ durationHours: 336, feverDurationHours: null });
+    expect(extractVitals("a slight fever since this morning and a cough for 2 weeks")).toMatchObject({
+      feverDurationHours: null,
+    });
+    const triage = detectTriage(loadTriageRules(), { text: sentence, ageMonths: 96 });
+    expect(triage.level).not.toBe("emergency");
+    expect(triage.ruleIds).not.toContain("vitals-fever-duration");
+  });
+
+  it("counts vomiting episodes only next to a vomiting word", () => {
+    expect(extractVitals("threw up 3 times overnight")).toMatchObject({ vomitingEpisodes: 3 });
+    expect(extractVitals("ha vomitado cinco veces")).toMatchObject({ vomitingEpisodes: 5 });
+    expect(extractVitals("vomited twice")).toMatchObject({ vomitingEpisodes: 2 });
+    expect(extractVitals("coughed 6 times an hour")).toMatchObject({ vomitingEpisodes: null });
+  });
+
+  it("reads Portuguese and Arabic, including Arabic-Indic digits", () => {
+    expect(extractVitals(normalizeTriageText("febre de 39,5 há três dias, vomitou 4 vezes"))).toMatchObject({
+      temperatureC: 39.5,
+      feverDurationHours: 72,
+      vomitingEpisodes: 4,
+    });
+    expect(extractVitals(normalizeTriageText("حرارته ٣٩٫٥ منذ ٣ أيام وتقيأ ٥ مرات"))).toMatchObject({
+      temperatureC: 39.5,
+      feverDurationHours: 72,
+      vomitingEpisodes: 5,
+    });
+  });
+});
@@ -1,22 +1,37 @@
-﻿import { useRef, useState } from "react";
+﻿import { useEffect, useMemo, useRef, useState } from "react";
+import ClarifyChat from "./ClarifyChat";
+import CrisisPanel from "./CrisisPanel";
+import DoseCheck from "./DoseCheck";
+import EmergencyPanel from "./EmergencyPanel";
+import { familyHeaders } from "./family";
+import HistoryTimeline from "./HistoryTimeline";
+import CarePlan from "./CarePlan";
+import { createTranslator, I18nContext, LANGUAGE_OPTIONS, useI18n } from "./i18n";
+import LabResults from "./LabResults";
+import ProfilePicker, { SelectedProfile } from "./ProfilePicker";
+import ReadAloud from "./ReadAloud";
+import { clearScheduledReminders, notificationsGranted, scheduleReminders } from "./reminders";
+import SymptomDiary from "./SymptomDiary";
+import VoiceInput from "./VoiceInput";
 
 const MAX_UPLOAD_MB = 4;
 const IMAGE_MIME_TYPES = new Set(["image/jpeg", "image/png", "image/webp"]);
 const SUPPORTED_UPLOAD_MIME_TYPES = new Set([...IMAGE_MIME_TYPES, "application/pdf", "text/plain"]);
-const LANGUAGE_OPTIONS = [
-  { value: "en", label: "English" },
-  { value: "es", label: "Spanish" },
-  { value: "fr", label: "French" },
-];
-const READING_LEVEL_OPTIONS = [
-  { value: "very_simple", label: "Very Simple" },
-  { value: "simple", label: "Simple" },
-  { value: "detailed", label: "Detailed" },
+const READING_LEVELS = ["very_simple", "simple", "detailed"];
+// Same ids as the server's CHILD_FEELINGS.
+const FEELINGS = [
+  { id: "tired", emoji: "😴" },
+  { id: "hot", emoji: "🥵" },
+  { id: "cold", emoji: "🥶" },
+  { id: "sad", emoji: "😢" },
+  { id: "scared", emoji: "😨" },
+  { id: "grumpy", emoji: "😠" },
+  { id: "queasy", emoji: "🤢" },
+  { id: "sore", emoji: "🤕" },
 ];
 
 const THEMES = {
   pink: {
-    name: "Pinky",
     emoji: "🌸",
     star: "✨",
     bg: "linear-gradient(135deg, #ffb6d9 0%, #ff8ec8 45%, #ffd6ec 100%)",
@@ -31,7 +46,6 @@ const THEMES = {
     shadow: "rgba(255, 76, 163, 0.30)",
   },
   sky: {
-    name: "Ocean",
     emoji: "💙",
     star: "⭐",
     bg: "linear-gradient(135deg, #cae9ff 0%, #8cc9ff 45%, #e7f4ff 100%)",
@@ -46,7 +60,6 @@ const THEMES = {
     shadow: "rgba(31, 116, 217, 0.28)",
   },
   mint: {
-    name: "Jungle",
     emoji: "🌿",
     star: "🍀",
     bg: "linear-gradient(135deg, #c9f2db 0%, #8ce3b5 45%, #e9fff2 100%)",
@@ -61,7 +74,6 @@ const THEMES = {
     shadow: "rgba(23, 122, 70, 0.28)",
   },
   gold: {
-    name: "Golden",
     emoji: "🌟",
     star: "✨",
     bg: "linear-gradient(135deg, #ffe99a 0%, #ffd667 45%, #fff7d4 100%)",
@@ -77,11 +89,12 @@ const THEMES = {
   },
 };
 
+// Theme and mascot names and the mascot greetings are in the locale catalogs.
 const MASCOTS = {
-  doctor: { emoji: "🧑‍⚕️", name: "Dr. Buddy", msg: "Hi friend. Tell me how you feel." },
-  robot: { emoji: "🤖", name: "MediBot", msg: "Beep beep. I am ready to help." },
-  bear: { emoji: "🐻", name: "Dr. Bear", msg: "You are brave. We can do this together." },
-  unicorn: { emoji: "🦄", name: "Uni-Doc", msg: "Magic checkup mode activated." },
+  doctor: { emoji: "🧑‍⚕️" },
+  robot: { emoji: "🤖" },
+  bear: { emoji: "🐻" },
+  unicorn: { emoji: "🦄" },
 };
 
 function readFileAsDataUrl(file) {
@@ -93,6 +106,52 @@ function readFileAsDataUrl(file) {
   });
 }
 
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const emit = (rawEvent) => {
+    let event = "message";
+    const dataLines = [];
+    rawEvent.split("\n").forEach((line) => {
+      if (line.startsWith("event:")) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+    });
+    if (dataLines.length > 0) {
+      onEvent(event, JSON.parse(dataLines.join("\n")));
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, "\n");
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      emit(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+
+  if (buffer.trim()) {
+    emit(buffer.trim());
+  }
+}
+
+// "es-MX" -> "MX". The server picks the emergency number from it and falls back to
+// its configured country when the browser language has no region.
+function browserCountry() {
+  const region = String(globalThis.navigator?.language || "").split("-")[1] || "";
+  return /^[A-Za-z]{2}$/.test(region) ? region.toUpperCase() : "";
+}
+
 function escapeHtml(value) {
   return String(value ?? "")
     .replaceAll("&", "&amp;")
@@ -102,17 +161,122 @@ function escapeHtml(value) {
     .replaceAll("'", "&#39;");
 }
 
-function defaultHandoff({ name, age, symptoms, language, readingLevel }) {
+function defaultHandoff({ name, age, symptoms, feelings, parentNotes, language, readingLevel }, t) {
   return {
     createdAt: new Date().toISOString(),
-    childName: name || "little friend",
-    childAge: age ? `${age} years old` : "a young child",
+    childName: name || t("handoff.defaultName"),
+    childAge: age ? t("handoff.age", { count: Number(age) }) : t("handoff.unknownAge"),
     symptoms,
+    ...(feelings.length > 0 ? { feelings } : {}),
+    ...(parentNotes ? { parentNotes } : {}),
     language,
     readingLevel,
   };
 }
 
+function urgencyLabel(urgency, t) {
+  return ["emergency", "soon", "monitor"].includes(urgency) ? t(`urgency.${urgency}`) : urgency;
+}
+
+function sectionsToHtml(sections, t) {
+  const homeCare = sections.homeCare.map((entry) => `<li>${escapeHtml(entry)}</li>`).join("");
+  return `
+      <h3>${escapeHtml(t("sections.whatMightBeHappening"))}</h3>
+      <p>${escapeHtml(sections.whatMightBeHappening)}</p>
+      <h3>${escapeHtml(t("sections.homeCare"))}</h3>
+      ${homeCare ? `<ul>${homeCare}</ul>` : "<p>-</p>"}
+      <h3>${escapeHtml(t("sections.seeADoctor"))}</h3>
+      <p><strong>${escapeHtml(urgencyLabel(sections.seeADoctor.urgency, t))}:</strong> ${escapeHtml(sections.seeADoctor.advice)}</p>
+      <h3>${escapeHtml(t("sections.encouragement"))}</h3>
+      <p>${escapeHtml(sections.encouragement)}</p>`;
+}
+
+function parentGuidanceToHtml(guidance, t) {
+  const list = (entries) => `<ul>${entries.map((entry) => `<li>${escapeHtml(entry)}</li>`).join("")}</ul>`;
+  return `
+      <p>${escapeHtml(guidance.summary)}</p>
+      <h3>${escapeHtml(t("sections.parentMonitoring"))}</h3>
+      ${list(guidance.monitoring)}
+      <h3>${escapeHtml(t("sections.parentEscalation"))}</h3>
+      ${list(guidance.escalation)}`;
+}
+
+// Headings are read too, so a child listening knows which part comes next.
+function sectionsToSpeech(sections, t) {
+  return [
+    t("sections.whatMightBeHappening"),
+    sections.whatMightBeHappening,
+    t("sections.homeCare"),
+    ...sections.homeCare,
+    t("sections.seeADoctor"),
+    urgencyLabel(sections.seeADoctor.urgency, t),
+    sections.seeADoctor.advice,
+    t("sections.encouragement"),
+    sections.encouragement,
+  ].join("\n");
+}
+
+function parentGuidanceToSpeech(guidance, t) {
+  return [
+    guidance.summary,
+    t("sections.parentMonitoring"),
+    ...guidance.monitoring,
+    t("sections.parentEscalation"),
+    ...guidance.escalation,
+  ].join("\n");
+}
+
+function labsToHtml(labs, t) {
+  if (labs.status !== "ok") {
+    return `<p>${escapeHtml(labs.message)}</p>`;
+  }
+  const rows = labs.rows
+    .map(
+      (row) => `<tr${row.flag === "low" || row.flag === "high" ? ' class="flagged"' : ""}>
+        <td>${escapeHtml(row.analyte)}</td>
+        <td>${escapeHtml(`${row.value} ${row.unit}`.trim())}</td>
+        <td>${escapeHtml(row.referenceRange || "-")}</td>
+        <td>${escapeHtml(row.flag.toUpperCase())}</td>
+      </tr>`,
+    )
+    .join("");
+  const headings = ["labs.test", "labs.result", "labs.referenceRange", "labs.flag"]
+    .map((key) => `<th>${escapeHtml(t(key))}</th>`)
+    .join("");
+  return `<table><thead><tr>${headings}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// The server PDF only has the standard Latin fonts (server/pdf.js) and answers 422 for
+// labels in other scripts, so checks in languages like Arabic use the print summary.
+const PDF_SCRIPT = /^[\p{Script=Latin}\p{Script=Common}\p{Script=Inherited}]*$/u;
+
+function pdfCanPrint(language) {
+  return PDF_SCRIPT.test(createTranslator(language).t("print.title"));
+}
+
+// Mirrors describeVitals in server/handoff.js so the print summary and the PDF agree.
+function describeVitals(vitals, t) {
+  if (!vitals) {
+    return [];
+  }
+  const known = (value) => value !== null && value !== undefined;
+  const formatHours = (hours) =>
+    hours < 48 ? t("vitals.hours", { count: hours }) : t("vitals.days", { count: Math.round((hours / 24) * 10) / 10 });
+  const lines = [];
+  if (known(vitals.temperatureC)) {
+    const fahrenheit = Math.round(((vitals.temperatureC * 9) / 5 + 32) * 10) / 10;
+    lines.push([t("vitals.temperature"), `${vitals.temperatureC} °C (${fahrenheit} °F)`]);
+  }
+  const hours = vitals.feverDurationHours ?? vitals.durationHours;
+  if (known(hours)) {
+    lines.push([t(known(vitals.feverDurationHours) ? "vitals.feverDuration" : "vitals.symptomDuration"), formatHours(hours)]);
+  }
+  if (known(vitals.vomitingEpisodes)) {
+    lines.push([t("vitals.vomitingEpisodes"), String(vitals.vomitingEpisodes)]);
+  }
+  return lines;
+}
+
 function triageStyle(level) {
   if (level === "emergency") {
     return {
@@ -137,6 +301,123 @@ function triageStyle(level) {
   };
 }
 
+function DiagnosisSections({ sections, theme }) {
+  const { t } = useI18n();
+  const headingStyle = { margin: "0 0 6px", fontSize: "1.02rem", fontWeight: 900, color: theme.primary };
+  const blockStyle = {
+    background: theme.bubble,
+    borderRadius: "14px",
+    padding: "14px 16px",
+    marginBottom: "10px",
+    lineHeight: "1.6",
+    fontWeight: 600,
+  };
+
+  return (
+    <div>
+      <section style={blockStyle}>
+        <h3 style={headingStyle}>{t("sections.whatMightBeHappening")}</h3>
+        <p style={{ margin: 0 }}>{sections.whatMightBeHappening}</p>
+      </section>
+      <section style={blockStyle}>
+        <h3 style={headingStyle}>{t("sections.homeCare")}</h3>
+        <ul style={{ margin: 0, paddingLeft: "20px" }}>
+          {sections.homeCare.map((entry, index) => (
+            <li key={`${index}-${entry}`}>{entry}</li>
+          ))}
+        </ul>
+      </section>
+      <section style={blockStyle}>
+        <h3 style={headingStyle}>{t("sections.seeADoctor")}</h3>
+        <p style={{ margin: "0 0 4px", fontWeight: 800 }}>
+          {urgencyLabel(sections.seeADoctor.urgency, t)}
+        </p>
+        <p style={{ margin: 0 }}>{sections.seeADoctor.advice}</p>
+      </section>
+      <section style={{ ...blockStyle, marginBottom: 0 }}>
+        <h3 style={headingStyle}>{t("sections.encouragement")}</h3>
+        <p style={{ margin: 0 }}>{sections.encouragement}</p>
+      </section>
+    </div>
+  );
+}
+
+// The parent's part: adult reading level, with what to watch and when to get help.
+function ParentGuidance({ guidance, theme }) {
+  const { t } = useI18n();
+  const headingStyle = { margin: "0 0 6px", fontSize: "1.02rem", fontWeight: 900, color: theme.primary };
+  const blockStyle = { background: theme.bubble, borderRadius: "14px", padding: "14px 16px", marginBottom: "10px", lineHeight: "1.6" };
+
+  return (
+    <div>
+      <p style={{ ...blockStyle, margin: "0 0 10px" }}>{guidance.summary}</p>
+      <section style={blockStyle}>
+        <h3 style={headingStyle}>{t("sections.parentMonitoring")}</h3>
+        <ul style={{ margin: 0, paddingLeft: "20px" }}>
+          {guidance.monitoring.map((entry, index) => (
+            <li key={`${index}-${entry}`}>{entry}</li>
+          ))}
+        </ul>
+      </section>
+      <section style={{ ...blockStyle, marginBottom: 0, border: "2px solid #ffb53a" }}>
+        <h3 style={headingStyle}>{t("sections.parentEscalation")}</h3>
+        <ul style={{ margin: 0, paddingLeft: "20px" }}>
+          {guidance.escalation.map((entry, index) => (
+            <li key={`${index}-${entry}`}>{entry}</li>
+          ))}
+        </ul>
+      </section>
+    </div>
+  );
+}
+
+const ANSWER_TABS = ["child", "parent"];
+
+// Child and parent answers in two tabs; arrow keys move between them.
+function AnswerTabs({ active, onChange, childName, theme }) {
+  const { t } = useI18n();
+
+  const onKeyDown = (tab) => (event) => {
+    if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+      event.preventDefault();
+      const step = event.key === "ArrowRight" ? 1 : -1;
+      const next = ANSWER_TABS[(ANSWER_TABS.indexOf(tab) + step + ANSWER_TABS.length) % ANSWER_TABS.length];
+      onChange(next);
+      document.getElementById(`answer-tab-${next}`)?.focus();
+    }
+  };
+
+  return (
+    <div role="tablist" aria-label={t("result.answerTabs")} style={{ display: "flex", gap: "6px", marginBottom: "10px" }}>
+      {ANSWER_TABS.map((tab) => (
+        <button
+          key={tab}
+          id={`answer-tab-${tab}`}
+          type="button"
+          role="tab"
+          aria-selected={active === tab}
+          aria-controls={`answer-panel-${tab}`}
+          tabIndex={active === tab ? 0 : -1}
+          onClick={() => onChange(tab)}
+          onKeyDown={onKeyDown(tab)}
+          style={{
+            flex: 1,
+            borderRadius: "999px",
+            padding: "8px 12px",
+            fontWeight: 800,
+            cursor: "pointer",
+            border: `2px solid ${theme.primary}`,
+            background: active === tab ? theme.primary : "transparent",
+            color: active === tab ? "#fff" : theme.primary,
+          }}
+        >
+          {tab === "parent" ? t("result.parentTab") : childName ? t("result.childTab", { name: childName }) : t("result.kidTab")}
+        </button>
+      ))}
+    </div>
+  );
+}
+
 function FloatingBubble({ icon, style }) {
   return (
     <div
@@ -193,6 +474,8 @@ export default function App() {
   const [name, setName] = useState("");
   const [age, setAge] = useState("");
   const [symptoms, setSymptoms] = useState("");
+  const [feelings, setFeelings] = useState([]);
+  const [parentNotes, setParentNotes] = useState("");
   const [language, setLanguage] = useState("en");
   const [readingLevel, setReadingLevel] = useState("simple");
   const [uploadedFile, setUploadedFile] = useState(null);
@@ -200,14 +483,67 @@ export default function App() {
   const [fileBase64, setFileBase64] = useState(null);
   const [isImage, setIsImage] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [streaming, setStreaming] = useState(false);
   const [result, setResult] = useState(null);
+  const [sections, setSections] = useState(null);
+  const [answerTab, setAnswerTab] = useState("child");
+  const [labs, setLabs] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [dosing, setDosing] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
   const [triage, setTriage] = useState(null);
   const [handoff, setHandoff] = useState(null);
   const [error, setError] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [conversation, setConversation] = useState(null);
+  const [selectedProfile, setSelectedProfile] = useState(null);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [showDiary, setShowDiary] = useState(false);
   const fileRef = useRef(null);
+  const streamAbortRef = useRef(null);
 
+  const i18n = useMemo(() => createTranslator(language), [language]);
+  const { t } = i18n;
   const theme = THEMES[themeName];
-  const mascot = MASCOTS[mascotKey];
+  const mascot = { ...MASCOTS[mascotKey], name: t(`mascots.${mascotKey}.name`) };
+  const childName = selectedProfile?.name || name.trim();
+  const measuredValues = describeVitals(triage?.vitals, t);
+  const readingLevelLabel = (level) => t(`readingLevels.${READING_LEVELS.includes(level) ? level : "simple"}`);
+  const languageLabel = (code) => LANGUAGE_OPTIONS.find((option) => option.value === code)?.label || LANGUAGE_OPTIONS[0].label;
+
+  // Saved reminders pick up again on every visit once notifications are allowed. Only
+  // the chosen child's reminders are scheduled, or those for no saved child.
+  const activeProfileId = selectedProfile?.id || "";
+  useEffect(() => {
+    if (!notificationsGranted()) {
+      return;
+    }
+    let cancelled = false;
+    let scheduledIds = [];
+    const query = activeProfileId ? `?profileId=${encodeURIComponent(activeProfileId)}` : "";
+    fetch(`/api/reminders${query}`, { headers: familyHeaders() })
+      .then((response) => (response.ok ? response.json() : { items: [] }))
+      .then((data) => {
+        if (cancelled) {
+          return null;
+        }
+        const reminders = (data.items || []).filter((reminder) => (reminder.profileId || "") === activeProfileId);
+        scheduledIds = reminders.map((reminder) => reminder.id);
+        return scheduleReminders(reminders);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      clearScheduledReminders(scheduledIds);
+    };
+  }, [activeProfileId]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.language;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
 
   const cardStyle = {
     background: theme.card,
@@ -273,13 +609,13 @@ export default function App() {
 
     const mimeType = String(file.type || "").toLowerCase();
     if (!SUPPORTED_UPLOAD_MIME_TYPES.has(mimeType)) {
-      setError("Unsupported file type. Please upload JPEG, PNG, WEBP, PDF, or TXT.");
+      setError(t("errors.unsupportedFile"));
       event.target.value = "";
       return;
     }
 
     if (file.size > MAX_UPLOAD_MB * 1024 * 1024) {
-      setError(`File is too large. Please upload a file under ${MAX_UPLOAD_MB}MB.`);
+      setError(t("errors.fileTooLarge", { maxMb: MAX_UPLOAD_MB }));
       event.target.value = "";
       return;
     }
@@ -296,105 +632,337 @@ export default function App() {
       setFilePreview(imageFile ? dataUrl : null);
     } catch {
       clearUpload();
-      setError("Could not read the uploaded file. Please try a different file.");
+      setError(t("errors.fileUnreadable"));
+    }
+  };
+
+  const buildPayload = () => {
+    const payload = {
+      symptoms: symptoms.trim(),
+      feelings,
+      parentNotes: parentNotes.trim(),
+      name: selectedProfile ? "" : name.trim(),
+      age: selectedProfile ? "" : age.trim(),
+      language,
+      readingLevel,
+    };
+
+    const country = browserCountry();
+    if (country) {
+      payload.country = country;
+    }
+    if (selectedProfile) {
+      payload.profileId = selectedProfile.id;
+    }
+
+    if (fileBase64 && uploadedFile) {
+      payload.file = {
+        base64: fileBase64,
+        mimeType: uploadedFile.type || "application/octet-stream",
+        fileName: uploadedFile.name,
+        isImage,
+      };
+    }
+
+    return payload;
+  };
+
+  const requestDiagnosis = async (payload) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const controller = new AbortController();
+      streamAbortRef.current = controller;
+      const response = await fetch("/api/diagnose/stream", {
+        method: "POST",
+        headers: familyHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+
+      const fallbackHandoff = defaultHandoff(
+        {
+          name: childName,
+          age: selectedProfile ? "" : age.trim(),
+          symptoms: symptoms.trim(),
+          feelings,
+          parentNotes: parentNotes.trim(),
+          language,
+          readingLevel,
+        },
+        t,
+      );
+      const contentType = response.headers?.get?.("content-type") || "";
+
+      if (response.ok && contentType.includes("text/event-stream") && response.body?.getReader) {
+        let streamError = null;
+        let receivedText = false;
+        setStreaming(true);
+
+        await readEventStream(response, (event, data) => {
+          if (event === "triage") {
+            setConversation(null);
+            setTriage(data.triage || null);
+            setHandoff(data.handoff || fallbackHandoff);
+            setResult("");
+            setLoading(false);
+          } else if (event === "token") {
+            receivedText = true;
+            setResult((current) => `${current || ""}${data.text || ""}`);
+          } else if (event === "done") {
+            setResult(data.result || t("errors.noResponse"));
+            setSections(data.sections || null);
+            setLabs(data.labs || null);
+            setPlan(data.plan || null);
+            setDosing(data.dosing || null);
+            setHistoryId(data.historyId || null);
+          } else if (event === "error") {
+            streamError = data.error || t("errors.diagnosisFailed");
+          }
+        });
+
+        if (streamError) {
+          if (!receivedText) {
+            setResult(null);
+            setTriage(null);
+            setHandoff(null);
+          }
+          throw new Error(streamError);
+        }
+        return;
+      }
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t("errors.diagnosisFailed"));
+      }
+
+      setConversation(null);
+      setResult(data.result || t("errors.noResponse"));
+      setSections(data.sections || null);
+      setLabs(data.labs || null);
+      setPlan(data.plan || null);
+      setDosing(data.dosing || null);
+      setHistoryId(data.historyId || null);
+      setTriage(data.triage || null);
+      setHandoff(data.handoff || fallbackHandoff);
+    } catch (requestError) {
+      if (requestError.name === "AbortError") {
+        return;
+      }
+      setConversation(null);
+      setError(requestError.message || t("errors.generic"));
+    } finally {
+      streamAbortRef.current = null;
+      setStreaming(false);
+      setLoading(false);
     }
   };
 
   const runDiagnosis = async () => {
-    if (!symptoms.trim()) {
-      setError("Please tell me how you're feeling first.");
+    if (!symptoms.trim() && !parentNotes.trim()) {
+      setError(t("errors.symptomsRequired"));
       return;
     }
 
-    if (age && (Number(age) < 1 || Number(age) > 18)) {
-      setError("Age must be between 1 and 18.");
+    if (!selectedProfile && age && (Number(age) < 1 || Number(age) > 18)) {
+      setError(t("errors.ageRange"));
       return;
     }
 
     setLoading(true);
     setError(null);
     setResult(null);
+    setSections(null);
+    setAnswerTab("child");
+    setLabs(null);
+    setPlan(null);
+    setDosing(null);
+    setHistoryId(null);
     setTriage(null);
     setHandoff(null);
 
-    try {
-      const payload = {
-        symptoms: symptoms.trim(),
-        name: name.trim(),
-        age: age.trim(),
-        language,
-        readingLevel,
-      };
+    const payload = buildPayload();
 
-      if (fileBase64 && uploadedFile) {
-        payload.file = {
-          base64: fileBase64,
-          mimeType: uploadedFile.type || "application/octet-stream",
-          fileName: uploadedFile.name,
-          isImage,
-        };
-      }
-
-      const response = await fetch("/api/diagnose", {
+    // Vague symptoms get a few clarifying questions first. If the session endpoint
+    // is unavailable, fall straight through to a single-shot diagnosis.
+    try {
+      const response = await fetch("/api/sessions", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
       });
+      const session = await response.json().catch(() => ({}));
+      if (response.ok && session.status === "asking" && session.question) {
+        setConversation({
+          sessionId: session.sessionId,
+          payload,
+          total: session.questionsTotal,
+          answered: 0,
+          messages: [{ from: "mascot", text: session.question.text }],
+        });
+        setLoading(false);
+        return;
+      }
+    } catch {
+      // Ignore and diagnose directly.
+    }
+
+    await requestDiagnosis(payload);
+  };
 
+  const answerQuestion = async (answer) => {
+    if (!conversation) {
+      return;
+    }
+
+    const { sessionId, payload } = conversation;
+    setConversation((current) => ({
+      ...current,
+      answered: current.answered + 1,
+      messages: [...current.messages, { from: "child", text: answer }],
+    }));
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/answer`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept-Language": language },
+        body: JSON.stringify({ answer }),
+      });
       const data = await response.json().catch(() => ({}));
       if (!response.ok) {
-        throw new Error(data.error || "The diagnosis request failed. Please try again.");
+        throw new Error(data.error || t("errors.answerFailed"));
       }
 
-      setResult(data.result || "No response was returned. Please try again.");
-      setTriage(data.triage || null);
-      setHandoff(
-        data.handoff ||
-          defaultHandoff({
-            name: name.trim(),
-            age: age.trim(),
-            symptoms: symptoms.trim(),
-            language,
-            readingLevel,
-          }),
-      );
+      if (data.status === "asking" && data.question) {
+        setConversation((current) => ({
+          ...current,
+          messages: [...current.messages, { from: "mascot", text: data.question.text }],
+        }));
+        setLoading(false);
+        return;
+      }
     } catch (requestError) {
-      setError(requestError.message || "Something went wrong. Please try again.");
-    } finally {
+      setConversation(null);
       setLoading(false);
+      setError(requestError.message || t("errors.generic"));
+      return;
     }
+
+    await requestDiagnosis({ ...payload, sessionId });
+  };
+
+  const openHistoryEntry = (entry) => {
+    setResult(entry.result || "");
+    setSections(entry.sections || null);
+    setAnswerTab("child");
+    setLabs(entry.labs || null);
+    setPlan(entry.plan || null);
+    setDosing(entry.dosing || null);
+    setHistoryId(entry.id || null);
+    setTriage(entry.triage || null);
+    setHandoff(entry.handoff || null);
+    if (entry.handoff?.language) {
+      setLanguage(entry.handoff.language);
+    }
+    if (entry.handoff?.readingLevel) {
+      setReadingLevel(entry.handoff.readingLevel);
+    }
+    setShowHistory(false);
+    setError(null);
   };
 
   const reset = () => {
+    streamAbortRef.current?.abort();
+    setConversation(null);
     setResult(null);
+    setSections(null);
+    setAnswerTab("child");
+    setLabs(null);
+    setPlan(null);
+    setDosing(null);
+    setHistoryId(null);
     setTriage(null);
     setHandoff(null);
     setSymptoms("");
+    setFeelings([]);
+    setParentNotes("");
     clearUpload();
     setError(null);
   };
 
+  // Saved checks are rendered from storage; unsaved ones (storage off) are posted back.
+  const downloadPdf = async () => {
+    if (!result || !handoff || streaming) {
+      setError(t("errors.noSummaryToDownload"));
+      return;
+    }
+    if (!pdfCanPrint(handoff.language)) {
+      printSummary();
+      return;
+    }
+
+    setDownloadingPdf(true);
+    setError(null);
+    try {
+      const response = historyId
+        ? await fetch(`/api/handoff/${encodeURIComponent(historyId)}.pdf`, { headers: familyHeaders({ "Accept-Language": language }) })
+        : await fetch("/api/handoff.pdf", {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "Accept-Language": language },
+            body: JSON.stringify({ handoff, triage, result, sections, labs }),
+          });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("errors.pdfFailed"));
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `kiddoc-handoff-${new Date().toISOString().slice(0, 10)}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (requestError) {
+      setError(requestError.message || t("errors.pdfFailed"));
+    } finally {
+      setDownloadingPdf(false);
+    }
+  };
+
   const printSummary = () => {
-    if (!result || !handoff) {
-      setError("No summary available to print yet.");
+    if (!result || !handoff || streaming) {
+      setError(t("errors.noSummaryToPrint"));
       return;
     }
 
     const popup = window.open("", "kiddoc-summary", "width=900,height=700");
     if (!popup) {
-      setError("Pop-up blocked. Please allow pop-ups to print the summary.");
+      setError(t("errors.popupBlocked"));
       return;
     }
 
-    const languageLabel = LANGUAGE_OPTIONS.find((option) => option.value === handoff.language)?.label || "English";
-    const readingLabel = READING_LEVEL_OPTIONS.find((option) => option.value === handoff.readingLevel)?.label || "Simple";
+    const levelLabel = (level) => t(`levels.${level || "routine"}`).toLocaleUpperCase(i18n.language);
     const triageReasons = (triage?.reasons || []).map((reason) => `<li>${escapeHtml(reason)}</li>`).join("");
+    const measuredValues = describeVitals(triage?.vitals, t)
+      .map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+      .join("");
+    const followUp = (handoff.followUp || [])
+      .map((entry) => `<li><strong>${escapeHtml(entry.question)}</strong> ${escapeHtml(entry.answer || t("print.notSure"))}</li>`)
+      .join("");
+    const field = (labelKey, value) => `<p><strong>${escapeHtml(t(labelKey))}:</strong> ${escapeHtml(value)}</p>`;
+    const feelingList = (handoff.feelings || []).map((feeling) => t(`feelings.${feeling}`)).join(", ");
 
     popup.document.write(`<!doctype html>
-<html>
+<html lang="${escapeHtml(i18n.language)}" dir="${i18n.dir}">
   <head>
     <meta charset="utf-8" />
-    <title>KidDoc Doctor Handoff Summary</title>
+    <title>${escapeHtml(t("print.title"))}</title>
     <style>
       body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
       h1, h2 { margin: 0 0 12px; }
@@ -402,40 +970,64 @@ export default function App() {
       .card { border: 1px solid #ddd; border-radius: 8px; padding: 14px; margin-bottom: 12px; }
       ul { margin: 8px 0 0 18px; }
       pre { white-space: pre-wrap; line-height: 1.45; margin: 0; }
+      h3 { font-size: 14px; margin: 12px 0 4px; }
+      table { border-collapse: collapse; width: 100%; font-size: 13px; }
+      th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: start; }
+      tr.flagged td { background: #fff4dd; font-weight: bold; }
       .disclaimer { font-size: 12px; color: #8a5200; background: #fff4dd; border: 1px solid #f1cc8c; }
     </style>
   </head>
   <body>
-    <h1>KidDoc Doctor Handoff Summary</h1>
-    <p class="muted">Generated ${escapeHtml(new Date(handoff.createdAt || Date.now()).toLocaleString())}</p>
+    <h1>${escapeHtml(t("print.title"))}</h1>
+    <p class="muted">${escapeHtml(t("print.generated", { date: new Date(handoff.createdAt || Date.now()).toLocaleString(i18n.language) }))}</p>
 
     <div class="card">
-      <h2>Child Details</h2>
-      <p><strong>Name:</strong> ${escapeHtml(handoff.childName || "Not provided")}</p>
-      <p><strong>Age:</strong> ${escapeHtml(handoff.childAge || "Not provided")}</p>
-      <p><strong>Language:</strong> ${escapeHtml(languageLabel)}</p>
-      <p><strong>Reading Level:</strong> ${escapeHtml(readingLabel)}</p>
+      <h2>${escapeHtml(t("print.childDetails"))}</h2>
+      ${field("print.name", handoff.childName || t("print.notProvided"))}
+      ${field("print.age", handoff.childAge || t("print.notProvided"))}
+      ${field("print.language", languageLabel(handoff.language))}
+      ${field("print.readingLevel", readingLevelLabel(handoff.readingLevel))}
+      ${handoff.dateOfBirth ? field("print.dateOfBirth", handoff.dateOfBirth) : ""}
+      ${handoff.allergies?.length ? field("print.allergies", handoff.allergies.join(", ")) : ""}
+      ${handoff.chronicConditions?.length ? field("print.chronicConditions", handoff.chronicConditions.join(", ")) : ""}
+      ${handoff.medications?.length ? field("print.medications", handoff.medications.join(", ")) : ""}
     </div>
 
     <div class="card">
-      <h2>Reported Symptoms</h2>
-      <pre>${escapeHtml(handoff.symptoms || "")}</pre>
+      <h2>${escapeHtml(t("print.symptoms"))}</h2>
+      <h3>${escapeHtml(t("print.childVoice"))}</h3>
+      <pre>${escapeHtml(handoff.symptoms || t("print.notProvided"))}</pre>
+      ${feelingList ? field("print.feelings", feelingList) : ""}
+      ${handoff.parentNotes ? `<h3>${escapeHtml(t("print.parentObservations"))}</h3><pre>${escapeHtml(handoff.parentNotes)}</pre>` : ""}
+      ${followUp ? `<p><strong>${escapeHtml(t("print.followUp"))}:</strong></p><ul>${followUp}</ul>` : ""}
     </div>
 
     <div class="card">
-      <h2>Triage Summary</h2>
-      <p><strong>Level:</strong> ${escapeHtml(String(triage?.level || "routine").toUpperCase())}</p>
-      <p><strong>Guidance:</strong> ${escapeHtml(triage?.message || "No triage message available.")}</p>
-      ${triageReasons ? `<p><strong>Matched Signals:</strong></p><ul>${triageReasons}</ul>` : ""}
+      <h2>${escapeHtml(t("print.triageSummary"))}</h2>
+      ${field("print.level", levelLabel(triage?.level))}
+      ${field("print.guidance", triage?.message || t("print.noTriageMessage"))}
+      ${triageReasons ? `<p><strong>${escapeHtml(t("print.matchedSignals"))}:</strong></p><ul>${triageReasons}</ul>` : ""}
+      ${measuredValues ? `<p><strong>${escapeHtml(t("print.measuredValues"))}:</strong></p><ul>${measuredValues}</ul>` : ""}
+      ${
+        triage?.source === "model"
+          ? `<p class="muted">${escapeHtml(t("print.raisedFrom", { level: levelLabel(triage.secondOpinion?.rulesLevel) }))}</p>`
+          : triage?.ruleIds?.length
+            ? `<p class="muted">${escapeHtml(t("print.triageRules", { ruleIds: triage.ruleIds.join(", ") }))}</p>`
+            : ""
+      }
     </div>
 
     <div class="card">
-      <h2>AI Health Explanation</h2>
-      <pre>${escapeHtml(result)}</pre>
+      <h2>${escapeHtml(t("print.explanation"))}</h2>
+      ${sections ? sectionsToHtml(sections, t) : `<pre>${escapeHtml(result)}</pre>`}
     </div>
 
+    ${sections?.parentGuidance ? `<div class="card"><h2>${escapeHtml(t("print.parentGuidance"))}</h2>${parentGuidanceToHtml(sections.parentGuidance, t)}</div>` : ""}
+
+    ${labs ? `<div class="card"><h2>${escapeHtml(t("print.labResults"))}</h2>${labsToHtml(labs, t)}</div>` : ""}
+
     <div class="card disclaimer">
-      This report is educational and is not a medical diagnosis. Seek a licensed clinician for medical care.
+      ${escapeHtml(t("print.disclaimer"))}
     </div>
   </body>
 </html>`);
@@ -445,352 +1037,616 @@ export default function App() {
   };
 
   return (
-    <div
-      style={{
-        minHeight: "100vh",
-        background: theme.bg,
-        fontFamily: "'Nunito', 'Trebuchet MS', sans-serif",
-        color: theme.text,
-        transition: "background .5s ease",
-        position: "relative",
-        overflowX: "hidden",
-      }}
-    >
-      <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Nunito:wght@400;600;700;800;900&display=swap');
-        * { box-sizing: border-box; }
-        @keyframes floatUp {
-          0%, 100% { transform: translateY(0) rotate(0deg); opacity: .28; }
-          50% { transform: translateY(-18px) rotate(12deg); opacity: .55; }
-        }
-        @keyframes starFall {
-          0% { transform: translateY(-40px) rotate(0deg); opacity: 0; }
-          12% { opacity: .45; }
-          88% { opacity: .45; }
-          100% { transform: translateY(110vh) rotate(360deg); opacity: 0; }
-        }
-        @keyframes mascotBounce {
-          0%, 100% { transform: translateY(0) scale(1); }
-          50% { transform: translateY(-8px) scale(1.05); }
-        }
-        @keyframes cardIn {
-          0% { opacity: 0; transform: translateY(14px); }
-          100% { opacity: 1; transform: translateY(0); }
-        }
-        .chip-btn:hover { transform: scale(1.05) !important; }
-        .main-btn:hover { transform: scale(1.04) !important; }
-        textarea:focus, input:focus, select:focus {
-          border-color: ${theme.primary} !important;
-          box-shadow: 0 0 0 3px ${theme.shadow};
-        }
-      `}</style>
-
-      <StarRain symbol={theme.star} />
-      <FloatingBubble icon={theme.emoji} style={{ top: "9%", left: "4%", animationDelay: "0s" }} />
-      <FloatingBubble icon="🩺" style={{ top: "22%", right: "6%", animationDelay: "1.2s" }} />
-      <FloatingBubble icon="💊" style={{ top: "62%", left: "3%", animationDelay: "1.9s" }} />
-      <FloatingBubble icon={theme.emoji} style={{ top: "74%", right: "8%", animationDelay: "2.4s" }} />
-
-      <div style={{ maxWidth: "620px", margin: "0 auto", padding: "20px 14px 24px", position: "relative", zIndex: 2 }}>
-        <div style={{ textAlign: "center", marginBottom: "16px" }}>
-          <button
-            type="button"
-            onClick={cycleMascot}
-            aria-label="Change mascot"
-            style={{
-              border: "none",
-              background: "transparent",
-              fontSize: "3.5rem",
-              lineHeight: 1,
-              cursor: "pointer",
-              animation: "mascotBounce 2s ease-in-out infinite",
-            }}
-          >
-            {mascot.emoji}
-          </button>
-          <h1 style={{ margin: "6px 0", fontSize: "2.1rem", fontWeight: 900 }}>MediKids {theme.emoji}</h1>
-          <p style={{ margin: 0, fontWeight: 800, color: theme.primary }}>{mascot.name} says: "{name.trim() ? `Hi ${name.trim()}! I am here to help.` : mascot.msg}"</p>
-          <p style={{ margin: "4px 0 0", opacity: 0.7, fontSize: "0.8rem" }}>Tap the mascot to switch character</p>
-        </div>
+    <I18nContext.Provider value={i18n}>
+      <div
+        dir={i18n.dir}
+        lang={i18n.language}
+        style={{
+          minHeight: "100vh",
+          background: theme.bg,
+          fontFamily: "'Nunito', 'Trebuchet MS', sans-serif",
+          color: theme.text,
+          transition: "background .5s ease",
+          position: "relative",
+          overflowX: "hidden",
+        }}
+      >
+        <style>{`
+          @import url('https://fonts.googleapis.com/css2?family=Nunito:wght@400;600;700;800;900&display=swap');
+          * { box-sizing: border-box; }
+          @keyframes floatUp {
+            0%, 100% { transform: translateY(0) rotate(0deg); opacity: .28; }
+            50% { transform: translateY(-18px) rotate(12deg); opacity: .55; }
+          }
+          @keyframes starFall {
+            0% { transform: translateY(-40px) rotate(0deg); opacity: 0; }
+            12% { opacity: .45; }
+            88% { opacity: .45; }
+            100% { transform: translateY(110vh) rotate(360deg); opacity: 0; }
+          }
+          @keyframes mascotBounce {
+            0%, 100% { transform: translateY(0) scale(1); }
+            50% { transform: translateY(-8px) scale(1.05); }
+          }
+          @keyframes cardIn {
+            0% { opacity: 0; transform: translateY(14px); }
+            100% { opacity: 1; transform: translateY(0); }
+          }
+          .chip-btn:hover { transform: scale(1.05) !important; }
+          .main-btn:hover { transform: scale(1.04) !important; }
+          textarea:focus, input:focus, select:focus {
+            border-color: ${theme.primary} !important;
+            box-shadow: 0 0 0 3px ${theme.shadow};
+          }
+        `}</style>
 
-        <div style={cardStyle}>
-          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-            <strong>Pick Theme</strong>
+        <StarRain symbol={theme.star} />
+        <FloatingBubble icon={theme.emoji} style={{ top: "9%", left: "4%", animationDelay: "0s" }} />
+        <FloatingBubble icon="🩺" style={{ top: "22%", right: "6%", animationDelay: "1.2s" }} />
+        <FloatingBubble icon="💊" style={{ top: "62%", left: "3%", animationDelay: "1.9s" }} />
+        <FloatingBubble icon={theme.emoji} style={{ top: "74%", right: "8%", animationDelay: "2.4s" }} />
+
+        <div style={{ maxWidth: "620px", margin: "0 auto", padding: "20px 14px 24px", position: "relative", zIndex: 2 }}>
+          <div style={{ textAlign: "center", marginBottom: "16px" }}>
             <button
               type="button"
-              onClick={() => setShowThemePicker((open) => !open)}
+              onClick={cycleMascot}
+              aria-label={t("app.changeMascot")}
               style={{
-                background: theme.btn,
-                color: theme.btnText,
                 border: "none",
-                borderRadius: "999px",
-                padding: "8px 14px",
-                fontWeight: 700,
+                background: "transparent",
+                fontSize: "3.5rem",
+                lineHeight: 1,
                 cursor: "pointer",
+                animation: "mascotBounce 2s ease-in-out infinite",
               }}
             >
-              {showThemePicker ? "Close" : THEMES[themeName].name}
+              {mascot.emoji}
             </button>
+            <h1 style={{ margin: "6px 0", fontSize: "2.1rem", fontWeight: 900 }}>
+              {t("app.title")} {theme.emoji}
+            </h1>
+            <p style={{ margin: 0, fontWeight: 800, color: theme.primary }}>
+              {t("app.mascotSays", {
+                name: mascot.name,
+                message: childName ? t("app.greeting", { name: childName }) : t(`mascots.${mascotKey}.message`),
+              })}
+            </p>
+            <p style={{ margin: "4px 0 0", opacity: 0.7, fontSize: "0.8rem" }}>{t("app.switchMascot")}</p>
           </div>
-          {showThemePicker && (
-            <div style={{ marginTop: "10px", display: "flex", flexWrap: "wrap", gap: "8px" }}>
-              {Object.entries(THEMES).map(([key, option]) => (
-                <button
-                  key={key}
-                  type="button"
-                  className="chip-btn"
-                  onClick={() => {
-                    setThemeName(key);
-                    setShowThemePicker(false);
-                  }}
-                  style={{
-                    background: option.btn,
-                    color: option.btnText,
-                    border: key === themeName ? "3px solid #111" : "3px solid transparent",
-                    borderRadius: "999px",
-                    padding: "8px 14px",
-                    fontWeight: 700,
-                    cursor: "pointer",
-                    transition: "transform .2s ease",
-                  }}
-                >
-                  {option.emoji} {option.name}
-                </button>
-              ))}
-            </div>
-          )}
-        </div>
 
-        {!result ? (
-          <>
-            <div style={cardStyle}>
-              <p style={{ margin: "0 0 12px", fontWeight: 800 }}>Tell me about your child</p>
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px" }}>
-                <div>
-                  <label htmlFor="child-name" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
-                    Name
-                  </label>
-                  <input
-                    id="child-name"
-                    value={name}
-                    onChange={(event) => setName(event.target.value)}
-                    placeholder="e.g. Emma"
-                    style={inputStyle}
-                    maxLength={50}
-                  />
-                </div>
-                <div>
-                  <label htmlFor="child-age" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
-                    Age
-                  </label>
-                  <input
-                    id="child-age"
-                    value={age}
-                    onChange={(event) => setAge(event.target.value)}
-                    placeholder="e.g. 8"
-                    type="number"
-                    min="1"
-                    max="18"
-                    style={inputStyle}
-                  />
-                </div>
-              </div>
+          <div style={cardStyle}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <strong>{t("app.pickTheme")}</strong>
+              <button
+                type="button"
+                onClick={() => setShowThemePicker((open) => !open)}
+                style={{
+                  background: theme.btn,
+                  color: theme.btnText,
+                  border: "none",
+                  borderRadius: "999px",
+                  padding: "8px 14px",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                {showThemePicker ? t("app.close") : t(`themes.${themeName}`)}
+              </button>
             </div>
-
-            <div style={cardStyle}>
-              <p style={{ margin: "0 0 12px", fontWeight: 800 }}>Response Settings</p>
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px" }}>
-                <div>
-                  <label htmlFor="response-language" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
-                    Language
-                  </label>
-                  <select
-                    id="response-language"
-                    value={language}
-                    onChange={(event) => setLanguage(event.target.value)}
-                    style={inputStyle}
+            {showThemePicker && (
+              <div style={{ marginTop: "10px", display: "flex", flexWrap: "wrap", gap: "8px" }}>
+                {Object.entries(THEMES).map(([key, option]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    className="chip-btn"
+                    onClick={() => {
+                      setThemeName(key);
+                      setShowThemePicker(false);
+                    }}
+                    style={{
+                      background: option.btn,
+                      color: option.btnText,
+                      border: key === themeName ? "3px solid #111" : "3px solid transparent",
+                      borderRadius: "999px",
+                      padding: "8px 14px",
+                      fontWeight: 700,
+                      cursor: "pointer",
+                      transition: "transform .2s ease",
+                    }}
                   >
-                    {LANGUAGE_OPTIONS.map((option) => (
-                      <option key={option.value} value={option.value}>
-                        {option.label}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-                <div>
-                  <label htmlFor="reading-level" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
-                    Reading Level
-                  </label>
-                  <select
-                    id="reading-level"
-                    value={readingLevel}
-                    onChange={(event) => setReadingLevel(event.target.value)}
-                    style={inputStyle}
-                  >
-                    {READING_LEVEL_OPTIONS.map((option) => (
-                      <option key={option.value} value={option.value}>
-                        {option.label}
-                      </option>
-                    ))}
-                  </select>
-                </div>
+                    {option.emoji} {t(`themes.${key}`)}
+                  </button>
+                ))}
               </div>
-            </div>
+            )}
+          </div>
 
-            <div style={cardStyle}>
-              <p style={{ margin: "0 0 12px", fontWeight: 800 }}>How are you feeling?</p>
-              <textarea
-                value={symptoms}
-                onChange={(event) => setSymptoms(event.target.value)}
-                placeholder="Tell Dr. Buddy everything. Example: my tummy hurts and I feel warm."
-                rows={4}
-                style={{ ...inputStyle, resize: "vertical", lineHeight: "1.5" }}
-                maxLength={1500}
-              />
-              <p style={{ margin: "8px 0 0", fontSize: "0.8rem", opacity: 0.75 }}>
-                The more details you share, the better the explanation.
-              </p>
-            </div>
+          {showHistory && (
+            <HistoryTimeline
+              theme={theme}
+              cardStyle={cardStyle}
+              onOpen={openHistoryEntry}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
 
-            <div style={cardStyle}>
-              <p style={{ margin: "0 0 12px", fontWeight: 800 }}>Upload Lab Report (Optional)</p>
-              <div
-                role="button"
-                tabIndex={0}
-                onClick={() => fileRef.current?.click()}
-                onKeyDown={(event) => {
-                  if (event.key === "Enter" || event.key === " ") {
-                    event.preventDefault();
-                    fileRef.current?.click();
-                  }
-                }}
-                style={{
-                  border: `2px dashed ${theme.primary}`,
-                  borderRadius: "14px",
-                  padding: "18px",
-                  textAlign: "center",
-                  background: theme.bubble,
-                  cursor: "pointer",
-                }}
-              >
-                <input
-                  ref={fileRef}
-                  type="file"
-                  accept="image/jpeg,image/png,image/webp,application/pdf,text/plain"
-                  onChange={handleFileUpload}
-                  style={{ display: "none" }}
-                />
-                {uploadedFile ? (
-                  <>
-                    {filePreview && (
-                      <img
-                        src={filePreview}
-                        alt="Uploaded lab report preview"
-                        style={{ maxWidth: "100%", maxHeight: "190px", borderRadius: "10px", marginBottom: "8px" }}
+          {result === null && conversation ? (
+            <ClarifyChat
+              theme={theme}
+              cardStyle={cardStyle}
+              inputStyle={inputStyle}
+              buttonStyle={buttonStyle}
+              mascot={mascot}
+              conversation={conversation}
+              busy={loading}
+              onAnswer={answerQuestion}
+              onCancel={() => {
+                setConversation(null);
+                setLoading(false);
+              }}
+            />
+          ) : result === null ? (
+            <>
+              <div style={cardStyle}>
+                <p style={{ margin: "0 0 12px", fontWeight: 800 }}>{t("form.aboutChild")}</p>
+                {selectedProfile ? (
+                  <SelectedProfile
+                    profile={selectedProfile}
+                    theme={theme}
+                    onClear={() => {
+                      setSelectedProfile(null);
+                      setShowDiary(false);
+                    }}
+                  />
+                ) : (
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px" }}>
+                    <div>
+                      <label htmlFor="child-name" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
+                        {t("form.name")}
+                      </label>
+                      <input
+                        id="child-name"
+                        value={name}
+                        onChange={(event) => setName(event.target.value)}
+                        placeholder={t("form.namePlaceholder")}
+                        style={inputStyle}
+                        maxLength={50}
                       />
-                    )}
-                    <p style={{ margin: "0 0 6px", fontWeight: 700 }}>Uploaded: {uploadedFile.name}</p>
-                    <p style={{ margin: "0 0 8px" }}>{isImage ? "Image uploaded. AI can read this file." : "File uploaded."}</p>
+                    </div>
+                    <div>
+                      <label htmlFor="child-age" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
+                        {t("form.age")}
+                      </label>
+                      <input
+                        id="child-age"
+                        value={age}
+                        onChange={(event) => setAge(event.target.value)}
+                        placeholder={t("form.agePlaceholder")}
+                        type="number"
+                        min="1"
+                        max="18"
+                        style={inputStyle}
+                      />
+                    </div>
+                  </div>
+                )}
+                {!showProfiles ? (
+                  <button
+                    type="button"
+                    onClick={() => setShowProfiles(true)}
+                    style={{
+                      marginTop: "10px",
+                      border: `1px solid ${theme.primary}`,
+                      background: "transparent",
+                      color: theme.primary,
+                      borderRadius: "999px",
+                      padding: "6px 12px",
+                      fontWeight: 700,
+                      cursor: "pointer",
+                    }}
+                  >
+                    {t("form.savedChildren")}
+                  </button>
+                ) : (
+                  <ProfilePicker
+                    theme={theme}
+                    inputStyle={inputStyle}
+                    onSelect={(profile) => {
+                      setSelectedProfile(profile);
+                      setShowProfiles(false);
+                      setShowDiary(false);
+                    }}
+                    onClose={() => setShowProfiles(false)}
+                  />
+                )}
+                {selectedProfile &&
+                  (!showDiary ? (
                     <button
                       type="button"
-                      onClick={(event) => {
-                        event.stopPropagation();
-                        clearUpload();
-                      }}
+                      onClick={() => setShowDiary(true)}
                       style={{
+                        marginTop: "10px",
+                        marginInlineStart: "8px",
                         border: `1px solid ${theme.primary}`,
                         background: "transparent",
                         color: theme.primary,
                         borderRadius: "999px",
-                        padding: "6px 10px",
+                        padding: "6px 12px",
                         fontWeight: 700,
                         cursor: "pointer",
                       }}
                     >
-                      Remove File
+                      {t("diary.open")}
                     </button>
-                  </>
-                ) : (
-                  <>
-                    <p style={{ margin: "0 0 4px", fontWeight: 700 }}>Tap to upload a lab report</p>
-                    <p style={{ margin: 0, fontSize: "0.86rem", opacity: 0.75 }}>Images, PDF, or TXT. Max {MAX_UPLOAD_MB}MB.</p>
-                  </>
-                )}
+                  ) : (
+                    <SymptomDiary profile={selectedProfile} theme={theme} inputStyle={inputStyle} onClose={() => setShowDiary(false)} />
+                  ))}
+              </div>
+
+              <div style={cardStyle}>
+                <p style={{ margin: "0 0 12px", fontWeight: 800 }}>{t("form.responseSettings")}</p>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px" }}>
+                  <div>
+                    <label htmlFor="response-language" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
+                      {t("form.language")}
+                    </label>
+                    <select
+                      id="response-language"
+                      value={language}
+                      onChange={(event) => setLanguage(event.target.value)}
+                      style={inputStyle}
+                    >
+                      {LANGUAGE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="reading-level" style={{ display: "block", marginBottom: "6px", fontWeight: 700 }}>
+                      {t("form.readingLevel")}
+                    </label>
+                    <select
+                      id="reading-level"
+                      value={readingLevel}
+                      onChange={(event) => setReadingLevel(event.target.value)}
+                      style={inputStyle}
+                    >
+                      {READING_LEVELS.map((level) => (
+                        <option key={level} value={level}>
+                          {t(`readingLevels.${level}`)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
               </div>
-            </div>
 
-            {error && (
-              <div style={{ ...cardStyle, background: "rgba(255, 82, 82, 0.15)", border: "2px solid #ff5b5b" }}>
-                <p style={{ margin: 0, color: "#b10f0f", fontWeight: 700 }}>{error}</p>
+              <div style={cardStyle}>
+                <p style={{ margin: "0 0 12px", fontWeight: 800 }}>{t("form.howFeeling")}</p>
+                <textarea
+                  value={symptoms}
+                  onChange={(event) => setSymptoms(event.target.value)}
+                  placeholder={t("form.symptomsPlaceholder")}
+                  rows={4}
+                  style={{ ...inputStyle, resize: "vertical", lineHeight: "1.5" }}
+                  maxLength={1500}
+                />
+                <VoiceInput
+                  theme={theme}
+                  disabled={loading}
+                  onTranscript={(spoken) =>
+                    setSymptoms((current) => [current.trim(), spoken].filter(Boolean).join(" ").slice(0, 1500))
+                  }
+                />
+                <p id="feelings-label" style={{ margin: "12px 0 6px", fontWeight: 700 }}>
+                  {t("form.feelingsLabel")}
+                </p>
+                <div role="group" aria-labelledby="feelings-label" style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+                  {FEELINGS.map(({ id, emoji }) => {
+                    const selected = feelings.includes(id);
+                    return (
+                      <button
+                        key={id}
+                        type="button"
+                        aria-pressed={selected}
+                        onClick={() =>
+                          setFeelings((current) => (selected ? current.filter((feeling) => feeling !== id) : [...current, id]))
+                        }
+                        style={{
+                          display: "flex",
+                          alignItems: "center",
+                          gap: "4px",
+                          borderRadius: "999px",
+                          padding: "4px 10px",
+                          fontWeight: 700,
+                          cursor: "pointer",
+                          color: theme.text,
+                          border: `2px solid ${selected ? theme.primary : theme.border}`,
+                          background: selected ? theme.bubble : "transparent",
+                        }}
+                      >
+                        <span aria-hidden="true" style={{ fontSize: "1.3rem" }}>
+                          {emoji}
+                        </span>
+                        {t(`feelings.${id}`)}
+                      </button>
+                    );
+                  })}
+                </div>
+                <p style={{ margin: "8px 0 0", fontSize: "0.8rem", opacity: 0.75 }}>{t("form.detailsHint")}</p>
               </div>
-            )}
 
-            <div style={{ textAlign: "center" }}>
-              <button className="main-btn" type="button" onClick={runDiagnosis} disabled={loading} style={buttonStyle}>
-                {loading ? "Checking..." : name.trim() ? `Check ${name.trim()}'s Health` : "Check My Health"}
-              </button>
-              <p style={{ margin: "8px 0 0", fontSize: "0.75rem", opacity: 0.68 }}>
-                Educational use only. Always seek real medical care for concerning symptoms.
-              </p>
-            </div>
-          </>
-        ) : (
-          <div>
-            {triage && (
-              <div style={{ ...cardStyle, ...triageStyle(triage.level) }}>
-                <p style={{ margin: "0 0 6px", fontWeight: 800 }}>{triage.title || "Triage"}</p>
-                <p style={{ margin: 0, fontWeight: 700 }}>{triage.message}</p>
-                {triage.reasons?.length > 0 && (
-                  <ul style={{ margin: "8px 0 0", paddingLeft: "20px" }}>
-                    {triage.reasons.map((reason) => (
-                      <li key={reason}>{reason}</li>
-                    ))}
-                  </ul>
+              <div style={cardStyle}>
+                <label htmlFor="parent-notes" style={{ display: "block", margin: "0 0 12px", fontWeight: 800 }}>
+                  {t("form.parentTitle")}
+                </label>
+                <textarea
+                  id="parent-notes"
+                  value={parentNotes}
+                  onChange={(event) => setParentNotes(event.target.value)}
+                  placeholder={t("form.parentPlaceholder")}
+                  rows={3}
+                  style={{ ...inputStyle, resize: "vertical", lineHeight: "1.5" }}
+                  maxLength={1500}
+                />
+                <p style={{ margin: "8px 0 0", fontSize: "0.8rem", opacity: 0.75 }}>{t("form.parentHint")}</p>
+              </div>
+
+              <div style={cardStyle}>
+                <p style={{ margin: "0 0 12px", fontWeight: 800 }}>{t("form.uploadTitle")}</p>
+                <div
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => fileRef.current?.click()}
+                  onKeyDown={(event) => {
+                    if (event.key === "Enter" || event.key === " ") {
+                      event.preventDefault();
+                      fileRef.current?.click();
+                    }
+                  }}
+                  style={{
+                    border: `2px dashed ${theme.primary}`,
+                    borderRadius: "14px",
+                    padding: "18px",
+                    textAlign: "center",
+                    background: theme.bubble,
+                    cursor: "pointer",
+                  }}
+                >
+                  <input
+                    ref={fileRef}
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp,application/pdf,text/plain"
+                    onChange={handleFileUpload}
+                    style={{ display: "none" }}
+                  />
+                  {uploadedFile ? (
+                    <>
+                      {filePreview && (
+                        <img
+                          src={filePreview}
+                          alt={t("form.uploadPreview")}
+                          style={{ maxWidth: "100%", maxHeight: "190px", borderRadius: "10px", marginBottom: "8px" }}
+                        />
+                      )}
+                      <p style={{ margin: "0 0 6px", fontWeight: 700 }}>{t("form.uploaded", { fileName: uploadedFile.name })}</p>
+                      <p style={{ margin: "0 0 8px" }}>{isImage ? t("form.imageUploaded") : t("form.fileUploaded")}</p>
+                      <button
+                        type="button"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          clearUpload();
+                        }}
+                        style={{
+                          border: `1px solid ${theme.primary}`,
+                          background: "transparent",
+                          color: theme.primary,
+                          borderRadius: "999px",
+                          padding: "6px 10px",
+                          fontWeight: 700,
+                          cursor: "pointer",
+                        }}
+                      >
+                        {t("form.removeFile")}
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <p style={{ margin: "0 0 4px", fontWeight: 700 }}>{t("form.tapToUpload")}</p>
+                      <p style={{ margin: 0, fontSize: "0.86rem", opacity: 0.75 }}>{t("form.uploadHint", { maxMb: MAX_UPLOAD_MB })}</p>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {error && (
+                <div style={{ ...cardStyle, background: "rgba(255, 82, 82, 0.15)", border: "2px solid #ff5b5b" }}>
+                  <p style={{ margin: 0, color: "#b10f0f", fontWeight: 700 }}>{error}</p>
+                </div>
+              )}
+
+              <div style={{ textAlign: "center" }}>
+                <button className="main-btn" type="button" onClick={runDiagnosis} disabled={loading} style={buttonStyle}>
+                  {loading ? t("form.checking") : childName ? t("form.checkChild", { name: childName }) : t("form.checkMine")}
+                </button>
+                <p style={{ margin: "8px 0 0", fontSize: "0.75rem", opacity: 0.68 }}>{t("form.educationalOnly")}</p>
+                {!showHistory && (
+                  <button
+                    type="button"
+                    onClick={() => setShowHistory(true)}
+                    style={{
+                      marginTop: "10px",
+                      border: `1px solid ${theme.primary}`,
+                      background: "transparent",
+                      color: theme.primary,
+                      borderRadius: "999px",
+                      padding: "8px 14px",
+                      fontWeight: 700,
+                      cursor: "pointer",
+                    }}
+                  >
+                    {t("form.pastChecks")}
+                  </button>
                 )}
               </div>
-            )}
+            </>
+          ) : (
+            <div>
+              {triage?.level === "emergency" && triage.emergency && (
+                <EmergencyPanel key={handoff?.createdAt || "emergency"} guide={triage.emergency} />
+              )}
+              {triage?.crisis ? (
+                <CrisisPanel crisis={triage.crisis} />
+              ) : (
+                <>
+                  {triage && (
+                    <div style={{ ...cardStyle, ...triageStyle(triage.level) }}>
+                      <p style={{ margin: "0 0 6px", fontWeight: 800 }}>{triage.title || t("result.triage")}</p>
+                      <p style={{ margin: 0, fontWeight: 700 }}>{triage.message}</p>
+                      {triage.reasons?.length > 0 && (
+                        <ul style={{ margin: "8px 0 0", paddingLeft: "20px" }}>
+                          {triage.reasons.map((reason) => (
+                            <li key={reason}>{reason}</li>
+                          ))}
+                        </ul>
+                      )}
+                      {triage.source === "model" && (
+                        <p style={{ margin: "8px 0 0", fontSize: "0.95rem" }}>
+                          {t("result.raisedByModel", {
+                            level: triage.secondOpinion?.rulesLevel
+                              ? t(`levels.${triage.secondOpinion.rulesLevel}`)
+                              : t("result.lowerLevel"),
+                          })}
+                        </p>
+                      )}
+                      {measuredValues.length > 0 && (
+                        <p aria-label={t("result.measuredValues")} style={{ margin: "8px 0 0", fontSize: "0.95rem" }}>
+                          {measuredValues.map(([label, value]) => `${label}: ${value}`).join(" | ")}
+                        </p>
+                      )}
+                    </div>
+                  )}
 
-            <div style={{ ...cardStyle, border: `3px solid ${theme.primary}` }}>
-              <h2 style={{ margin: "0 0 10px", fontSize: "1.35rem" }}>Health Report {theme.emoji}</h2>
-              <p style={{ margin: "0 0 10px", fontWeight: 700 }}>
-                Language: {LANGUAGE_OPTIONS.find((option) => option.value === language)?.label || "English"} | Reading Level:{" "}
-                {READING_LEVEL_OPTIONS.find((option) => option.value === readingLevel)?.label || "Simple"}
-              </p>
-              <div
-                style={{
-                  background: theme.bubble,
-                  borderRadius: "14px",
-                  padding: "16px",
-                  whiteSpace: "pre-wrap",
-                  lineHeight: "1.6",
-                  fontWeight: 600,
-                }}
-              >
-                {result}
+                  <div style={{ ...cardStyle, border: `3px solid ${theme.primary}` }}>
+                    <h2 style={{ margin: "0 0 10px", fontSize: "1.35rem" }}>
+                      {t("result.healthReport")} {theme.emoji}
+                    </h2>
+                    <p style={{ margin: "0 0 10px", fontWeight: 700 }}>
+                      {t("result.settingsSummary", { language: languageLabel(language), readingLevel: readingLevelLabel(readingLevel) })}
+                    </p>
+                    {sections?.parentGuidance && (
+                      <AnswerTabs active={answerTab} onChange={setAnswerTab} childName={childName} theme={theme} />
+                    )}
+                    <ReadAloud
+                      theme={theme}
+                      text={
+                        sections?.parentGuidance && answerTab === "parent"
+                          ? parentGuidanceToSpeech(sections.parentGuidance, t)
+                          : sections
+                            ? sectionsToSpeech(sections, t)
+                            : result || ""
+                      }
+                      disabled={streaming}
+                    />
+                    {sections?.parentGuidance ? (
+                      <div
+                        role="tabpanel"
+                        id={`answer-panel-${answerTab}`}
+                        aria-labelledby={`answer-tab-${answerTab}`}
+                      >
+                        {answerTab === "parent" ? (
+                          <ParentGuidance guidance={sections.parentGuidance} theme={theme} />
+                        ) : (
+                          <DiagnosisSections sections={sections} theme={theme} />
+                        )}
+                      </div>
+                    ) : sections ? (
+                      <DiagnosisSections sections={sections} theme={theme} />
+                    ) : (
+                      <div
+                        style={{
+                          background: theme.bubble,
+                          borderRadius: "14px",
+                          padding: "16px",
+                          whiteSpace: "pre-wrap",
+                          lineHeight: "1.6",
+                          fontWeight: 600,
+                        }}
+                      >
+                        {result}
+                        {streaming && (
+                          <span role="status" style={{ display: "block", marginTop: "8px", opacity: 0.7 }}>
+                            {t("result.talking", { name: mascot.name })}
+                          </span>
+                        )}
+                      </div>
+                    )}
+                    {labs && <LabResults labs={labs} theme={theme} />}
+                  </div>
+
+                  {dosing?.checks?.length > 0 && !streaming && (
+                    <div style={cardStyle}>
+                      <DoseCheck
+                        key={historyId || handoff?.createdAt}
+                        dosing={dosing}
+                        symptoms={[handoff?.symptoms, handoff?.parentNotes].filter(Boolean).join(". ")}
+                        age={selectedProfile ? "" : age.trim()}
+                        profileId={selectedProfile?.id}
+                        mascotName={mascot.name}
+                        theme={theme}
+                        buttonStyle={buttonStyle}
+                      />
+                    </div>
+                  )}
+
+                  {plan?.items?.length > 0 && !streaming && (
+                    <div style={cardStyle}>
+                      <CarePlan
+                        key={plan.createdAt}
+                        plan={plan}
+                        historyId={historyId}
+                        profileId={selectedProfile?.id}
+                        theme={theme}
+                        buttonStyle={buttonStyle}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div style={{ ...cardStyle, background: "rgba(255, 205, 90, 0.22)", border: "2px solid #ffb53a" }}>
+                <p style={{ margin: 0, fontWeight: 700 }}>{t("result.reminder")}</p>
               </div>
-            </div>
 
-            <div style={{ ...cardStyle, background: "rgba(255, 205, 90, 0.22)", border: "2px solid #ffb53a" }}>
-              <p style={{ margin: 0, fontWeight: 700 }}>
-                Reminder: This tool is educational only and is not a medical diagnosis.
-              </p>
-            </div>
+              {error && (
+                <div style={{ ...cardStyle, background: "rgba(255, 82, 82, 0.15)", border: "2px solid #ff5b5b" }}>
+                  <p style={{ margin: 0, color: "#b10f0f", fontWeight: 700 }}>{error}</p>
+                </div>
+              )}
 
-            <div style={{ display: "flex", flexWrap: "wrap", gap: "10px", justifyContent: "center" }}>
-              <button type="button" style={buttonStyle} onClick={printSummary}>
-                Print Summary For Doctor
-              </button>
-              <button type="button" style={buttonStyle} onClick={reset}>
-                Check Again
-              </button>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "10px", justifyContent: "center" }}>
+                <button type="button" style={buttonStyle} onClick={downloadPdf} disabled={streaming || downloadingPdf}>
+                  {downloadingPdf ? t("result.preparingPdf") : t("result.downloadPdf")}
+                </button>
+                <button type="button" style={buttonStyle} onClick={printSummary} disabled={streaming}>
+                  {t("result.printSummary")}
+                </button>
+                <button type="button" style={buttonStyle} onClick={reset}>
+                  {t("result.checkAgain")}
+                </button>
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        <p style={{ textAlign: "center", margin: "18px 0 4px", fontSize: "0.75rem", opacity: 0.6 }}>
-          MediKids {theme.emoji} | Powered by AI | Made with care for kids
-        </p>
+          <p style={{ textAlign: "center", margin: "18px 0 4px", fontSize: "0.75rem", opacity: 0.6 }}>
+            {t("app.footer", { emoji: theme.emoji })}
+          </p>
+        </div>
       </div>
-    </div>
+    </I18nContext.Provider>
   );
 }
\ No newline at end of file
@@ -1,11 +1,12 @@
 import { afterEach, describe, expect, it, vi } from "vitest";
-import { cleanup, render, screen } from "@testing-library/react";
+import { cleanup, render, screen, waitFor, within } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import App from "./App";
 
 afterEach(() => {
   cleanup();
   vi.restoreAllMocks();
+  vi.unstubAllGlobals();
 });
 
 describe("App", () => {
@@ -18,6 +19,23 @@ describe("App", () => {
     expect(await screen.findByText(/please tell me how you're feeling first/i)).toBeInTheDocument();
   });
 
+  it("switches the whole interface with the language picker, right-to-left for Arabic", async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(screen.getByLabelText("Language"), "es");
+    expect(screen.getByRole("button", { name: "Revisar mi salud" })).toBeInTheDocument();
+    expect(screen.getByLabelText("Nivel de lectura")).toHaveDisplayValue("Sencillo");
+    await user.click(screen.getByRole("button", { name: "Revisar mi salud" }));
+    expect(await screen.findByText("Primero cuéntame cómo te sientes.")).toBeInTheDocument();
+    expect(document.documentElement).toHaveAttribute("lang", "es");
+
+    await user.selectOptions(screen.getByLabelText("Idioma"), "ar");
+    expect(screen.getByRole("button", { name: "افحص صحتي" })).toBeInTheDocument();
+    expect(document.documentElement).toHaveAttribute("dir", "rtl");
+    expect(screen.getByRole("option", { name: "Português" })).toBeInTheDocument();
+  });
+
   it("submits symptoms and renders diagnosis result", async () => {
     const user = userEvent.setup();
     const fetchMock = vi.spyOn(globalThis, "fetch").mockResolvedValue({
@@ -45,7 +63,7 @@ describe("App", () => {
     await user.click(screen.getByRole("button", { name: /check my health/i }));
 
     expect(fetchMock).toHaveBeenCalledWith(
-      "/api/diagnose",
+      "/api/diagnose/stream",
       expect.objectContaining({
         method: "POST",
       }),
@@ -59,6 +77,76 @@ describe("App", () => {
     expect(await screen.findByRole("button", { name: /print summary for doctor/i })).toBeInTheDocument();
   });
 
+  it("fills symptoms by voice and reads the answer aloud in the chosen language", async () => {
+    const user = userEvent.setup();
+    const recognitions = [];
+    vi.stubGlobal(
+      "SpeechRecognition",
+      class {
+        constructor() {
+          this.start = vi.fn();
+          this.stop = vi.fn(() => this.onend());
+          recognitions.push(this);
+        }
+      },
+    );
+    const synthesis = {
+      getVoices: () => [
+        { voiceURI: "en-us", name: "Sam", lang: "en-US", default: true },
+        { voiceURI: "en-gb", name: "Ada", lang: "en-GB", default: false },
+        { voiceURI: "fr-fr", name: "Amelie", lang: "fr-FR", default: false },
+      ],
+      speak: vi.fn(),
+      pause: vi.fn(),
+      resume: vi.fn(),
+      cancel: vi.fn(),
+    };
+    vi.stubGlobal("speechSynthesis", synthesis);
+    vi.stubGlobal(
+      "SpeechSynthesisUtterance",
+      class {
+        constructor(text) {
+          this.text = text;
+        }
+      },
+    );
+    vi.spyOn(globalThis, "fetch").mockResolvedValue({
+      ok: true,
+      json: async () => ({ result: "Mock diagnosis response", triage: { level: "routine", message: "No urgent flags", reasons: [] } }),
+    });
+
+    render(<App />);
+    const symptomsBox = screen.getByPlaceholderText(/tell dr\. buddy everything/i);
+    await user.type(symptomsBox, "Since yesterday");
+    await user.click(screen.getByRole("button", { name: /talk instead of typing/i }));
+    expect(recognitions[0].lang).toBe("en");
+    expect(screen.getByRole("button", { name: /listening/i })).toHaveAttribute("aria-pressed", "true");
+    recognitions[0].onresult({ results: [[{ transcript: "my ear hurts" }]] });
+    await user.click(screen.getByRole("button", { name: /listening/i }));
+    expect(symptomsBox).toHaveValue("Since yesterday my ear hurts");
+
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+    expect(await screen.findByText("Mock diagnosis response")).toBeInTheDocument();
+    const voiceSelect = screen.getByLabelText("Voice");
+    expect(Array.from(voiceSelect.options).map((option) => option.textContent)).toEqual([
+      "Default voice",
+      "Sam (en-US)",
+      "Ada (en-GB)",
+    ]);
+    await user.selectOptions(voiceSelect, "en-gb");
+    await user.click(screen.getByRole("button", { name: /read it to me/i }));
+    const utterance = synthesis.speak.mock.calls[0][0];
+    expect(utterance).toMatchObject({ text: "Mock diagnosis response", lang: "en-GB" });
+
+    await user.click(screen.getByRole("button", { name: "Pause" }));
+    expect(synthesis.pause).toHaveBeenCalled();
+    await user.click(screen.getByRole("button", { name: "Keep reading" }));
+    expect(synthesis.resume).toHaveBeenCalled();
+    await user.click(screen.getByRole("button", { name: "Stop" }));
+    expect(synthesis.cancel).toHaveBeenCalled();
+    expect(screen.getByRole("button", { name: /read it to me/i })).toBeInTheDocument();
+  });
+
   it("shows triage warning when API returns emergency level", async () => {
     const user = userEvent.setup();
     vi.spyOn(globalThis, "fetch").mockResolvedValue({
@@ -70,6 +158,8 @@ describe("App", () => {
           title: "Emergency warning",
           message: "Seek emergency care now.",
           reasons: ["Breathing difficulty"],
+          ruleIds: ["breathing-difficulty"],
+          vitals: { temperatureC: 40, feverDurationHours: 96, durationHours: 96, vomitingEpisodes: null, score: 3 },
         },
         handoff: {
           createdAt: "2026-02-27T00:00:00.000Z",
@@ -88,5 +178,723 @@ describe("App", () => {
 
     expect(await screen.findByText(/emergency warning/i)).toBeInTheDocument();
     expect(await screen.findByText(/breathing difficulty/i)).toBeInTheDocument();
+    expect(screen.getByLabelText(/measured values/i)).toHaveTextContent(
+      "Temperature: 40 °C (104 °F) | Fever Duration: 4 days",
+    );
+  });
+
+  it("shows the emergency screen with a call button, first aid and a checklist before the AI text", async () => {
+    const user = userEvent.setup();
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        result: "Dr. Buddy explanation",
+        triage: {
+          level: "emergency",
+          title: "Emergency warning",
+          message: "Seek emergency care now.",
+          reasons: ["Possible seizure"],
+          ruleIds: ["seizure"],
+          emergency: {
+            country: "US",
+            number: "911",
+            title: "Get emergency help now",
+            callLabel: "Call 911",
+            firstAidTitle: "What to do now",
+            checklistTitle: "While help is on the way",
+            firstAid: [{ id: "seizure", title: "Seizure", steps: ["Do not put anything in their mouth."] }],
+            checklist: ["Unlock the front door and turn on an outside light."],
+          },
+        },
+      }),
+    });
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "He is having a seizure");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    const panel = await screen.findByRole("alert", { name: /emergency help/i });
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).country).toBe(navigator.language.split("-")[1]);
+    expect(screen.getByRole("link", { name: "Call 911" })).toHaveAttribute("href", "tel:911");
+    expect(panel).toHaveTextContent("Do not put anything in their mouth.");
+    expect(panel.compareDocumentPosition(screen.getByText("Dr. Buddy explanation")) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+
+    const item = screen.getByRole("checkbox", { name: /unlock the front door/i });
+    await user.click(item);
+    expect(item).toBeChecked();
+  });
+
+  it("shows crisis lines and a parent panel instead of an AI answer on the crisis pathway", async () => {
+    const user = userEvent.setup();
+    vi.spyOn(globalThis, "fetch").mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        result: "Thank you for telling us how you feel.",
+        sections: null,
+        triage: {
+          level: "emergency",
+          title: "Emergency warning",
+          message: "Seek emergency care now.",
+          reasons: ["Mental health emergency signs"],
+          pathway: "crisis",
+          crisis: {
+            audience: "child",
+            title: "You are not alone",
+            message: "Thank you for telling us how you feel.",
+            resourcesTitle: "Talk to someone now",
+            resources: [{ name: "988 Suicide & Crisis Lifeline", phone: "988", sms: "988", url: "https://988lifeline.org" }],
+            emergencyNumber: "911",
+            immediateDanger: "If anyone is in immediate danger, call 911 now.",
+            parentsTitle: "For parents and caregivers",
+            parentSteps: ["Stay with your child and do not leave them alone right now."],
+          },
+        },
+      }),
+    });
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "I want to die");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    expect(await screen.findByRole("heading", { name: "You are not alone" })).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "988" })).toHaveAttribute("href", "tel:988");
+    expect(screen.getByRole("link", { name: "SMS 988" })).toHaveAttribute("href", "sms:988");
+    expect(screen.getByRole("link", { name: /immediate danger/i })).toHaveAttribute("href", "tel:911");
+    expect(screen.getByRole("region", { name: "For parents" })).toHaveTextContent("do not leave them alone");
+    expect(screen.queryByText(/health report/i)).not.toBeInTheDocument();
+    expect(screen.queryByText("Emergency warning")).not.toBeInTheDocument();
+  });
+
+  it("renders streamed tokens as they arrive", async () => {
+    const user = userEvent.setup();
+    const encoder = new TextEncoder();
+    const events = [
+      `event: triage\ndata: ${JSON.stringify({
+        triage: { level: "routine", title: "Monitor", message: "No urgent flags", reasons: [] },
+        handoff: {
+          createdAt: "2026-02-27T00:00:00.000Z",
+          childName: "Mia",
+          childAge: "8 years old",
+          symptoms: "My knee is a bit sore.",
+          language: "en",
+          readingLevel: "simple",
+        },
+      })}\n\n`,
+      `event: provider\ndata: ${JSON.stringify({ provider: "gemini" })}\n\n`,
+      `event: token\ndata: ${JSON.stringify({ text: "Your knee " })}\n\n`,
+      `event: token\ndata: ${JSON.stringify({ text: "needs rest." })}\n\n`,
+      `event: done\ndata: ${JSON.stringify({ provider: "gemini", result: "Your knee needs rest." })}\n\n`,
+    ];
+    const body = new ReadableStream({
+      start(controller) {
+        events.forEach((event) => controller.enqueue(encoder.encode(event)));
+        controller.close();
+      },
+    });
+    vi.spyOn(globalThis, "fetch").mockImplementation(async (url) =>
+      url === "/api/sessions"
+        ? { ok: true, json: async () => ({ sessionId: null, status: "ready", questionsTotal: 0 }) }
+        : new Response(body, { status: 200, headers: { "content-type": "text/event-stream" } }),
+    );
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "My knee is a bit sore.");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    expect(await screen.findByText("Your knee needs rest.")).toBeInTheDocument();
+    expect(screen.getByText("Monitor")).toBeInTheDocument();
+    expect(screen.queryByText(/is talking/i)).not.toBeInTheDocument();
+  });
+
+  it("renders structured sections separately when the API returns them", async () => {
+    const user = userEvent.setup();
+    vi.spyOn(globalThis, "fetch").mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        result: "1. What might be happening\nA small cold.",
+        sections: {
+          whatMightBeHappening: "A small cold.",
+          homeCare: ["Drink water", "Rest"],
+          seeADoctor: { urgency: "soon", advice: "Visit a doctor if the fever stays." },
+          encouragement: "You are brave!",
+        },
+        triage: { level: "caution", title: "Doctor follow-up recommended", message: "Check soon", reasons: [] },
+      }),
+    });
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "I have a runny nose.");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    expect(await screen.findByRole("heading", { name: "What can help at home" })).toBeInTheDocument();
+    expect(screen.getByText("Drink water")).toBeInTheDocument();
+    expect(screen.getByText("See a doctor soon")).toBeInTheDocument();
+    expect(screen.getByText("You are brave!")).toBeInTheDocument();
+  });
+
+  it("shows the child's answer and the parent guidance in separate tabs", async () => {
+    const user = userEvent.setup();
+    vi.spyOn(globalThis, "fetch").mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        result: "1. What might be happening\nA small cold.",
+        sections: {
+          whatMightBeHappening: "A small cold.",
+          homeCare: ["Drink water"],
+          seeADoctor: { urgency: "monitor", advice: "Tell a grown-up if you feel worse." },
+          encouragement: "You are brave!",
+          parentGuidance: {
+            summary: "Most likely a viral cold that should ease within a week.",
+            monitoring: ["Check her temperature before bed and once overnight"],
+            escalation: ["Call the clinic if the fever lasts more than 3 days"],
+          },
+        },
+        triage: { level: "routine", message: "No urgent flags", reasons: [] },
+      }),
+    });
+    const popup = { document: { write: vi.fn(), close: vi.fn() }, focus: vi.fn(), print: vi.fn() };
+    vi.spyOn(window, "open").mockReturnValue(popup);
+
+    render(<App />);
+    await user.type(screen.getByLabelText("Name"), "Ana");
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "I have a runny nose.");
+    await user.click(screen.getByRole("button", { name: /check ana's health/i }));
+
+    const childTab = await screen.findByRole("tab", { name: "For Ana" });
+    expect(childTab).toHaveAttribute("aria-selected", "true");
+    expect(screen.getByRole("tabpanel")).toHaveTextContent("You are brave!");
+    expect(screen.queryByText("Check her temperature before bed and once overnight")).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("tab", { name: "For grown-ups" }));
+    const panel = screen.getByRole("tabpanel", { name: "For grown-ups" });
+    expect(panel).toHaveTextContent("Most likely a viral cold");
+    expect(within(panel).getByRole("heading", { name: "When to get help" })).toBeInTheDocument();
+    expect(panel).toHaveTextContent("Call the clinic if the fever lasts more than 3 days");
+    expect(panel).not.toHaveTextContent("You are brave!");
+
+    childTab.focus();
+    await user.keyboard("{ArrowRight}");
+    expect(screen.getByRole("tab", { name: "For grown-ups" })).toHaveAttribute("aria-selected", "true");
+    await user.keyboard("{ArrowLeft}");
+    expect(screen.getByRole("tab", { name: "For Ana" })).toHaveFocus();
+
+    await user.click(screen.getByRole("button", { name: "Print Summary For Doctor" }));
+    const printed = popup.document.write.mock.calls[0][0];
+    expect(printed).toContain("You are brave!");
+    expect(printed).toContain("<h2>Guidance for Parents</h2>");
+    expect(printed).toContain("<li>Check her temperature before bed and once overnight</li>");
+  });
+
+  it("shows extracted lab values and highlights out-of-range rows", async () => {
+    const user = userEvent.setup();
+    vi.spyOn(globalThis, "fetch").mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        result: "Your blood test was checked.",
+        labs: {
+          status: "ok",
+          message: "",
+          confidence: 0.9,
+          rows: [
+            {
+              analyte: "Hemoglobin",
+              value: "9.8",
+              unit: "g/dL",
+              referenceRange: "11.5-15.5",
+              flag: "low",
+              confidence: 0.95,
+              explanation: "This number is a little lower than usual.",
+            },
+            { analyte: "Platelets", value: "250", unit: "10^9/L", referenceRange: "150-400", flag: "normal", confidence: 0.9 },
+          ],
+        },
+        triage: { level: "routine", title: "Monitor", message: "No urgent flags", reasons: [] },
+      }),
+    });
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "Here are my blood test results.");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    const labTable = await screen.findByRole("region", { name: "Lab results" });
+    expect(labTable).toHaveTextContent("Hemoglobin");
+    expect(labTable).toHaveTextContent("This number is a little lower than usual.");
+    expect(screen.getByText("Low")).toBeInTheDocument();
+    expect(screen.getByText("Normal")).toBeInTheDocument();
+  });
+
+  it("downloads the doctor handoff as a server-rendered PDF", async () => {
+    const user = userEvent.setup();
+    const diagnosis = {
+      result: "Rest and drink water.",
+      triage: { level: "routine", title: "Monitor", message: "No urgent flags", reasons: [] },
+      handoff: { childName: "Mia", childAge: "8 years old", symptoms: "mild headache", language: "en", readingLevel: "simple" },
+      historyId: null,
+    };
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => {
+      if (url === "/api/handoff.pdf") {
+        return { ok: true, blob: async () => new Blob(["%PDF-1.4"], { type: "application/pdf" }) };
+      }
+      return { ok: true, json: async () => (url === "/api/sessions" ? { status: "ready" } : diagnosis) };
+    });
+    URL.createObjectURL = vi.fn(() => "blob:handoff");
+    URL.revokeObjectURL = vi.fn();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "I have a mild headache.");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+    await user.click(await screen.findByRole("button", { name: /download pdf for doctor/i }));
+
+    const pdfCall = fetchMock.mock.calls.find(([url]) => url === "/api/handoff.pdf");
+    expect(JSON.parse(pdfCall[1].body)).toMatchObject({
+      result: "Rest and drink water.",
+      handoff: { childName: "Mia", symptoms: "mild headache" },
+    });
+    expect(clickSpy).toHaveBeenCalled();
+    expect(URL.createObjectURL).toHaveBeenCalled();
+  });
+
+  it("opens the print summary instead of the PDF for checks in Arabic", async () => {
+    const user = userEvent.setup();
+    const diagnosis = {
+      result: "ارتح واشرب الماء.",
+      triage: { level: "routine", title: "Monitor", message: "No urgent flags", reasons: [] },
+      handoff: { childName: "مريم", childAge: "8", symptoms: "صداع خفيف", language: "ar", readingLevel: "simple" },
+      historyId: null,
+    };
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockResolvedValue({
+      ok: true,
+      json: async () => diagnosis,
+    });
+    const popup = { document: { write: vi.fn(), close: vi.fn() }, focus: vi.fn(), print: vi.fn() };
+    const openSpy = vi.spyOn(window, "open").mockReturnValue(popup);
+
+    render(<App />);
+    await user.selectOptions(screen.getByLabelText("Language"), "ar");
+    await user.type(screen.getByPlaceholderText(/أخبر د\. بادي بكل شيء/), "عندي صداع خفيف.");
+    await user.click(screen.getByRole("button", { name: "افحص صحتي" }));
+    await user.click(await screen.findByRole("button", { name: "تنزيل ملف PDF للطبيب" }));
+
+    expect(fetchMock.mock.calls.some(([url]) => String(url).includes("handoff"))).toBe(false);
+    expect(openSpy).toHaveBeenCalled();
+    expect(popup.document.write.mock.calls[0][0]).toContain("ملخص KidDoc للطبيب");
+    expect(popup.print).toHaveBeenCalled();
+  });
+
+  it("shows the care plan, turns on reminders and exports it to a calendar", async () => {
+    const user = userEvent.setup();
+    const soon = new Date(Date.now() + 3_600_000).toISOString();
+    const plan = {
+      createdAt: "2026-05-01T08:00:00.000Z",
+      urgency: "monitor",
+      items: [
+        {
+          id: "hydration",
+          kind: "hydration",
+          title: "Time for a drink of water",
+          detail: "Drink lots of water.",
+          startsAt: soon,
+          everyHours: 2,
+          until: new Date(Date.now() + 86_400_000).toISOString(),
+        },
+        { id: "doctor", kind: "doctor", title: "Not better by now? See a doctor", detail: "", startsAt: soon, everyHours: null, until: null },
+      ],
+    };
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url, options = {}) => {
+      if (url === "/api/reminders.ics") {
+        return { ok: true, blob: async () => new Blob(["BEGIN:VCALENDAR"], { type: "text/calendar" }) };
+      }
+      if (url === "/api/reminders" && options.method === "POST") {
+        // Due right away, so the test sees the notification.
+        const body = JSON.parse(options.body);
+        return { ok: true, json: async () => ({ ...body, id: `saved-${body.kind}`, startsAt: new Date(Date.now() + 20).toISOString() }) };
+      }
+      return {
+        ok: true,
+        json: async () =>
+          url === "/api/sessions"
+            ? { status: "ready" }
+            : { result: "Drink lots of water.", triage: { level: "routine", message: "No urgent flags", reasons: [] }, plan },
+      };
+    });
+    URL.createObjectURL = vi.fn(() => "blob:plan");
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    const Notification = vi.fn();
+    Notification.permission = "default";
+    Notification.requestPermission = vi.fn(async () => "granted");
+    vi.stubGlobal("Notification", Notification);
+    const registration = { showNotification: vi.fn() };
+    const serviceWorker = { register: vi.fn(async () => registration), ready: Promise.resolve(registration) };
+    Object.defineProperty(navigator, "serviceWorker", { value: serviceWorker, configurable: true });
+
+    try {
+      render(<App />);
+      await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "I have a cold.");
+      await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+      const carePlan = await screen.findByRole("region", { name: "Care plan" });
+      expect(carePlan).toHaveTextContent("Time for a drink of water");
+      expect(carePlan).toHaveTextContent("Every 2 hours from");
+
+      await user.click(screen.getByRole("button", { name: /add to calendar/i }));
+      const icsCall = fetchMock.mock.calls.find(([url]) => url === "/api/reminders.ics");
+      expect(JSON.parse(icsCall[1].body).reminders.map((reminder) => reminder.kind)).toEqual(["hydration", "doctor"]);
+
+      await user.click(screen.getByRole("button", { name: "Remind me" }));
+      expect(await screen.findByText(/reminders are on/i)).toBeInTheDocument();
+      expect(serviceWorker.register).toHaveBeenCalledWith("/reminder-sw.js");
+      const saved = fetchMock.mock.calls.filter(([url, options]) => url === "/api/reminders" && options.method === "POST");
+      expect(saved.map(([, options]) => JSON.parse(options.body).title)).toEqual([
+        "Time for a drink of water",
+        "Not better by now? See a doctor",
+      ]);
+      await waitFor(() => expect(registration.showNotification).toHaveBeenCalledTimes(2));
+      expect(registration.showNotification).toHaveBeenCalledWith("Time for a drink of water", {
+        body: "Drink lots of water.",
+        tag: "saved-hydration",
+        data: { id: "saved-hydration" },
+      });
+
+      await user.click(screen.getByRole("button", { name: "Stop reminders" }));
+      expect(fetchMock).toHaveBeenCalledWith("/api/reminders/saved-hydration", {
+        method: "DELETE",
+        headers: { "X-Family-Token": expect.any(String) },
+      });
+      expect(screen.getByRole("button", { name: "Remind me" })).toBeInTheDocument();
+    } finally {
+      delete navigator.serviceWorker;
+    }
+  });
+
+  it("only schedules saved reminders for the chosen child", async () => {
+    const user = userEvent.setup();
+    const reminder = (id, fields) => ({ id, kind: "hydration", title: id, detail: "", everyHours: null, until: null, ...fields });
+    const dueSoon = () => new Date(Date.now() + 20).toISOString();
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => {
+        if (url === "/api/profiles") {
+          return { items: [{ id: "profile-1", name: "Leo", dateOfBirth: "2019-05-01", allergies: [], chronicConditions: [], medications: [] }] };
+        }
+        if (url === "/api/reminders") {
+          return { items: [reminder("leo-early", { profileId: "profile-1", startsAt: dueSoon() })] };
+        }
+        return { items: [reminder("leo-water", { profileId: "profile-1", startsAt: dueSoon() })] };
+      },
+    }));
+    const Notification = vi.fn();
+    Notification.permission = "granted";
+    vi.stubGlobal("Notification", Notification);
+    const registration = { showNotification: vi.fn() };
+    const serviceWorker = { register: vi.fn(async () => registration), ready: Promise.resolve(registration) };
+    Object.defineProperty(navigator, "serviceWorker", { value: serviceWorker, configurable: true });
+
+    try {
+      render(<App />);
+      await waitFor(() => expect(fetchMock).toHaveBeenCalledWith("/api/reminders", { headers: { "X-Family-Token": expect.any(String) } }));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(registration.showNotification).not.toHaveBeenCalled();
+
+      await user.click(screen.getByRole("button", { name: /saved children/i }));
+      await user.click(await screen.findByRole("button", { name: "Use Leo" }));
+
+      await waitFor(() => expect(registration.showNotification).toHaveBeenCalledTimes(1));
+      expect(fetchMock).toHaveBeenCalledWith("/api/reminders?profileId=profile-1", { headers: { "X-Family-Token": expect.any(String) } });
+      expect(registration.showNotification).toHaveBeenCalledWith("leo-water", expect.objectContaining({ tag: "leo-water" }));
+    } finally {
+      delete navigator.serviceWorker;
+    }
+  });
+
+  it("shows checked medicine doses and re-checks them with the child's weight", async () => {
+    const user = userEvent.setup();
+    const dose = (mg, basis) => ({
+      mg,
+      basis,
+      everyHours: 6,
+      maxDosesPerDay: 4,
+      maxMgPerDay: mg * 4,
+      amounts: [{ formulation: "ibuprofenLiquid", label: "children's liquid (100 mg in 5 mL)", ml: mg / 20 }],
+    });
+    const check = (mg, basis, reasons) => ({ name: "ibuprofen", medicine: "ibuprofen", label: "Ibuprofen", status: "ok", reasons, dose: dose(mg, basis) });
+    const byAge = { code: "byAge", message: "This dose is by age. The child's weight gives a more exact dose." };
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => ({
+      ok: true,
+      json: async () =>
+        url === "/api/sessions"
+          ? { status: "ready" }
+          : url === "/api/dosing"
+            ? { reviewedAt: "2026-10-19", checks: [check(150, "weight", [])], disclaimer: "Always read the label." }
+            : {
+                result: "Rest and ask a grown-up about medicine.",
+                triage: { level: "routine", message: "No urgent flags", reasons: [] },
+                dosing: { reviewedAt: "2026-10-19", checks: [check(100, "age", [byAge])], disclaimer: "Always read the label." },
+              },
+    }));
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "Fever. Can I have ibuprofen?");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    const doses = await screen.findByRole("region", { name: "Medicine dose check" });
+    expect(doses).toHaveTextContent("Ibuprofen OK to give");
+    expect(doses).toHaveTextContent("100 mg every 6 hours");
+    expect(doses).toHaveTextContent("5 mL of children's liquid (100 mg in 5 mL)");
+    expect(doses).toHaveTextContent("No more than 4 doses (400 mg) in 24 hours.");
+    expect(doses).toHaveTextContent("This dose is by age.");
+    expect(doses).toHaveTextContent("never from Dr. Buddy");
+
+    await user.click(screen.getByRole("button", { name: "Check dose" }));
+    expect(screen.getByRole("alert")).toHaveTextContent("Enter a weight between 2 and 150 kg.");
+
+    await user.type(screen.getByLabelText("Child's weight (kg)"), "15,5");
+    await user.click(screen.getByRole("button", { name: "Check dose" }));
+    expect(await screen.findByText("150 mg every 6 hours")).toBeInTheDocument();
+    const dosingCall = fetchMock.mock.calls.find(([url]) => url === "/api/dosing");
+    expect(JSON.parse(dosingCall[1].body)).toEqual({
+      medicines: ["ibuprofen"],
+      weightKg: 15.5,
+      symptoms: "Fever. Can I have ibuprofen?",
+      language: "en",
+    });
+    expect(doses).not.toHaveTextContent("This dose is by age.");
+  });
+
+  it("lists past checks and reopens one from the timeline", async () => {
+    const user = userEvent.setup();
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => {
+      if (url === "/api/history") {
+        return {
+          ok: true,
+          json: async () => ({
+            items: [
+              {
+                id: "abc",
+                createdAt: "2026-02-27T00:00:00.000Z",
+                childName: "Mia",
+                childAge: "8 years old",
+                symptoms: "Sore throat",
+                triageLevel: "caution",
+                provider: "gemini",
+              },
+            ],
+          }),
+        };
+      }
+      return {
+        ok: true,
+        json: async () => ({
+          id: "abc",
+          createdAt: "2026-02-27T00:00:00.000Z",
+          result: "Saved explanation",
+          sections: null,
+          triage: { level: "caution", title: "Doctor follow-up recommended", message: "Check soon", reasons: [] },
+          handoff: { childName: "Mia", childAge: "8 years old", symptoms: "Sore throat", language: "en" },
+        }),
+      };
+    });
+
+    render(<App />);
+    await user.click(screen.getByRole("button", { name: /past checks/i }));
+    expect(await screen.findByText("Sore throat")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Open" }));
+
+    expect(await screen.findByText("Saved explanation")).toBeInTheDocument();
+    // Both requests carry this browser's family token, so only its own checks come back.
+    const token = fetchMock.mock.calls.find(([url]) => url === "/api/history")[1].headers["X-Family-Token"];
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(fetchMock).toHaveBeenLastCalledWith("/api/history/abc", { headers: { "X-Family-Token": token } });
+  });
+
+  it("sends the selected child profile with the diagnosis", async () => {
+    const user = userEvent.setup();
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => {
+      if (url === "/api/profiles") {
+        return {
+          ok: true,
+          json: async () => ({
+            items: [
+              {
+                id: "profile-1",
+                name: "Leo",
+                dateOfBirth: "2019-05-01",
+                allergies: ["penicillin"],
+                chronicConditions: ["asthma"],
+                medications: [],
+                age: { years: 6, months: 80, text: "6 years old" },
+              },
+            ],
+          }),
+        };
+      }
+      return {
+        ok: true,
+        json: async () => ({
+          result: "Profile aware response",
+          triage: { level: "routine", title: "Monitor", message: "No urgent flags", reasons: [] },
+        }),
+      };
+    });
+
+    render(<App />);
+    await user.click(screen.getByRole("button", { name: /saved children/i }));
+    await user.click(await screen.findByRole("button", { name: "Use Leo" }));
+
+    expect(screen.getByText("Checking for Leo")).toBeInTheDocument();
+    expect(screen.getByText(/Allergies: penicillin/)).toBeInTheDocument();
+
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "I keep coughing.");
+    await user.click(screen.getByRole("button", { name: /check leo's health/i }));
+
+    expect(await screen.findByText("Profile aware response")).toBeInTheDocument();
+    const payload = JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+    expect(payload.profileId).toBe("profile-1");
+    expect(payload.name).toBe("");
+  });
+
+  it("sends the child's words, feelings and the parent's notes separately and prints both", async () => {
+    const user = userEvent.setup();
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url, options) => ({
+      ok: true,
+      json: async () =>
+        url === "/api/sessions"
+          ? { status: "ready" }
+          : {
+              result: "Rest and sip water.",
+              triage: { level: "caution", message: "Check soon", reasons: [] },
+              handoff: { ...JSON.parse(options.body), childName: "Mia", childAge: "7 years old", createdAt: "2026-03-10T08:00:00.000Z" },
+            },
+    }));
+    const popup = { document: { write: vi.fn(), close: vi.fn() }, focus: vi.fn(), print: vi.fn() };
+    vi.spyOn(window, "open").mockReturnValue(popup);
+
+    render(<App />);
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+    expect(screen.getByText("Please tell me how you're feeling first.")).toBeInTheDocument();
+
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "My ears hurt");
+    await user.click(screen.getByRole("button", { name: "Sore" }));
+    await user.click(screen.getByRole("button", { name: "Scared" }));
+    await user.click(screen.getByRole("button", { name: "Sore" }));
+    expect(screen.getByRole("button", { name: "Scared" })).toHaveAttribute("aria-pressed", "true");
+    await user.type(screen.getByLabelText("For grown-ups: what have you noticed?"), "Pulling at her left ear since Sunday");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    expect(await screen.findByText("Rest and sip water.")).toBeInTheDocument();
+    const payload = JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+    expect(payload).toMatchObject({ symptoms: "My ears hurt", feelings: ["scared"], parentNotes: "Pulling at her left ear since Sunday" });
+
+    await user.click(screen.getByRole("button", { name: "Print Summary For Doctor" }));
+    const printed = popup.document.write.mock.calls[0][0];
+    expect(printed).toMatch(/<h3>In the Child&#39;s Words<\/h3>\s*<pre>My ears hurt<\/pre>/);
+    expect(printed).toContain("<strong>Feelings:</strong> Scared");
+    expect(printed).toContain("<h3>Parent&#39;s Observations</h3><pre>Pulling at her left ear since Sunday</pre>");
+  });
+
+  it("charts the child's symptom diary and adds entries with the faces scale", async () => {
+    const user = userEvent.setup();
+    const entries = [
+      { id: "d1", profileId: "profile-1", recordedAt: "2026-03-09T08:00:00.000Z", temperatureC: 38.4, painScore: 4, fluidsMl: null, sleepHours: null, note: "" },
+      { id: "d2", profileId: "profile-1", recordedAt: "2026-03-10T08:00:00.000Z", temperatureC: 39.2, painScore: 6, fluidsMl: 300, sleepHours: null, note: "Tired" },
+    ];
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url, options = {}) => {
+      if (url === "/api/profiles") {
+        return {
+          ok: true,
+          json: async () => ({ items: [{ id: "profile-1", name: "Leo", allergies: [], chronicConditions: [], medications: [], age: null }] }),
+        };
+      }
+      if (url === "/api/diary" && options.method === "POST") {
+        const entry = { id: "d3", fluidsMl: null, sleepHours: null, note: "", ...JSON.parse(options.body) };
+        entries.push(entry);
+        return { ok: true, json: async () => entry };
+      }
+      if (url.startsWith("/api/diary?")) {
+        return { ok: true, json: async () => ({ items: [...entries], vitals: { temperatureC: 39.2, feverDurationHours: 24 } }) };
+      }
+      return { ok: true, json: async () => ({ status: "ready" }) };
+    });
+
+    render(<App />);
+    await user.click(screen.getByRole("button", { name: /saved children/i }));
+    await user.click(await screen.findByRole("button", { name: "Use Leo" }));
+    await user.click(screen.getByRole("button", { name: "Symptom diary" }));
+
+    const diary = await screen.findByRole("region", { name: "Symptom diary for Leo" });
+    expect(await within(diary).findByRole("img", { name: "Temperature: lowest 38.4 °C, highest 39.2 °C, latest 39.2 °C." })).toBeInTheDocument();
+    expect(within(diary).getByRole("img", { name: "Pain: lowest 4/10, highest 6/10, latest 6/10." })).toBeInTheDocument();
+    expect(within(diary).queryByRole("img", { name: /^Sleep/ })).not.toBeInTheDocument();
+    expect(diary).toHaveTextContent("Fever for about 24 hours.");
+    expect(diary).toHaveTextContent("39.2 °C | 6/10 | 300 mL | Tired");
+    expect(fetchMock).toHaveBeenCalledWith("/api/diary?profileId=profile-1&days=14", expect.anything());
+
+    await user.type(within(diary).getByLabelText("Temperature (°C)"), "38,8");
+    await user.click(within(diary).getByRole("button", { name: "8 - Hurts a whole lot" }));
+    expect(within(diary).getByRole("button", { name: "8 - Hurts a whole lot" })).toHaveAttribute("aria-pressed", "true");
+    await user.click(within(diary).getByRole("button", { name: "Add entry" }));
+
+    await waitFor(() => expect(within(diary).getByRole("img", { name: /^Temperature: .* latest 38\.8 °C\.$/ })).toBeInTheDocument());
+    const saved = JSON.parse(fetchMock.mock.calls.find(([url, options]) => url === "/api/diary" && options.method === "POST")[1].body);
+    expect(saved).toMatchObject({ profileId: "profile-1", temperatureC: 38.8, painScore: 8, fluidsMl: null, sleepHours: null, note: "" });
+    expect(Date.parse(saved.recordedAt)).not.toBeNaN();
+  });
+
+  it("asks clarifying questions as chat bubbles before diagnosing", async () => {
+    const user = userEvent.setup();
+    const fetchMock = vi.spyOn(globalThis, "fetch").mockImplementation(async (url, options) => {
+      if (url === "/api/sessions") {
+        return {
+          ok: true,
+          json: async () => ({
+            sessionId: "session-1",
+            status: "asking",
+            questionsTotal: 2,
+            question: { id: "duration", index: 0, text: "How long have you been feeling this way?" },
+          }),
+        };
+      }
+      if (url === "/api/sessions/session-1/answer") {
+        const { answer } = JSON.parse(options.body);
+        return {
+          ok: true,
+          json: async () =>
+            answer === "Since yesterday"
+              ? {
+                  sessionId: "session-1",
+                  status: "asking",
+                  questionsTotal: 2,
+                  question: { id: "severity", index: 1, text: "How bad does it feel?" },
+                }
+              : { sessionId: "session-1", status: "ready", questionsTotal: 2 },
+        };
+      }
+      return {
+        ok: true,
+        json: async () => ({
+          result: "Answer after questions",
+          triage: { level: "routine", title: "Monitor", message: "No urgent flags", reasons: [] },
+        }),
+      };
+    });
+
+    render(<App />);
+    await user.type(screen.getByPlaceholderText(/tell dr\. buddy everything/i), "I feel bad");
+    await user.click(screen.getByRole("button", { name: /check my health/i }));
+
+    expect(await screen.findByText("How long have you been feeling this way?")).toBeInTheDocument();
+    await user.type(screen.getByLabelText("Your answer"), "Since yesterday");
+    await user.click(screen.getByRole("button", { name: "Send" }));
+
+    expect(await screen.findByText("How bad does it feel?")).toBeInTheDocument();
+    expect(screen.getByText("Since yesterday")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: /i am not sure/i }));
+
+    expect(await screen.findByText("Answer after questions")).toBeInTheDocument();
+    const finalCall = fetchMock.mock.calls.at(-1);
+    expect(finalCall[0]).toBe("/api/diagnose/stream");
+    expect(JSON.parse(finalCall[1].body).sessionId).toBe("session-1");
   });
 });
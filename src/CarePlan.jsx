@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { familyHeaders } from "./family";
+import { useI18n } from "./i18n";
+import { clearScheduledReminders, enableNotifications, scheduleReminders } from "./reminders";
+
+const REMINDER_FIELDS = ["kind", "title", "detail", "startsAt", "everyHours", "until"];
+
+function pickReminder(item) {
+  return Object.fromEntries(REMINDER_FIELDS.map((field) => [field, item[field]]));
+}
+
+// The server's care plan for the answer, with opt-in notifications and a calendar
+// export. Reminders are saved when storage is on so they come back after a reload.
+export default function CarePlan({ plan, historyId, profileId, theme, buttonStyle }) {
+  const { t, language } = useI18n();
+  const [status, setStatus] = useState("off");
+  const [scheduled, setScheduled] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const formatTime = (iso) =>
+    new Intl.DateTimeFormat(language, { weekday: "short", hour: "numeric", minute: "2-digit" }).format(new Date(iso));
+  const describeSchedule = (item) =>
+    item.everyHours
+      ? [
+          t("reminders.every", { count: item.everyHours }),
+          t("reminders.from", { time: formatTime(item.startsAt) }),
+          t("reminders.until", { time: formatTime(item.until) }),
+        ].join(" ")
+      : formatTime(item.startsAt);
+
+  const turnOn = async () => {
+    setNotice(null);
+    setStatus("starting");
+    const permission = await enableNotifications();
+    if (permission !== "granted") {
+      setNotice(t(`reminders.${permission}`));
+      setStatus("off");
+      return;
+    }
+
+    const saved = await Promise.all(
+      plan.items.map(async (item) => {
+        try {
+          const response = await fetch("/api/reminders", {
+            method: "POST",
+            headers: familyHeaders({ "Content-Type": "application/json", "Accept-Language": language }),
+            body: JSON.stringify({
+              ...pickReminder(item),
+              ...(historyId ? { historyId } : {}),
+              ...(profileId ? { profileId } : {}),
+            }),
+          });
+          return response.ok ? await response.json() : null;
+        } catch {
+          return null;
+        }
+      }),
+    );
+    // Without storage the plan's own items are scheduled; they last for this visit.
+    const reminders = plan.items.map((item, index) => saved[index] || item);
+    try {
+      await scheduleReminders(reminders);
+      setScheduled(reminders.map((reminder) => ({ id: reminder.id, saved: Boolean(saved.find((entry) => entry?.id === reminder.id)) })));
+      setStatus("on");
+      setNotice(t("reminders.on"));
+    } catch {
+      setStatus("off");
+      setNotice(t("reminders.unsupported"));
+    }
+  };
+
+  const turnOff = () => {
+    clearScheduledReminders(scheduled.map((reminder) => reminder.id));
+    scheduled
+      .filter((reminder) => reminder.saved)
+      .forEach((reminder) => fetch(`/api/reminders/${encodeURIComponent(reminder.id)}`, { method: "DELETE", headers: familyHeaders() }).catch(() => {}));
+    setScheduled([]);
+    setStatus("off");
+    setNotice(null);
+  };
+
+  const downloadCalendar = async () => {
+    setExporting(true);
+    setNotice(null);
+    try {
+      const response = await fetch("/api/reminders.ics", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept-Language": language },
+        body: JSON.stringify({ reminders: plan.items.map(pickReminder), language }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("reminders.calendarFailed"));
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "kiddoc-care-plan.ics";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (requestError) {
+      setNotice(requestError.message || t("reminders.calendarFailed"));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const smallButton = { ...buttonStyle, padding: "10px 16px", fontSize: "0.95rem" };
+
+  return (
+    <section aria-label={t("reminders.title")}>
+      <h3 style={{ margin: "0 0 6px", fontSize: "1.1rem", fontWeight: 900, color: theme.primary }}>{t("reminders.title")}</h3>
+      <p style={{ margin: "0 0 8px", fontWeight: 700 }}>{t("reminders.intro")}</p>
+      <ul style={{ listStyle: "none", margin: "0 0 12px", padding: 0 }}>
+        {plan.items.map((item) => (
+          <li
+            key={item.id}
+            style={{ background: theme.bubble, borderRadius: "14px", padding: "10px 14px", marginBottom: "8px", lineHeight: 1.5 }}
+          >
+            <p style={{ margin: 0, fontWeight: 800 }}>{item.title}</p>
+            <p style={{ margin: 0, fontSize: "0.9rem", fontWeight: 700, color: theme.secondary }}>{describeSchedule(item)}</p>
+            {item.detail && <p style={{ margin: "4px 0 0", fontSize: "0.9rem" }}>{item.detail}</p>}
+          </li>
+        ))}
+      </ul>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+        {status === "on" ? (
+          <button type="button" onClick={turnOff} style={smallButton}>
+            {t("reminders.stop")}
+          </button>
+        ) : (
+          <button type="button" onClick={turnOn} disabled={status === "starting"} style={smallButton}>
+            {status === "starting" ? t("reminders.turningOn") : t("reminders.turnOn")}
+          </button>
+        )}
+        <button type="button" onClick={downloadCalendar} disabled={exporting} style={smallButton}>
+          {t("reminders.calendar")}
+        </button>
+      </div>
+      {notice && (
+        <p role="status" style={{ margin: "8px 0 0", fontSize: "0.85rem", fontWeight: 700 }}>
+          {notice}
+        </p>
+      )}
+    </section>
+  );
+}
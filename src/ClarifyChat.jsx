@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { useI18n } from "./i18n";
+
+export default function ClarifyChat({ theme, cardStyle, inputStyle, buttonStyle, mascot, conversation, busy, onAnswer, onCancel }) {
+  const { t } = useI18n();
+  const [answer, setAnswer] = useState("");
+
+  const submit = (value) => {
+    onAnswer(value);
+    setAnswer("");
+  };
+
+  const bubbleBase = {
+    maxWidth: "85%",
+    padding: "10px 14px",
+    borderRadius: "18px",
+    lineHeight: 1.45,
+    fontWeight: 700,
+  };
+
+  return (
+    <div style={cardStyle}>
+      <p style={{ margin: "0 0 4px", fontWeight: 800 }}>
+        {t("clarify.title", { name: mascot.name, emoji: mascot.emoji })}
+      </p>
+      <p style={{ margin: "0 0 12px", fontSize: "0.8rem", opacity: 0.75 }}>
+        {t("clarify.progress", { current: Math.min(conversation.answered + 1, conversation.total), total: conversation.total })}
+      </p>
+
+      <div role="log" aria-live="polite" style={{ display: "flex", flexDirection: "column", gap: "8px", marginBottom: "12px" }}>
+        {conversation.messages.map((message, index) =>
+          message.from === "mascot" ? (
+            <div key={index} style={{ display: "flex", alignItems: "flex-end", gap: "6px" }}>
+              <span aria-hidden="true" style={{ fontSize: "1.6rem" }}>
+                {mascot.emoji}
+              </span>
+              <div style={{ ...bubbleBase, background: theme.bubble, border: `2px solid ${theme.border}`, borderBottomLeftRadius: "4px" }}>
+                {message.text}
+              </div>
+            </div>
+          ) : (
+            <div
+              key={index}
+              style={{
+                ...bubbleBase,
+                alignSelf: "flex-end",
+                background: theme.btn,
+                color: theme.btnText,
+                borderBottomRightRadius: "4px",
+              }}
+            >
+              {message.text || t("clarify.notSure")}
+            </div>
+          ),
+        )}
+      </div>
+
+      <form
+        onSubmit={(event) => {
+          event.preventDefault();
+          submit(answer.trim());
+        }}
+        style={{ display: "flex", gap: "8px" }}
+      >
+        <input
+          aria-label={t("clarify.answerLabel")}
+          value={answer}
+          onChange={(event) => setAnswer(event.target.value)}
+          placeholder={t("clarify.answerPlaceholder")}
+          maxLength={300}
+          disabled={busy}
+          style={inputStyle}
+        />
+        <button type="submit" disabled={busy} style={{ ...buttonStyle, padding: "10px 18px" }}>
+          {t("clarify.send")}
+        </button>
+      </form>
+
+      <div style={{ display: "flex", justifyContent: "space-between", marginTop: "10px" }}>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => submit("")}
+          style={{ border: "none", background: "transparent", color: theme.primary, fontWeight: 700, cursor: "pointer" }}
+        >
+          {t("clarify.skip")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{ border: "none", background: "transparent", color: theme.primary, fontWeight: 700, cursor: "pointer" }}
+        >
+          {t("clarify.startOver")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useI18n } from "./i18n";
+
+const SECTION_STYLE = {
+  background: "#f3f0ff",
+  border: "3px solid #6a4fd8",
+  borderRadius: "24px",
+  padding: "22px",
+  marginBottom: "14px",
+  color: "#2b1d6b",
+  position: "relative",
+  zIndex: 2,
+  lineHeight: 1.55,
+};
+
+const LINK_STYLE = {
+  display: "inline-block",
+  background: "#6a4fd8",
+  color: "#ffffff",
+  borderRadius: "999px",
+  padding: "8px 14px",
+  fontWeight: 800,
+  textDecoration: "none",
+  margin: "4px 8px 0 0",
+};
+
+function phoneHref(phone) {
+  return `tel:${phone.replace(/[^0-9]/g, "")}`;
+}
+
+// Shown instead of the AI answer on the mental-health crisis pathway. The content comes
+// from the server's vetted, localized catalog; nothing here is generated.
+export default function CrisisPanel({ crisis }) {
+  const { t } = useI18n();
+  return (
+    <>
+      <section aria-label={t("crisis.support")} style={SECTION_STYLE}>
+        <h2 style={{ margin: "0 0 10px", fontSize: "1.45rem", fontWeight: 900 }}>{crisis.title}</h2>
+        <p style={{ margin: "0 0 14px", fontSize: "1.1rem", fontWeight: 700 }}>{crisis.message}</p>
+
+        <h3 style={{ margin: "0 0 6px", fontSize: "1.1rem", fontWeight: 900 }}>{crisis.resourcesTitle}</h3>
+        <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+          {crisis.resources.map((resource) => (
+            <li key={resource.name} style={{ marginBottom: "10px" }}>
+              <p style={{ margin: 0, fontWeight: 800 }}>{resource.name}</p>
+              {resource.phone && (
+                <a href={phoneHref(resource.phone)} style={LINK_STYLE}>
+                  {resource.phone}
+                </a>
+              )}
+              {resource.sms && (
+                <a href={`sms:${resource.sms}`} style={LINK_STYLE}>
+                  {t("crisis.sms", { number: resource.sms })}
+                </a>
+              )}
+              {resource.url && (
+                <a href={resource.url} target="_blank" rel="noreferrer" style={LINK_STYLE}>
+                  {new URL(resource.url).hostname.replace(/^www\./, "")}
+                </a>
+              )}
+            </li>
+          ))}
+        </ul>
+        <p style={{ margin: "10px 0 0", fontWeight: 800 }}>
+          <a href={phoneHref(crisis.emergencyNumber)} style={{ color: "#b10f0f" }}>
+            {crisis.immediateDanger}
+          </a>
+        </p>
+      </section>
+
+      <section aria-label={t("crisis.forParents")} style={{ ...SECTION_STYLE, background: "#ffffff" }}>
+        <h3 style={{ margin: "0 0 6px", fontSize: "1.1rem", fontWeight: 900 }}>{crisis.parentsTitle}</h3>
+        <ol style={{ margin: 0, paddingLeft: "22px", fontWeight: 600 }}>
+          {crisis.parentSteps.map((step) => (
+            <li key={step}>{step}</li>
+          ))}
+        </ol>
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,120 @@
+import { useState } from "react";
+import { familyHeaders } from "./family";
+import { useI18n } from "./i18n";
+
+const STATUS_STYLES = {
+  ok: { background: "rgba(76, 175, 80, 0.18)", color: "#1b5e20" },
+  caution: { background: "rgba(255, 193, 7, 0.25)", color: "#7a4300" },
+  rejected: { background: "rgba(255, 82, 82, 0.18)", color: "#b10f0f" },
+  needsInfo: { background: "rgba(33, 150, 243, 0.15)", color: "#0d47a1" },
+  unknown: { background: "rgba(120, 120, 120, 0.15)", color: "#333" },
+};
+
+// Doses for medicines mentioned in the symptoms, from the server's reviewed table.
+// Parents can add the child's weight to get a weight-based dose instead of one by age.
+export default function DoseCheck({ dosing: initialDosing, symptoms, age, profileId, mascotName, theme, buttonStyle }) {
+  const { t, language } = useI18n();
+  const [dosing, setDosing] = useState(initialDosing);
+  const [weight, setWeight] = useState("");
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const recheck = async (event) => {
+    event.preventDefault();
+    const weightKg = Number(weight.replace(",", "."));
+    if (!weight.trim() || !Number.isFinite(weightKg) || weightKg < 2 || weightKg > 150) {
+      setError(t("dosing.weightInvalid"));
+      return;
+    }
+
+    setChecking(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/dosing", {
+        method: "POST",
+        headers: familyHeaders({ "Content-Type": "application/json", "Accept-Language": language }),
+        body: JSON.stringify({
+          medicines: dosing.checks.map((check) => check.medicine || check.name),
+          weightKg,
+          symptoms: symptoms || "",
+          language,
+          ...(profileId ? { profileId } : age ? { ageMonths: Number(age) * 12 } : {}),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t("dosing.failed"));
+      }
+      setDosing(data);
+    } catch (requestError) {
+      setError(requestError.message || t("dosing.failed"));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <section aria-label={t("dosing.title")}>
+      <h3 style={{ margin: "0 0 6px", fontSize: "1.1rem", fontWeight: 900, color: theme.primary }}>{t("dosing.title")}</h3>
+      <p style={{ margin: "0 0 8px", fontWeight: 700 }}>{t("dosing.intro", { name: mascotName })}</p>
+      <ul style={{ listStyle: "none", margin: "0 0 12px", padding: 0 }}>
+        {dosing.checks.map((check, index) => (
+          <li
+            key={`${index}-${check.medicine || check.name}`}
+            style={{ background: theme.bubble, borderRadius: "14px", padding: "10px 14px", marginBottom: "8px", lineHeight: 1.5 }}
+          >
+            <p style={{ margin: 0, fontWeight: 800 }}>
+              {check.label}{" "}
+              <span style={{ ...STATUS_STYLES[check.status], borderRadius: "999px", padding: "2px 10px", fontSize: "0.85rem" }}>
+                {t(`dosing.status.${check.status}`)}
+              </span>
+            </p>
+            {check.dose && (
+              <>
+                <p style={{ margin: "4px 0 0", fontWeight: 800 }}>
+                  {t("dosing.dose", { mg: check.dose.mg })} {t("dosing.every", { hours: check.dose.everyHours })}
+                </p>
+                {check.dose.amounts.map((amount) => (
+                  <p key={amount.formulation} style={{ margin: 0, fontSize: "0.9rem", fontWeight: 700 }}>
+                    {t("dosing.amount", { ml: amount.ml, formulation: amount.label })}
+                  </p>
+                ))}
+                <p style={{ margin: 0, fontSize: "0.9rem" }}>
+                  {t("dosing.maxDoses", { count: check.dose.maxDosesPerDay, mg: check.dose.maxMgPerDay })}
+                </p>
+              </>
+            )}
+            {check.reasons.map((reason, reasonIndex) => (
+              <p key={`${reasonIndex}-${reason.code}`} style={{ margin: "4px 0 0", fontSize: "0.9rem", fontWeight: 700, color: theme.secondary }}>
+                {reason.message}
+              </p>
+            ))}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={recheck} style={{ display: "flex", flexWrap: "wrap", gap: "8px", alignItems: "center" }}>
+        <label style={{ fontWeight: 700 }}>
+          {t("dosing.weight")}{" "}
+          <input
+            type="text"
+            inputMode="decimal"
+            value={weight}
+            onChange={(event) => setWeight(event.target.value)}
+            style={{ width: "80px", padding: "8px", borderRadius: "10px", border: `2px solid ${theme.border}` }}
+          />
+        </label>
+        <button type="submit" disabled={checking} style={{ ...buttonStyle, padding: "10px 16px", fontSize: "0.95rem" }}>
+          {checking ? t("dosing.checking") : t("dosing.check")}
+        </button>
+      </form>
+      {error && (
+        <p role="alert" style={{ margin: "8px 0 0", fontSize: "0.85rem", fontWeight: 700, color: "#b10f0f" }}>
+          {error}
+        </p>
+      )}
+      <p style={{ margin: "10px 0 0", fontSize: "0.85rem" }}>
+        {dosing.disclaimer} {t("dosing.reviewed", { date: dosing.reviewedAt })}
+      </p>
+    </section>
+  );
+}
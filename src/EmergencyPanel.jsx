@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { useI18n } from "./i18n";
+
+const PANEL_STYLE = {
+  background: "#fff1f1",
+  border: "3px solid #d91c1c",
+  borderRadius: "24px",
+  padding: "22px",
+  marginBottom: "14px",
+  color: "#5c0a0a",
+  position: "relative",
+  zIndex: 2,
+};
+
+const CALL_BUTTON_STYLE = {
+  display: "block",
+  textAlign: "center",
+  background: "#d91c1c",
+  color: "#ffffff",
+  borderRadius: "18px",
+  padding: "18px 20px",
+  fontSize: "1.6rem",
+  fontWeight: 900,
+  textDecoration: "none",
+  boxShadow: "0 10px 24px rgba(217, 28, 28, 0.35)",
+  margin: "0 0 16px",
+};
+
+// Guide text comes localized from the server's emergency catalog; this component only
+// lays it out and keeps the checklist ticks for the current visit.
+export default function EmergencyPanel({ guide }) {
+  const { t } = useI18n();
+  const [checked, setChecked] = useState(() => new Set());
+
+  const toggle = (index) => {
+    setChecked((current) => {
+      const next = new Set(current);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <section role="alert" aria-label={t("emergency.region")} style={PANEL_STYLE}>
+      <h2 style={{ margin: "0 0 12px", fontSize: "1.45rem", fontWeight: 900 }}>{guide.title}</h2>
+      <a href={`tel:${guide.number}`} style={CALL_BUTTON_STYLE}>
+        {guide.callLabel}
+      </a>
+
+      <h3 style={{ margin: "0 0 6px", fontSize: "1.1rem", fontWeight: 900 }}>{guide.firstAidTitle}</h3>
+      {guide.firstAid.map((section) => (
+        <div key={section.id} style={{ marginBottom: "10px" }}>
+          {guide.firstAid.length > 1 && <p style={{ margin: "0 0 4px", fontWeight: 800 }}>{section.title}</p>}
+          <ol style={{ margin: 0, paddingLeft: "22px", lineHeight: 1.5, fontWeight: 600 }}>
+            {section.steps.map((step) => (
+              <li key={step}>{step}</li>
+            ))}
+          </ol>
+        </div>
+      ))}
+
+      <h3 style={{ margin: "12px 0 6px", fontSize: "1.1rem", fontWeight: 900 }}>{guide.checklistTitle}</h3>
+      <ul style={{ listStyle: "none", margin: 0, padding: 0, lineHeight: 1.6, fontWeight: 600 }}>
+        {guide.checklist.map((item, index) => (
+          <li key={item}>
+            <label style={{ cursor: "pointer", textDecoration: checked.has(index) ? "line-through" : "none" }}>
+              <input type="checkbox" checked={checked.has(index)} onChange={() => toggle(index)} style={{ marginRight: "8px" }} />
+              {item}
+            </label>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,142 @@
+import { useEffect, useState } from "react";
+import { familyHeaders } from "./family";
+import { useI18n } from "./i18n";
+
+const TRIAGE_DOTS = {
+  emergency: "#c62828",
+  caution: "#f57c00",
+  routine: "#2e7d32",
+};
+
+export default function HistoryTimeline({ theme, cardStyle, onOpen, onClose }) {
+  const { language, t } = useI18n();
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/history", { headers: familyHeaders() })
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || t("history.loadFailed"));
+        }
+        if (!cancelled) {
+          setItems(data.items || []);
+        }
+      })
+      .catch((requestError) => {
+        if (!cancelled) {
+          setError(requestError.message || t("history.loadFailed"));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [t]);
+
+  const openEntry = async (id) => {
+    setBusyId(id);
+    setError(null);
+    try {
+      const response = await fetch(`/api/history/${encodeURIComponent(id)}`, { headers: familyHeaders() });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t("history.openFailed"));
+      }
+      onOpen(data);
+    } catch (requestError) {
+      setError(requestError.message || t("history.openFailed"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteEntry = async (id) => {
+    setBusyId(id);
+    setError(null);
+    try {
+      const response = await fetch(`/api/history/${encodeURIComponent(id)}`, { method: "DELETE", headers: familyHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("history.deleteFailed"));
+      }
+      setItems((current) => (current || []).filter((item) => item.id !== id));
+    } catch (requestError) {
+      setError(requestError.message || t("history.deleteFailed"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const smallButton = {
+    border: `1px solid ${theme.primary}`,
+    background: "transparent",
+    color: theme.primary,
+    borderRadius: "999px",
+    padding: "6px 10px",
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+        <strong>{t("history.title")}</strong>
+        <button type="button" onClick={onClose} style={smallButton}>
+          {t("history.close")}
+        </button>
+      </div>
+
+      {error && <p style={{ margin: "0 0 10px", color: "#b10f0f", fontWeight: 700 }}>{error}</p>}
+      {!items && !error && <p style={{ margin: 0 }}>{t("history.loading")}</p>}
+      {items?.length === 0 && <p style={{ margin: 0 }}>{t("history.empty")}</p>}
+
+      {items?.length > 0 && (
+        <ol style={{ listStyle: "none", margin: 0, padding: 0, borderLeft: `3px solid ${theme.border}` }}>
+          {items.map((item) => (
+            <li key={item.id} style={{ position: "relative", padding: "0 0 14px 16px" }}>
+              <span
+                aria-hidden="true"
+                style={{
+                  position: "absolute",
+                  left: "-8px",
+                  top: "4px",
+                  width: "13px",
+                  height: "13px",
+                  borderRadius: "50%",
+                  background: TRIAGE_DOTS[item.triageLevel] || TRIAGE_DOTS.routine,
+                }}
+              />
+              <p style={{ margin: "0 0 2px", fontSize: "0.8rem", opacity: 0.75 }}>
+                <time dateTime={item.createdAt}>{new Date(item.createdAt).toLocaleString(language)}</time>
+              </p>
+              <p style={{ margin: "0 0 2px", fontWeight: 800 }}>
+                {item.childName || t("history.child")}
+                {item.childAge ? `, ${item.childAge}` : ""}
+              </p>
+              <p style={{ margin: "0 0 6px" }}>{item.symptoms}</p>
+              <div style={{ display: "flex", gap: "8px" }}>
+                <button type="button" style={smallButton} disabled={busyId === item.id} onClick={() => openEntry(item.id)}>
+                  {t("history.open")}
+                </button>
+                <button
+                  type="button"
+                  style={smallButton}
+                  disabled={busyId === item.id}
+                  onClick={() => deleteEntry(item.id)}
+                  aria-label={t("history.deleteLabel", { date: new Date(item.createdAt).toLocaleString(language) })}
+                >
+                  {t("history.delete")}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useI18n } from "./i18n";
+
+const LAB_FLAGS = ["low", "high", "normal"];
+
+const OUT_OF_RANGE_STYLE = {
+  background: "rgba(255, 193, 7, 0.22)",
+  color: "#7a4300",
+};
+
+export default function LabResults({ labs, theme }) {
+  const { t } = useI18n();
+  const cellStyle = { padding: "6px 8px", borderBottom: `1px solid ${theme.border}`, textAlign: "left" };
+
+  return (
+    <section
+      aria-label={t("labs.region")}
+      style={{
+        background: theme.bubble,
+        borderRadius: "14px",
+        padding: "14px 16px",
+        marginTop: "10px",
+        lineHeight: "1.5",
+        fontWeight: 600,
+      }}
+    >
+      <h3 style={{ margin: "0 0 6px", fontSize: "1.02rem", fontWeight: 900, color: theme.primary }}>
+        {t("labs.title")}
+      </h3>
+      {labs.status !== "ok" ? (
+        <p style={{ margin: 0 }}>{labs.message}</p>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.9rem" }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>{t("labs.test")}</th>
+                <th style={cellStyle}>{t("labs.result")}</th>
+                <th style={cellStyle}>{t("labs.normalRange")}</th>
+                <th style={cellStyle}>{t("labs.flag")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {labs.rows.map((row, index) => {
+                const outOfRange = row.flag === "low" || row.flag === "high";
+                return (
+                  <tr key={`${index}-${row.analyte}`} style={outOfRange ? OUT_OF_RANGE_STYLE : undefined}>
+                    <td style={cellStyle}>
+                      {row.analyte}
+                      {row.explanation && (
+                        <span style={{ display: "block", fontSize: "0.8rem", fontWeight: 600 }}>{row.explanation}</span>
+                      )}
+                    </td>
+                    <td style={cellStyle}>
+                      {row.value} {row.unit}
+                    </td>
+                    <td style={cellStyle}>{row.referenceRange || "-"}</td>
+                    <td style={{ ...cellStyle, fontWeight: outOfRange ? 900 : 600 }}>{LAB_FLAGS.includes(row.flag) ? t(`labs.flags.${row.flag}`) : row.flag === "unknown" ? "-" : row.flag}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
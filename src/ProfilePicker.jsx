@@ -0,0 +1,243 @@
+import { useEffect, useState } from "react";
+import { familyHeaders } from "./family";
+import { useI18n } from "./i18n";
+
+const EMPTY_FORM = {
+  name: "",
+  dateOfBirth: "",
+  allergies: "",
+  chronicConditions: "",
+  medications: "",
+};
+
+// Latin and Arabic commas both separate entries.
+function splitList(value) {
+  return value
+    .split(/[,\u060C]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function describeProfile(profile, t) {
+  const { age } = profile;
+  const details = [age && (age.years >= 1 ? t("profiles.ageYears", { count: age.years }) : t("profiles.ageMonths", { count: age.months }))];
+  for (const field of ["allergies", "chronicConditions", "medications"]) {
+    if (profile[field]?.length) {
+      details.push(t(`profiles.${field}Summary`, { list: profile[field].join(", ") }));
+    }
+  }
+  return details.filter(Boolean).join(" | ");
+}
+
+export function SelectedProfile({ profile, theme, onClear }) {
+  const { t } = useI18n();
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: "8px",
+        padding: "10px 12px",
+        borderRadius: "14px",
+        background: theme.bubble,
+        border: `2px solid ${theme.border}`,
+      }}
+    >
+      <div>
+        <p style={{ margin: 0, fontWeight: 800 }}>{t("profiles.checkingFor", { name: profile.name })}</p>
+        <p style={{ margin: 0, fontSize: "0.85rem" }}>{describeProfile(profile, t)}</p>
+      </div>
+      <button
+        type="button"
+        onClick={onClear}
+        style={{
+          border: `1px solid ${theme.primary}`,
+          background: "transparent",
+          color: theme.primary,
+          borderRadius: "999px",
+          padding: "6px 10px",
+          fontWeight: 700,
+          cursor: "pointer",
+        }}
+      >
+        {t("profiles.change")}
+      </button>
+    </div>
+  );
+}
+
+export default function ProfilePicker({ theme, inputStyle, onSelect, onClose }) {
+  const { language, t } = useI18n();
+  const [profiles, setProfiles] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/profiles", { headers: familyHeaders() })
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || t("profiles.loadFailed"));
+        }
+        if (!cancelled) {
+          setProfiles(data.items || []);
+        }
+      })
+      .catch((requestError) => {
+        if (!cancelled) {
+          setError(requestError.message || t("profiles.loadFailed"));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [t]);
+
+  const updateField = (field) => (event) => setForm((current) => ({ ...current, [field]: event.target.value }));
+
+  const createProfile = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/profiles", {
+        method: "POST",
+        headers: familyHeaders({ "Content-Type": "application/json", "Accept-Language": language }),
+        body: JSON.stringify({
+          name: form.name.trim(),
+          dateOfBirth: form.dateOfBirth,
+          allergies: splitList(form.allergies),
+          chronicConditions: splitList(form.chronicConditions),
+          medications: splitList(form.medications),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t("profiles.saveFailed"));
+      }
+      setProfiles((current) => [...(current || []), data]);
+      setForm(EMPTY_FORM);
+    } catch (requestError) {
+      setError(requestError.message || t("profiles.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteProfile = async (id) => {
+    setError(null);
+    try {
+      const response = await fetch(`/api/profiles/${encodeURIComponent(id)}`, { method: "DELETE", headers: familyHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("profiles.deleteFailed"));
+      }
+      setProfiles((current) => (current || []).filter((profile) => profile.id !== id));
+    } catch (requestError) {
+      setError(requestError.message || t("profiles.deleteFailed"));
+    }
+  };
+
+  const smallButton = {
+    border: `1px solid ${theme.primary}`,
+    background: "transparent",
+    color: theme.primary,
+    borderRadius: "999px",
+    padding: "6px 10px",
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+  const labelStyle = { display: "block", margin: "8px 0 4px", fontWeight: 700 };
+
+  return (
+    <div style={{ marginTop: "12px", borderTop: `2px dashed ${theme.border}`, paddingTop: "12px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+        <strong>{t("profiles.title")}</strong>
+        <button type="button" onClick={onClose} style={smallButton}>
+          {t("profiles.close")}
+        </button>
+      </div>
+
+      {error && <p style={{ margin: "0 0 8px", color: "#b10f0f", fontWeight: 700 }}>{error}</p>}
+      {!profiles && !error && <p style={{ margin: "0 0 8px" }}>{t("profiles.loading")}</p>}
+      {profiles?.length === 0 && <p style={{ margin: "0 0 8px" }}>{t("profiles.empty")}</p>}
+
+      {profiles?.map((profile) => (
+        <div
+          key={profile.id}
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "8px",
+            padding: "8px 0",
+            borderBottom: `1px solid ${theme.border}`,
+          }}
+        >
+          <div>
+            <p style={{ margin: 0, fontWeight: 800 }}>{profile.name}</p>
+            <p style={{ margin: 0, fontSize: "0.85rem" }}>{describeProfile(profile, t)}</p>
+          </div>
+          <div style={{ display: "flex", gap: "6px" }}>
+            <button type="button" style={smallButton} onClick={() => onSelect(profile)}>
+              {t("profiles.use", { name: profile.name })}
+            </button>
+            <button
+              type="button"
+              style={smallButton}
+              onClick={() => deleteProfile(profile.id)}
+              aria-label={t("profiles.deleteLabel", { name: profile.name })}
+            >
+              {t("profiles.delete")}
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <form onSubmit={createProfile} style={{ marginTop: "10px" }}>
+        <p style={{ margin: "0 0 4px", fontWeight: 800 }}>{t("profiles.add")}</p>
+        <label htmlFor="profile-name" style={labelStyle}>
+          {t("profiles.name")}
+        </label>
+        <input id="profile-name" value={form.name} onChange={updateField("name")} maxLength={50} style={inputStyle} />
+        <label htmlFor="profile-dob" style={labelStyle}>
+          {t("profiles.dateOfBirth")}
+        </label>
+        <input id="profile-dob" type="date" value={form.dateOfBirth} onChange={updateField("dateOfBirth")} style={inputStyle} />
+        <label htmlFor="profile-allergies" style={labelStyle}>
+          {t("profiles.allergies")}
+        </label>
+        <input
+          id="profile-allergies"
+          value={form.allergies}
+          onChange={updateField("allergies")}
+          placeholder={t("profiles.allergiesPlaceholder")}
+          style={inputStyle}
+        />
+        <label htmlFor="profile-conditions" style={labelStyle}>
+          {t("profiles.chronicConditions")}
+        </label>
+        <input
+          id="profile-conditions"
+          value={form.chronicConditions}
+          onChange={updateField("chronicConditions")}
+          placeholder={t("profiles.chronicConditionsPlaceholder")}
+          style={inputStyle}
+        />
+        <label htmlFor="profile-medications" style={labelStyle}>
+          {t("profiles.medications")}
+        </label>
+        <input id="profile-medications" value={form.medications} onChange={updateField("medications")} style={inputStyle} />
+        <button type="submit" disabled={saving} style={{ ...smallButton, marginTop: "10px" }}>
+          {saving ? t("profiles.saving") : t("profiles.save")}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useI18n } from "./i18n";
+import { fetchServerSpeech, getSpeechSynthesis, voicesForLanguage } from "./speech";
+
+// The server reads at most this much in one request.
+const MAX_SERVER_TEXT = 4000;
+
+// Reads the answer out loud in the UI language, with pause, resume and stop. Browser
+// voices are offered when the Web Speech API has them; otherwise the server's voices.
+export default function ReadAloud({ text, theme, disabled }) {
+  const { t, language } = useI18n();
+  const synthesis = getSpeechSynthesis();
+  const [voices, setVoices] = useState([]);
+  const [voiceId, setVoiceId] = useState("");
+  const [status, setStatus] = useState("idle");
+  const [notice, setNotice] = useState(null);
+  const audioRef = useRef(null);
+  const serverRef = useRef(null);
+
+  useEffect(() => {
+    if (!synthesis) {
+      return undefined;
+    }
+    // Chrome loads its voices asynchronously and announces them with voiceschanged.
+    const update = () => setVoices(voicesForLanguage(synthesis.getVoices(), language));
+    update();
+    synthesis.addEventListener?.("voiceschanged", update);
+    return () => synthesis.removeEventListener?.("voiceschanged", update);
+  }, [synthesis, language]);
+
+  const stop = useCallback(() => {
+    synthesis?.cancel();
+    if (audioRef.current) {
+      audioRef.current.audio.pause();
+      URL.revokeObjectURL(audioRef.current.url);
+      audioRef.current = null;
+    }
+    setStatus("idle");
+  }, [synthesis]);
+
+  // A new answer, a new language or leaving the page stops the reading.
+  useEffect(() => stop, [stop, text, language]);
+
+  const speakInBrowser = () => {
+    synthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    const chosen = voices.find((option) => option.id === voiceId);
+    utterance.lang = chosen?.voice.lang || language;
+    if (chosen) {
+      utterance.voice = chosen.voice;
+    }
+    utterance.onend = () => setStatus("idle");
+    utterance.onerror = (event) => {
+      if (event.error !== "interrupted" && event.error !== "canceled") {
+        setNotice(t("speech.readFailed"));
+      }
+      setStatus("idle");
+    };
+    synthesis.speak(utterance);
+    setStatus("playing");
+  };
+
+  const speakFromServer = async () => {
+    setStatus("loading");
+    try {
+      if (!serverRef.current) {
+        serverRef.current = await fetchServerSpeech();
+        setVoices(serverRef.current.voices?.map((id) => ({ id, label: id })) || []);
+      }
+      if (!serverRef.current.available) {
+        setNotice(t("speech.readUnavailable"));
+        setStatus("idle");
+        return;
+      }
+
+      const response = await fetch("/api/speech/synthesize", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept-Language": language },
+        body: JSON.stringify({ text: text.slice(0, MAX_SERVER_TEXT), language, ...(voiceId ? { voice: voiceId } : {}) }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("speech.readFailed"));
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const audio = new Audio(url);
+      audio.onended = stop;
+      audioRef.current = { audio, url };
+      await audio.play();
+      setStatus("playing");
+    } catch (requestError) {
+      stop();
+      setNotice(requestError.message || t("speech.readFailed"));
+    }
+  };
+
+  const play = () => {
+    setNotice(null);
+    if (synthesis) {
+      speakInBrowser();
+    } else {
+      speakFromServer();
+    }
+  };
+
+  const pause = () => {
+    if (synthesis) {
+      synthesis.pause();
+    } else {
+      audioRef.current?.audio.pause();
+    }
+    setStatus("paused");
+  };
+
+  const resume = () => {
+    if (synthesis) {
+      synthesis.resume();
+    } else {
+      audioRef.current?.audio.play();
+    }
+    setStatus("playing");
+  };
+
+  const controlStyle = {
+    border: `2px solid ${theme.primary}`,
+    background: "transparent",
+    color: theme.primary,
+    borderRadius: "999px",
+    padding: "6px 12px",
+    fontWeight: 800,
+    cursor: "pointer",
+  };
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", margin: "0 0 12px" }}>
+      {status === "idle" || status === "loading" ? (
+        <button type="button" onClick={play} disabled={disabled || !text || status === "loading"} style={controlStyle}>
+          <span aria-hidden="true">🔊 </span>
+          {t("speech.readAloud")}
+        </button>
+      ) : (
+        <>
+          {status === "paused" ? (
+            <button type="button" onClick={resume} style={controlStyle}>
+              {t("speech.resume")}
+            </button>
+          ) : (
+            <button type="button" onClick={pause} style={controlStyle}>
+              {t("speech.pause")}
+            </button>
+          )}
+          <button type="button" onClick={stop} style={controlStyle}>
+            {t("speech.stop")}
+          </button>
+        </>
+      )}
+      {voices.length > 0 && (
+        <label style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "0.85rem", fontWeight: 700 }}>
+          {t("speech.voice")}
+          <select value={voiceId} onChange={(event) => setVoiceId(event.target.value)} disabled={status !== "idle"}>
+            <option value="">{t("speech.defaultVoice")}</option>
+            {voices.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {notice && (
+        <p role="status" style={{ flexBasis: "100%", margin: 0, fontSize: "0.85rem", fontWeight: 700 }}>
+          {notice}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,331 @@
+import { useEffect, useState } from "react";
+import { familyHeaders } from "./family";
+import { useI18n } from "./i18n";
+
+const DIARY_DAYS = 14;
+const FEVER_C = 38;
+const FACES = [
+  { score: 0, face: "😀" },
+  { score: 2, face: "🙂" },
+  { score: 4, face: "😐" },
+  { score: 6, face: "🙁" },
+  { score: 8, face: "😢" },
+  { score: 10, face: "😭" },
+];
+const SERIES = [
+  { key: "temperature", field: "temperatureC", color: "#e53935", reference: FEVER_C },
+  { key: "pain", field: "painScore", color: "#8e24aa" },
+  { key: "fluids", field: "fluidsMl", color: "#1e88e5" },
+  { key: "sleep", field: "sleepHours", color: "#43a047" },
+];
+const CHART = { width: 320, height: 90, padding: 8 };
+
+// datetime-local inputs want local time without seconds or a zone.
+function localNow() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function emptyForm() {
+  return { recordedAt: localNow(), temperatureC: "", painScore: null, fluidsMl: "", sleepHours: "", note: "" };
+}
+
+// Text that is not a number is sent as is, so the server explains what is wrong with it.
+function toNumber(value) {
+  const trimmed = value.trim().replace(",", ".");
+  if (!trimmed) {
+    return null;
+  }
+  return Number.isFinite(Number(trimmed)) ? Number(trimmed) : trimmed;
+}
+
+// One small line chart per measure, on a shared time axis so the charts line up.
+function TrendChart({ series, entries, range, theme }) {
+  const { t } = useI18n();
+  const points = entries.filter((entry) => entry[series.field] !== null && entry[series.field] !== undefined);
+  if (points.length === 0) {
+    return null;
+  }
+
+  const values = points.map((entry) => entry[series.field]);
+  const min = Math.min(...values, series.reference ?? Infinity);
+  const max = Math.max(...values, series.reference ?? -Infinity);
+  const span = max - min || 1;
+  const x = (entry) =>
+    CHART.padding + ((Date.parse(entry.recordedAt) - range.from) / (range.to - range.from || 1)) * (CHART.width - 2 * CHART.padding);
+  const y = (value) => CHART.height - CHART.padding - ((value - min) / span) * (CHART.height - 2 * CHART.padding);
+  const format = (value) => t(`diary.values.${series.key}`, { value });
+  const label = t(`diary.charts.${series.key}`);
+
+  return (
+    <figure style={{ margin: "0 0 10px" }}>
+      <figcaption style={{ fontWeight: 800, fontSize: "0.9rem" }}>{label}</figcaption>
+      <svg
+        viewBox={`0 0 ${CHART.width} ${CHART.height}`}
+        width="100%"
+        role="img"
+        aria-label={t("diary.chartSummary", {
+          series: label,
+          min: format(Math.min(...values)),
+          max: format(Math.max(...values)),
+          latest: format(values.at(-1)),
+        })}
+        style={{ background: theme.bubble, borderRadius: "10px" }}
+      >
+        {series.reference !== undefined && (
+          <line
+            x1={CHART.padding}
+            x2={CHART.width - CHART.padding}
+            y1={y(series.reference)}
+            y2={y(series.reference)}
+            stroke={series.color}
+            strokeDasharray="4 4"
+            opacity="0.5"
+          />
+        )}
+        <polyline
+          fill="none"
+          stroke={series.color}
+          strokeWidth="2.5"
+          points={points.map((entry) => `${x(entry)},${y(entry[series.field])}`).join(" ")}
+        />
+        {points.map((entry) => (
+          <circle key={entry.id} cx={x(entry)} cy={y(entry[series.field])} r="3.5" fill={series.color} />
+        ))}
+      </svg>
+    </figure>
+  );
+}
+
+// A profile's symptom diary: trend charts for the last two weeks and a quick entry form.
+// New checks for the same child read the last week of entries on the server.
+export default function SymptomDiary({ profile, theme, inputStyle, onClose }) {
+  const { language, t } = useI18n();
+  const [diary, setDiary] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped after every change so the fever summary is recomputed by the server.
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(`/api/diary?profileId=${encodeURIComponent(profile.id)}&days=${DIARY_DAYS}`, { headers: familyHeaders({ "Accept-Language": language }) })
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || t("diary.loadFailed"));
+        }
+        if (!cancelled) {
+          setDiary(data);
+        }
+      })
+      .catch((requestError) => {
+        if (!cancelled) {
+          setError(requestError.message || t("diary.loadFailed"));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [profile.id, revision, language, t]);
+
+  const updateField = (field) => (event) => setForm((current) => ({ ...current, [field]: event.target.value }));
+
+  const addEntry = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/diary", {
+        method: "POST",
+        headers: familyHeaders({ "Content-Type": "application/json", "Accept-Language": language }),
+        body: JSON.stringify({
+          profileId: profile.id,
+          recordedAt: form.recordedAt ? new Date(form.recordedAt).toISOString() : undefined,
+          temperatureC: toNumber(form.temperatureC),
+          painScore: form.painScore,
+          fluidsMl: toNumber(form.fluidsMl),
+          sleepHours: toNumber(form.sleepHours),
+          note: form.note.trim(),
+        }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("diary.saveFailed"));
+      }
+      setForm(emptyForm());
+      setRevision((current) => current + 1);
+    } catch (requestError) {
+      setError(requestError.message || t("diary.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteEntry = async (id) => {
+    setError(null);
+    try {
+      const response = await fetch(`/api/diary/${encodeURIComponent(id)}`, { method: "DELETE", headers: familyHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("diary.deleteFailed"));
+      }
+      setRevision((current) => current + 1);
+    } catch (requestError) {
+      setError(requestError.message || t("diary.deleteFailed"));
+    }
+  };
+
+  const smallButton = {
+    border: `1px solid ${theme.primary}`,
+    background: "transparent",
+    color: theme.primary,
+    borderRadius: "999px",
+    padding: "6px 10px",
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+  const labelStyle = { display: "block", margin: "8px 0 4px", fontWeight: 700 };
+  const items = diary?.items || [];
+  const range = items.length > 0 ? { from: Date.parse(items[0].recordedAt), to: Date.parse(items.at(-1).recordedAt) } : null;
+  const describe = (entry) =>
+    [
+      ...SERIES.filter((series) => entry[series.field] !== null && entry[series.field] !== undefined).map((series) =>
+        t(`diary.values.${series.key}`, { value: entry[series.field] }),
+      ),
+      entry.note,
+    ]
+      .filter(Boolean)
+      .join(" | ");
+
+  return (
+    <section aria-label={t("diary.title", { name: profile.name })} style={{ marginTop: "12px", borderTop: `2px dashed ${theme.border}`, paddingTop: "12px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+        <strong>{t("diary.title", { name: profile.name })}</strong>
+        <button type="button" onClick={onClose} style={smallButton}>
+          {t("diary.close")}
+        </button>
+      </div>
+      <p style={{ margin: "0 0 8px", fontSize: "0.9rem" }}>{t("diary.intro", { name: profile.name })}</p>
+
+      {error && (
+        <p role="alert" style={{ margin: "0 0 8px", color: "#b10f0f", fontWeight: 700 }}>
+          {error}
+        </p>
+      )}
+      {!diary && !error && <p style={{ margin: "0 0 8px" }}>{t("diary.loading")}</p>}
+      {diary && items.length === 0 && <p style={{ margin: "0 0 8px" }}>{t("diary.empty")}</p>}
+      {diary?.vitals?.feverDurationHours !== null && diary?.vitals?.feverDurationHours !== undefined && (
+        <p style={{ margin: "0 0 8px", fontWeight: 800, color: "#b10f0f" }}>
+          {t("diary.feverFor", { count: diary.vitals.feverDurationHours })}
+        </p>
+      )}
+
+      {range && SERIES.map((series) => <TrendChart key={series.key} series={series} entries={items} range={range} theme={theme} />)}
+
+      {items.length > 0 && (
+        <ul style={{ listStyle: "none", margin: "0 0 8px", padding: 0 }}>
+          {[...items].reverse().map((entry) => {
+            const time = new Date(entry.recordedAt).toLocaleString(language);
+            return (
+              <li
+                key={entry.id}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: "8px",
+                  padding: "6px 0",
+                  borderBottom: `1px solid ${theme.border}`,
+                }}
+              >
+                <div>
+                  <time dateTime={entry.recordedAt} style={{ fontWeight: 800, fontSize: "0.85rem" }}>
+                    {time}
+                  </time>
+                  <p style={{ margin: 0, fontSize: "0.9rem" }}>{describe(entry)}</p>
+                </div>
+                <button type="button" style={smallButton} onClick={() => deleteEntry(entry.id)} aria-label={t("diary.deleteLabel", { time })}>
+                  {t("diary.delete")}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={addEntry} style={{ marginTop: "10px" }}>
+        <p style={{ margin: "0 0 4px", fontWeight: 800 }}>{t("diary.add")}</p>
+        <label htmlFor="diary-time" style={labelStyle}>
+          {t("diary.recordedAt")}
+        </label>
+        <input id="diary-time" type="datetime-local" value={form.recordedAt} onChange={updateField("recordedAt")} style={inputStyle} />
+        <label htmlFor="diary-temperature" style={labelStyle}>
+          {t("diary.temperature")}
+        </label>
+        <input
+          id="diary-temperature"
+          type="text"
+          inputMode="decimal"
+          value={form.temperatureC}
+          onChange={updateField("temperatureC")}
+          style={inputStyle}
+        />
+        <p style={labelStyle}>{t("diary.pain")}</p>
+        <div role="group" aria-label={t("diary.pain")} style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+          {FACES.map(({ score, face }) => (
+            <button
+              key={score}
+              type="button"
+              aria-pressed={form.painScore === score}
+              aria-label={`${score} - ${t(`diary.painFaces.score${score}`)}`}
+              title={t(`diary.painFaces.score${score}`)}
+              onClick={() => setForm((current) => ({ ...current, painScore: current.painScore === score ? null : score }))}
+              style={{
+                fontSize: "1.4rem",
+                borderRadius: "12px",
+                padding: "4px 8px",
+                cursor: "pointer",
+                border: `2px solid ${form.painScore === score ? theme.primary : theme.border}`,
+                background: form.painScore === score ? theme.bubble : "transparent",
+              }}
+            >
+              {face}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px" }}>
+          <div>
+            <label htmlFor="diary-fluids" style={labelStyle}>
+              {t("diary.fluids")}
+            </label>
+            <input id="diary-fluids" type="text" inputMode="numeric" value={form.fluidsMl} onChange={updateField("fluidsMl")} style={inputStyle} />
+          </div>
+          <div>
+            <label htmlFor="diary-sleep" style={labelStyle}>
+              {t("diary.sleep")}
+            </label>
+            <input
+              id="diary-sleep"
+              type="text"
+              inputMode="decimal"
+              value={form.sleepHours}
+              onChange={updateField("sleepHours")}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        <label htmlFor="diary-note" style={labelStyle}>
+          {t("diary.note")}
+        </label>
+        <textarea id="diary-note" value={form.note} onChange={updateField("note")} maxLength={500} rows={2} style={inputStyle} />
+        <button type="submit" disabled={saving} style={{ ...smallButton, marginTop: "10px" }}>
+          {saving ? t("diary.saving") : t("diary.save")}
+        </button>
+      </form>
+    </section>
+  );
+}
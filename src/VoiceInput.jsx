@@ -0,0 +1,151 @@
+import { useEffect, useRef, useState } from "react";
+import { useI18n } from "./i18n";
+import { blobToBase64, canRecordAudio, fetchServerSpeech, getSpeechRecognition } from "./speech";
+
+// Mic button for children who cannot type much yet. What they say is added to the
+// symptoms box, where they (or a parent) can still correct it before checking.
+export default function VoiceInput({ theme, disabled, onTranscript }) {
+  const { t, language } = useI18n();
+  const [status, setStatus] = useState("idle");
+  const [notice, setNotice] = useState(null);
+  const stopRef = useRef(null);
+
+  // Leaving the form throws away whatever was being recorded.
+  useEffect(() => () => stopRef.current?.({ discard: true }), []);
+
+  const listenInBrowser = (Recognition) => {
+    const recognition = new Recognition();
+    recognition.lang = language;
+    recognition.interimResults = false;
+    recognition.continuous = false;
+    recognition.onresult = (event) => {
+      const transcript = Array.from(event.results)
+        .map((result) => result[0].transcript)
+        .join(" ")
+        .trim();
+      if (transcript) {
+        onTranscript(transcript);
+      }
+    };
+    recognition.onerror = (event) => {
+      if (event.error !== "aborted" && event.error !== "no-speech") {
+        setNotice(t(event.error === "not-allowed" ? "speech.micBlocked" : "speech.failed"));
+      }
+    };
+    recognition.onend = () => {
+      stopRef.current = null;
+      setStatus("idle");
+    };
+    stopRef.current = ({ discard = false } = {}) => (discard ? recognition.abort() : recognition.stop());
+    recognition.start();
+    setStatus("listening");
+  };
+
+  const transcribeOnServer = async (blob) => {
+    setStatus("transcribing");
+    try {
+      const response = await fetch("/api/speech/transcribe", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept-Language": language },
+        body: JSON.stringify({ audio: await blobToBase64(blob), mimeType: blob.type, language }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t("speech.failed"));
+      }
+      if (data.text) {
+        onTranscript(data.text);
+      } else {
+        setNotice(t("speech.failed"));
+      }
+    } catch (requestError) {
+      setNotice(requestError.message || t("speech.failed"));
+    } finally {
+      setStatus("idle");
+    }
+  };
+
+  const recordForServer = async () => {
+    setStatus("starting");
+    const server = await fetchServerSpeech();
+    if (!server.available || !canRecordAudio()) {
+      setStatus("idle");
+      setNotice(t("speech.unavailable"));
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch {
+      setStatus("idle");
+      setNotice(t("speech.micBlocked"));
+      return;
+    }
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    let discarded = false;
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      stopRef.current = null;
+      if (!discarded) {
+        transcribeOnServer(new Blob(chunks, { type: recorder.mimeType || "audio/webm" }));
+      }
+    };
+    stopRef.current = ({ discard = false } = {}) => {
+      discarded = discard;
+      recorder.stop();
+    };
+    recorder.start();
+    setStatus("listening");
+  };
+
+  const toggle = () => {
+    setNotice(null);
+    if (stopRef.current) {
+      stopRef.current();
+      return;
+    }
+    const Recognition = getSpeechRecognition();
+    if (Recognition) {
+      listenInBrowser(Recognition);
+    } else {
+      recordForServer();
+    }
+  };
+
+  const listening = status === "listening";
+
+  return (
+    <div style={{ marginTop: "10px" }}>
+      <button
+        type="button"
+        onClick={toggle}
+        disabled={disabled || status === "starting" || status === "transcribing"}
+        aria-pressed={listening}
+        style={{
+          border: `2px solid ${theme.primary}`,
+          background: listening ? theme.btn : "transparent",
+          color: listening ? theme.btnText : theme.primary,
+          borderRadius: "999px",
+          padding: "8px 14px",
+          fontWeight: 800,
+          cursor: "pointer",
+        }}
+      >
+        <span aria-hidden="true">🎤 </span>
+        {listening ? t("speech.listening") : status === "transcribing" ? t("speech.transcribing") : t("speech.talk")}
+      </button>
+      {notice && (
+        <p role="status" style={{ margin: "6px 0 0", fontSize: "0.85rem", fontWeight: 700 }}>
+          {notice}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+// Saved checks, profiles, diaries and reminders belong to one family. This browser keeps
+// a random family token and sends it with every request that reads or saves them; the
+// server only returns records saved with the same token.
+
+const STORAGE_KEY = "kiddoc.familyToken";
+const TOKEN_BYTES = 32;
+let fallbackToken = null;
+
+function createToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+// Private windows may refuse localStorage; the token then lasts until the page closes.
+export function familyToken() {
+  try {
+    let token = localStorage.getItem(STORAGE_KEY);
+    if (!token) {
+      token = createToken();
+      localStorage.setItem(STORAGE_KEY, token);
+    }
+    return token;
+  } catch {
+    fallbackToken = fallbackToken || createToken();
+    return fallbackToken;
+  }
+}
+
+/** Request headers with the family token added. */
+export function familyHeaders(headers = {}) {
+  return { ...headers, "X-Family-Token": familyToken() };
+}
@@ -0,0 +1,48 @@
+import { createContext, useContext } from "react";
+
+// One JSON catalog per language in locales/; dropping a new file there adds it to the
+// language picker. The server reads the same files for triage copy and validation errors.
+const modules = import.meta.glob("../locales/*.json", { eager: true, import: "default" });
+const CATALOGS = Object.fromEntries(
+  Object.entries(modules).map(([file, catalog]) => [file.replace(/^.*\/([^/]+)\.json$/, "$1"), catalog]),
+);
+
+export const LANGUAGE_OPTIONS = Object.entries(CATALOGS)
+  .map(([value, catalog]) => ({ value, label: catalog.name }))
+  .sort((a, b) => (a.value === "en" ? -1 : b.value === "en" ? 1 : a.value.localeCompare(b.value)));
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), messages);
+}
+
+/**
+ * `t(key, params)` looks up `ui.<key>` in the language's catalog, falling back to
+ * English. Plural messages are objects keyed by Intl.PluralRules category and are
+ * picked with `params.count`.
+ */
+export function createTranslator(language) {
+  const code = CATALOGS[language] ? language : "en";
+  const catalog = CATALOGS[code];
+  const plurals = new Intl.PluralRules(code);
+
+  const t = (key, params = {}) => {
+    const message = [catalog, CATALOGS.en]
+      .map((source) => {
+        const entry = lookup(source.ui, key);
+        return entry && typeof entry === "object" ? entry[plurals.select(params.count)] ?? entry.other : entry;
+      })
+      .find((entry) => typeof entry === "string");
+    if (message === undefined) {
+      return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  };
+
+  return { language: code, dir: catalog.dir || "ltr", t };
+}
+
+export const I18nContext = createContext(createTranslator("en"));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -1,6 +1,7 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { createTranslator } from "./i18n";
 
 const rootElement = document.getElementById("root");
 
@@ -11,7 +12,7 @@ function showFatalFallback() {
 
   rootElement.innerHTML = `
     <div style="font-family: Arial, sans-serif; max-width: 720px; margin: 40px auto; padding: 16px; border: 1px solid #f3b3b3; border-radius: 8px; background: #fff6f6; color: #8a1f1f;">
-      MediKids could not load in this browser session. Please refresh the page. If the issue continues, clear browser cache and try again.
+      ${createTranslator(String(navigator.language || "").split("-")[0]).t("app.loadFailed")}
     </div>
   `;
 }
@@ -0,0 +1,75 @@
+// Browser side of care-plan reminders: a service worker shows the notifications and
+// this module keeps one timer per reminder for its next time. Timers only run while
+// the app is open somewhere, which is why the plan can also go into a calendar.
+
+const WORKER_URL = "/reminder-sw.js";
+// setTimeout fires at once for delays past this (about 24.8 days), so reminders further
+// out wait in steps of this size and are re-armed when each step ends.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const timers = new Map();
+
+export function notificationsSupported() {
+  return typeof globalThis.Notification === "function" && Boolean(globalThis.navigator?.serviceWorker);
+}
+
+export function notificationsGranted() {
+  return notificationsSupported() && Notification.permission === "granted";
+}
+
+export async function enableNotifications() {
+  if (!notificationsSupported()) {
+    return "unsupported";
+  }
+  const permission = Notification.permission === "granted" ? "granted" : await Notification.requestPermission();
+  return permission === "granted" ? "granted" : "blocked";
+}
+
+/** The first time at or after `now` that the reminder is due, or null once it is over. */
+export function nextOccurrence(reminder, now = Date.now()) {
+  const start = Date.parse(reminder.startsAt);
+  if (start >= now) {
+    return start;
+  }
+  if (!reminder.everyHours || !reminder.until) {
+    return null;
+  }
+  const step = reminder.everyHours * 60 * 60 * 1000;
+  const next = start + Math.ceil((now - start) / step) * step;
+  return next <= Date.parse(reminder.until) ? next : null;
+}
+
+export function clearScheduledReminders(ids = [...timers.keys()]) {
+  for (const id of ids) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  }
+}
+
+/**
+ * Schedules every reminder's next notification, replacing any earlier timer for the
+ * same id, and re-arms repeating ones after each notification.
+ */
+export async function scheduleReminders(reminders) {
+  await navigator.serviceWorker.register(WORKER_URL);
+  const registration = await navigator.serviceWorker.ready;
+  const arm = (reminder, after = Date.now()) => {
+    clearScheduledReminders([reminder.id]);
+    const due = nextOccurrence(reminder, after);
+    if (due === null) {
+      return;
+    }
+    if (due - Date.now() > MAX_TIMER_MS) {
+      timers.set(reminder.id, setTimeout(() => arm(reminder, after), MAX_TIMER_MS));
+      return;
+    }
+    const timer = setTimeout(
+      () => {
+        registration.showNotification(reminder.title, { body: reminder.detail || "", tag: reminder.id, data: { id: reminder.id } });
+        arm(reminder, due + 1);
+      },
+      Math.max(0, due - Date.now()),
+    );
+    timers.set(reminder.id, timer);
+  };
+  reminders.forEach((reminder) => arm(reminder));
+}
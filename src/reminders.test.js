@@ -0,0 +1,30 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { clearScheduledReminders, scheduleReminders } from "./reminders";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => {
+  clearScheduledReminders();
+  vi.useRealTimers();
+  delete navigator.serviceWorker;
+});
+
+describe("reminders", () => {
+  it("waits for reminders further out than one timer can reach", async () => {
+    vi.useFakeTimers({ now: new Date("2026-03-01T08:00:00Z") });
+    const registration = { showNotification: vi.fn() };
+    const serviceWorker = { register: vi.fn(async () => registration), ready: Promise.resolve(registration) };
+    Object.defineProperty(navigator, "serviceWorker", { value: serviceWorker, configurable: true });
+
+    await scheduleReminders([
+      { id: "check-up", title: "Check-up", detail: "", startsAt: "2026-04-10T08:00:00Z", everyHours: null, until: null },
+    ]);
+
+    vi.advanceTimersByTime(39 * DAY_MS);
+    expect(registration.showNotification).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(DAY_MS);
+    expect(registration.showNotification).toHaveBeenCalledTimes(1);
+    expect(registration.showNotification).toHaveBeenCalledWith("Check-up", { body: "", tag: "check-up", data: { id: "check-up" } });
+  });
+});
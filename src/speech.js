@@ -0,0 +1,44 @@
+// Voice entry and read-aloud use the browser's Web Speech API when it exists. Without
+// it, they fall back to the server's /api/speech endpoints, which only work when the
+// server has SPEECH_PROVIDER set.
+
+export function getSpeechRecognition() {
+  return globalThis.SpeechRecognition || globalThis.webkitSpeechRecognition || null;
+}
+
+export function getSpeechSynthesis() {
+  return globalThis.speechSynthesis && globalThis.SpeechSynthesisUtterance ? globalThis.speechSynthesis : null;
+}
+
+export function canRecordAudio() {
+  return typeof globalThis.MediaRecorder === "function" && Boolean(globalThis.navigator?.mediaDevices?.getUserMedia);
+}
+
+/**
+ * Browser voices for the UI language ("es" matches "es-MX" and "es_ES"), with the
+ * browser's default voice first. Returned as `{ id, label, voice }` options.
+ */
+export function voicesForLanguage(voices, language) {
+  return voices
+    .filter((voice) => String(voice.lang || "").toLowerCase().replace("_", "-").split("-")[0] === language)
+    .sort((a, b) => Number(b.default) - Number(a.default))
+    .map((voice) => ({ id: voice.voiceURI, label: `${voice.name} (${voice.lang})`, voice }));
+}
+
+export async function fetchServerSpeech() {
+  try {
+    const response = await fetch("/api/speech");
+    return response.ok ? await response.json() : { available: false, voices: [] };
+  } catch {
+    return { available: false, voices: [] };
+  }
+}
+
+export function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(new Error("Failed to read the recording."));
+    reader.readAsDataURL(blob);
+  });
+}